@@ -0,0 +1,44 @@
+// --- Audio Input ---
+// Local-only clip sources for the projection view: a dropped/picked audio file or a
+// short microphone recording. Both end up as an AudioBuffer decoded by the page's own
+// AudioContext; nothing leaves the browser.
+
+export const MAX_RECORDING_SECONDS = 5;
+
+export async function decodeFile(ctx, file) {
+  return ctx.decodeAudioData(await file.arrayBuffer());
+}
+
+// Starts recording right away. Returns { done, stop }: done resolves with the decoded
+// AudioBuffer once stop() is called or MAX_RECORDING_SECONDS have passed.
+export async function startRecording(ctx) {
+  if (!navigator.mediaDevices?.getUserMedia || typeof MediaRecorder === 'undefined') {
+    throw new Error('This browser cannot record audio');
+  }
+  const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  const recorder = new MediaRecorder(stream);
+  const chunks = [];
+  recorder.addEventListener('dataavailable', (e) => chunks.push(e.data));
+
+  const done = new Promise((resolve, reject) => {
+    recorder.addEventListener('stop', async () => {
+      stream.getTracks().forEach(track => track.stop());
+      try {
+        const blob = new Blob(chunks, { type: recorder.mimeType });
+        resolve(await ctx.decodeAudioData(await blob.arrayBuffer()));
+      } catch (err) {
+        reject(err);
+      }
+    });
+  });
+
+  const timer = setTimeout(() => recorder.state === 'recording' && recorder.stop(), MAX_RECORDING_SECONDS * 1000);
+  recorder.start();
+  return {
+    done,
+    stop: () => {
+      clearTimeout(timer);
+      if (recorder.state === 'recording') recorder.stop();
+    }
+  };
+}
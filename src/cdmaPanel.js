@@ -0,0 +1,83 @@
+// --- CDMA Demo Panel ---
+// Draws the two-user spread → sum → despread chain computed by simulateCdma().
+
+const ROW_COLORS = { u1: '#60efff', u2: '#ff60ad', channel: '#ffffff' };
+
+// Parses "1011 0010" style input into a bit array; anything else is dropped
+export const parseBits = (text) => text.replace(/[^01]/g, '').split('').map(Number);
+
+export const randomBits = (count = 8) => Array.from({ length: count }, () => (Math.random() < 0.5 ? 0 : 1));
+
+function drawBits(ctx, bits, y, h, width, x0, color) {
+  const w = width / bits.length;
+  bits.forEach((bit, i) => {
+    ctx.fillStyle = color;
+    ctx.globalAlpha = bit ? 0.85 : 0.2;
+    ctx.fillRect(x0 + i * w + 1, y, w - 2, h);
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = bit ? '#080a0f' : color;
+    ctx.fillText(String(bit), x0 + (i + 0.5) * w, y + h / 2);
+  });
+}
+
+function drawChips(ctx, chips, y, h, width, x0, color) {
+  const peak = Math.max(1e-9, ...chips.map(Math.abs));
+  const w = width / chips.length;
+  ctx.strokeStyle = color;
+  ctx.beginPath();
+  chips.forEach((c, i) => {
+    const yy = y + h / 2 - (c / peak) * (h / 2);
+    if (i === 0) ctx.moveTo(x0, yy); else ctx.lineTo(x0 + i * w, yy);
+    ctx.lineTo(x0 + (i + 1) * w, yy);
+  });
+  ctx.stroke();
+}
+
+function drawReceiver(ctx, rx, sent, y, h, width, x0, color) {
+  // Only the bits this user actually sent; the rest is the other user's longer stream
+  const correlations = rx.correlations.slice(0, sent.length);
+  const w = width / correlations.length;
+  const peak = Math.max(1e-9, ...correlations.map(Math.abs));
+  correlations.forEach((c, i) => {
+    const bar = (c / peak) * (h / 2 - 2);
+    const ok = rx.bits[i] === sent[i];
+    ctx.fillStyle = ok ? color : '#ff4d4d';
+    ctx.fillRect(x0 + i * w + w * 0.25, y + h / 2 - Math.max(bar, 0), w * 0.5, Math.abs(bar));
+    ctx.fillStyle = ok ? '#ced4d9' : '#ff4d4d';
+    ctx.fillText(ok ? String(rx.bits[i]) : `${rx.bits[i]}✗`, x0 + (i + 0.5) * w, y + h + 6);
+  });
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+  ctx.beginPath();
+  ctx.moveTo(x0, y + h / 2);
+  ctx.lineTo(x0 + width, y + h / 2);
+  ctx.stroke();
+}
+
+export function drawCdmaLink(canvas, link, { bits1, bits2 }) {
+  const ctx = canvas.getContext('2d');
+  const x0 = 54;
+  const width = canvas.width - x0 - 6;
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.font = "10px 'Fira Code', monospace";
+  ctx.textBaseline = 'middle';
+
+  const label = (text, y, color) => {
+    ctx.textAlign = 'left';
+    ctx.fillStyle = color;
+    ctx.fillText(text, 4, y);
+    ctx.textAlign = 'center';
+  };
+
+  label('U1 tx', 14, ROW_COLORS.u1);
+  drawBits(ctx, bits1, 6, 16, width, x0, ROW_COLORS.u1);
+  label('U2 tx', 36, ROW_COLORS.u2);
+  drawBits(ctx, bits2, 28, 16, width, x0, ROW_COLORS.u2);
+
+  label('Σ chips', 72, ROW_COLORS.channel);
+  drawChips(ctx, link.channel, 52, 40, width, x0, ROW_COLORS.channel);
+
+  label('U1 rx', 120, ROW_COLORS.u1);
+  drawReceiver(ctx, link.rx1, bits1, 104, 32, width, x0, ROW_COLORS.u1);
+  label('U2 rx', 170, ROW_COLORS.u2);
+  drawReceiver(ctx, link.rx2, bits2, 154, 32, width, x0, ROW_COLORS.u2);
+}
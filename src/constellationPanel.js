@@ -0,0 +1,53 @@
+// --- Constellation Panel ---
+// Ideal points (rings), received points (dots) and the I/Q axes as the receiver sees them.
+
+export function drawConstellation(canvas, { received }, ideal) {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const scale = Math.min(width, height) * 0.32;
+  const cx = width / 2;
+  const cy = height / 2;
+  const toX = (i) => cx + i * scale;
+  const toY = (q) => cy - q * scale;
+
+  ctx.clearRect(0, 0, width, height);
+
+  // I/Q axes
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+  ctx.beginPath();
+  ctx.moveTo(8, cy);
+  ctx.lineTo(width - 8, cy);
+  ctx.moveTo(cx, 8);
+  ctx.lineTo(cx, height - 8);
+  ctx.stroke();
+  ctx.font = "9px 'Fira Code', monospace";
+  ctx.fillStyle = '#60efff';
+  ctx.fillText('I', width - 14, cy - 4);
+  ctx.fillStyle = '#ff60ad';
+  ctx.fillText('Q', cx + 4, 14);
+
+  // Ideal constellation with bit labels
+  ideal.forEach(p => {
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+    ctx.beginPath();
+    ctx.arc(toX(p.i), toY(p.q), 6, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.fillStyle = '#6a7c8a';
+    ctx.fillText(p.bits.join(''), toX(p.i) + 7, toY(p.q) - 7);
+  });
+
+  // Received symbols: green when sliced correctly, red with a line to the wrong decision
+  received.forEach(p => {
+    if (p.errors) {
+      ctx.strokeStyle = 'rgba(255, 77, 77, 0.5)';
+      ctx.beginPath();
+      ctx.moveTo(toX(p.i), toY(p.q));
+      ctx.lineTo(toX(p.decision.i), toY(p.decision.q));
+      ctx.stroke();
+    }
+    ctx.fillStyle = p.errors ? '#ff4d4d' : '#00ff87';
+    ctx.beginPath();
+    ctx.arc(toX(p.i), toY(p.q), 3, 0, Math.PI * 2);
+    ctx.fill();
+  });
+}
@@ -0,0 +1,108 @@
+// --- Data Export ---
+// The drawn samples as a table (CSV / JSON), the orthogonality numbers as a JSON summary,
+// and a flat SVG of one orthographic projection of the 3D curves. Headless like signal.js;
+// main.js collects the inputs and downloads the files.
+
+export const SAMPLE_COLUMNS = ['t', 'x', 'y', 's', 'xy', 'integral'];
+
+// t on the integration grid (t_i = i·dt), x and y, the composite s (x + y unless a
+// combination is active), the product x·y and its running integral ∫₀ᵗ x·y. With
+// quadrature weights (Poly mode) the integral uses them, so the last row is the inner product.
+export function sampleTable({ x, y, dt, weight }, s = null) {
+  let integral = 0;
+  return Array.from(x, (xi, i) => {
+    const product = xi * y[i];
+    integral += product * (weight ? weight[i] : dt);
+    return [i * dt, xi, y[i], s ? s[i] : xi + y[i], product, integral];
+  });
+}
+
+// Eight significant digits is more than Float32 geometry ever held
+const round = (v) => Number(v.toPrecision(8));
+
+export const toCsv = (rows) => [SAMPLE_COLUMNS.join(','), ...rows.map(row => row.map(round).join(','))].join('\n') + '\n';
+
+export const toJson = (rows, meta) => JSON.stringify({ ...meta, columns: SAMPLE_COLUMNS, rows: rows.map(row => row.map(round)) });
+
+// orthogonality: the score shown in the stats bar (worst pair of the Gram matrix in N-signal mode)
+export function statsSummary(meta, { integral, power1, power2, corr }, { orthogonality, gram = null }) {
+  return {
+    ...meta,
+    integral: round(integral),
+    power1: round(power1),
+    power2: round(power2),
+    corr: round(corr),
+    orthogonality: round(orthogonality),
+    ...(gram && { gram: gram.corr.map(row => row.map(round)), worstPair: round(gram.worst) })
+  };
+}
+
+// Each plane keeps two world axes (horizontal, vertical) and drops the one the camera looks along:
+// XZ is the f1 channel against time, YZ the f2 channel, XY the Lissajous figure
+export const PROJECTIONS = {
+  xz: { name: 'XZ · f1', axes: [2, 0], labels: ['t', 'x'] },
+  yz: { name: 'YZ · f2', axes: [2, 1], labels: ['t', 'y'] },
+  xy: { name: 'XY · Lissajous', axes: [0, 1], labels: ['x', 'y'] }
+};
+
+// Length of the longer side
+const SVG_SIZE = 800;
+const PADDING = 32;
+
+const escapeXml = (text) => String(text).replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[c]);
+
+// The xyz of the vertices a line actually draws. Curve buffers are sized with room to
+// spare and reused across resolutions, so the tail past the draw range is zeros or an
+// older, longer curve.
+export function drawnPositions(geometry) {
+  const { array } = geometry.getAttribute('position');
+  const { start, count } = geometry.drawRange;
+  return array.subarray(start * 3, Math.min(array.length, (start + count) * 3));
+}
+
+// curves: [{ positions (flat xyz, as in a BufferGeometry), color, dashed? }].
+// One scale for both axes, like an orthographic camera, so circles stay circles.
+export function projectionSvg(curves, plane, title = '') {
+  const { name, axes: [h, v], labels } = PROJECTIONS[plane];
+  const projected = curves.map(({ positions }) => {
+    const points = [];
+    for (let i = 0; i < positions.length; i += 3) points.push([positions[i + h], positions[i + v]]);
+    return points;
+  });
+
+  // The origin is always in frame so the axes can be drawn through it
+  let minU = 0, maxU = 0, minV = 0, maxV = 0;
+  projected.flat().forEach(([u, w]) => {
+    minU = Math.min(minU, u);
+    maxU = Math.max(maxU, u);
+    minV = Math.min(minV, w);
+    maxV = Math.max(maxV, w);
+  });
+  const scale = (SVG_SIZE - 2 * PADDING) / Math.max(1e-9, maxU - minU, maxV - minV);
+  const width = Math.round((maxU - minU) * scale + 2 * PADDING);
+  const height = Math.round((maxV - minV) * scale + 2 * PADDING);
+  const px = (u) => (PADDING + (u - minU) * scale).toFixed(2);
+  const py = (w) => (PADDING + (maxV - w) * scale).toFixed(2);
+
+  const lines = projected.map((points, i) => {
+    const { color, dashed } = curves[i];
+    const d = points.map(([u, w], j) => `${j ? 'L' : 'M'}${px(u)} ${py(w)}`).join(' ');
+    return `  <path d="${d}" fill="none" stroke="${color}" stroke-width="2"${dashed ? ' stroke-dasharray="6 4"' : ''}/>`;
+  });
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `  <rect width="100%" height="100%" fill="#080a0f"/>`,
+    `  <g stroke="#3a4550" stroke-width="1">`,
+    `    <line x1="${PADDING / 2}" y1="${py(0)}" x2="${width - PADDING / 2}" y2="${py(0)}"/>`,
+    `    <line x1="${px(0)}" y1="${PADDING / 2}" x2="${px(0)}" y2="${height - PADDING / 2}"/>`,
+    `  </g>`,
+    `  <g fill="#8b9eb0" font-family="'Fira Code', monospace" font-size="12">`,
+    `    <text x="${width - PADDING / 2}" y="${py(0)}" dy="-4" text-anchor="end">${labels[0]}</text>`,
+    `    <text x="${px(0)}" y="${PADDING / 2}" dx="4" dy="8">${labels[1]}</text>`,
+    `    <text x="${PADDING / 2}" y="${PADDING / 2}" dy="8" font-size="14">${escapeXml(title ? `${name} — ${title}` : name)}</text>`,
+    `  </g>`,
+    ...lines,
+    `</svg>`
+  ].join('\n') + '\n';
+}
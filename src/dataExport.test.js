@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { sampleTable, toCsv, toJson, statsSummary, projectionSvg, drawnPositions, SAMPLE_COLUMNS } from './dataExport.js';
+import { sampleSignals, measureOrthogonality } from './signal.js';
+
+const BASE = { f1: 2, f2: 3, amp1: 1, amp2: 1, phase: 0, points: 600, length: 12, mode: 'sine' };
+
+describe('sample table', () => {
+  it('ends its running integral at the inner product the stats bar uses', () => {
+    const samples = sampleSignals({ ...BASE, f2: 2, phase: 30 });
+    const rows = sampleTable(samples);
+    expect(rows).toHaveLength(600);
+    expect(rows[1][0]).toBeCloseTo(samples.dt, 12);
+    expect(rows[10][4]).toBeCloseTo(samples.x[10] * samples.y[10], 12);
+    expect(rows[599][5]).toBeCloseTo(measureOrthogonality(samples).integral, 10);
+  });
+
+  it('uses the quadrature weights when the samples carry them', () => {
+    const samples = { x: [1, 2], y: [3, 4], dt: 0.5, weight: [0.25, 0.75] };
+    expect(sampleTable(samples)[1][5]).toBeCloseTo(0.75 + 6, 12);
+  });
+
+  it('writes the sum unless a combined signal is given', () => {
+    const samples = { x: [1, 2], y: [3, 4], dt: 0.5 };
+    expect(sampleTable(samples).map(row => row[3])).toEqual([4, 6]);
+    expect(sampleTable(samples, [9, 8]).map(row => row[3])).toEqual([9, 8]);
+  });
+
+  it('formats CSV and JSON with the same columns', () => {
+    const rows = sampleTable({ x: [1 / 3, 1], y: [1, 1], dt: 0.1 });
+    const csv = toCsv(rows).trim().split('\n');
+    expect(csv[0]).toBe('t,x,y,s,xy,integral');
+    expect(csv[1]).toBe('0,0.33333333,1,1.3333333,0.33333333,0.033333333');
+    const json = JSON.parse(toJson(rows, { mode: 'sine' }));
+    expect(json.mode).toBe('sine');
+    expect(json.columns).toEqual(SAMPLE_COLUMNS);
+    expect(json.rows[1]).toEqual([0.1, 1, 1, 2, 1, 0.13333333]);
+  });
+});
+
+describe('stats summary', () => {
+  it('keeps the headline numbers and the Gram matrix in N-signal mode', () => {
+    const stats = { integral: 0.5, power1: 1, power2: 2, corr: 0.35355339059 };
+    const single = statsSummary({ mode: 'sine' }, stats, { orthogonality: 64.6 });
+    expect(single).toEqual({ mode: 'sine', integral: 0.5, power1: 1, power2: 2, corr: 0.35355339, orthogonality: 64.6 });
+    const gram = { corr: [[1, 0.2], [0.2, 1]], worst: 0.2 };
+    expect(statsSummary({}, stats, { orthogonality: 80, gram })).toMatchObject({ gram: gram.corr, worstPair: 0.2 });
+  });
+});
+
+describe('projectionSvg', () => {
+  const curves = [
+    { positions: [1, 0, -6, -1, 0, 6], color: '#60efff' },
+    { positions: [0, 2, -6, 0, -2, 6], color: '#ff60ad', dashed: true }
+  ];
+
+  it('drops the axis the camera looks along', () => {
+    const xz = projectionSvg(curves, 'xz');
+    // Time runs across the full width; the y-only curve collapses onto the time axis
+    expect(xz).toContain('<path d="M32.00 32.00 L768.00 154.67"');
+    expect(xz).toContain('<path d="M32.00 93.33 L768.00 93.33"');
+    expect(xz).toContain('stroke-dasharray');
+    expect(xz).toMatch(/height="187"/);
+  });
+
+  it('keeps one scale on both axes and escapes the title', () => {
+    const xy = projectionSvg(curves, 'xy', 'f1 < f2');
+    // x spans 2 and y spans 4, so the figure is twice as tall as it is wide
+    expect(xy).toMatch(/width="432" height="800"/);
+    expect(xy).toContain('XY · Lissajous — f1 &lt; f2');
+  });
+
+  it('exports only the drawn part of a reused curve buffer after a resolution drop', () => {
+    // As main.js does: one buffer with room to spare, rewritten in place at the lower count
+    const geometry = new THREE.BufferGeometry();
+    const positions = new Float32Array(4096 * 3);
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    const write = (count, amp) => {
+      for (let i = 0; i < count; i++) positions.set([amp * Math.sin((2 * Math.PI * i) / count), 0, (12 * i) / count - 6], i * 3);
+      geometry.setDrawRange(0, count);
+    };
+    write(2400, 3);
+    write(1200, 1);
+
+    const drawn = drawnPositions(geometry);
+    expect(drawn).toHaveLength(1200 * 3);
+    const svg = projectionSvg([{ positions: drawn, color: '#60efff' }], 'xz');
+    expect(svg.match(/ L/g)).toHaveLength(1199);
+    // The stale amplitude-3 tail would have set the vertical extent
+    expect(svg).toMatch(/height="187"/);
+  });
+});
+
@@ -0,0 +1,69 @@
+// --- DWT Panel ---
+// A multilevel decomposition drawn as rows: the signal with its reconstruction on top,
+// then one stem row per detail band d1 (finest) … dJ, and the coarse approximation aJ.
+
+const LABEL_WIDTH = 24;
+const SIGNAL_COLOR = '#ced4d9';
+const REBUILD_COLOR = '#00ff87';
+const BAND_COLORS = ['#60efff', '#ff60ad', '#ffd166', '#b388ff', '#ff9f43'];
+
+function drawLine(ctx, values, x0, width, mid, half, peak) {
+  ctx.beginPath();
+  values.forEach((v, i) => {
+    const x = x0 + ((i + 0.5) / values.length) * width;
+    const y = mid - (v / peak) * half;
+    if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+  });
+  ctx.stroke();
+}
+
+function drawStems(ctx, values, x0, width, mid, half, color) {
+  const peak = Math.max(1e-9, ...Array.from(values, Math.abs));
+  ctx.strokeStyle = color;
+  ctx.beginPath();
+  values.forEach((v, i) => {
+    const x = x0 + ((i + 0.5) / values.length) * width;
+    ctx.moveTo(x, mid);
+    ctx.lineTo(x, mid - (v / peak) * half);
+  });
+  ctx.stroke();
+}
+
+// rebuilt: the inverse transform drawn dashed over the signal (all bands or aJ only)
+export function drawDwt(canvas, signal, { approx, details }, rebuilt) {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const plotWidth = width - LABEL_WIDTH - 4;
+  // The signal row is twice as tall as each coefficient row
+  const rows = details.length + 1;
+  const unit = height / (rows + 2);
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = "9px 'Fira Code', monospace";
+  ctx.textBaseline = 'middle';
+
+  const peak = Math.max(1e-9, ...Array.from(signal, Math.abs));
+  const signalMid = unit;
+  ctx.strokeStyle = SIGNAL_COLOR;
+  drawLine(ctx, signal, LABEL_WIDTH, plotWidth, signalMid, unit * 0.9, peak);
+  ctx.strokeStyle = REBUILD_COLOR;
+  ctx.setLineDash([3, 3]);
+  drawLine(ctx, rebuilt, LABEL_WIDTH, plotWidth, signalMid, unit * 0.9, peak);
+  ctx.setLineDash([]);
+  ctx.fillStyle = SIGNAL_COLOR;
+  ctx.fillText('x', 4, signalMid);
+
+  const bands = [...details.map((d, i) => ({ label: `d${i + 1}`, values: d })), { label: `a${details.length}`, values: approx }];
+  bands.forEach(({ label, values }, row) => {
+    const mid = unit * (2.5 + row);
+    const color = row < details.length ? BAND_COLORS[row % BAND_COLORS.length] : REBUILD_COLOR;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+    ctx.beginPath();
+    ctx.moveTo(LABEL_WIDTH, mid);
+    ctx.lineTo(width - 4, mid);
+    ctx.stroke();
+    drawStems(ctx, values, LABEL_WIDTH, plotWidth, mid, unit * 0.42, color);
+    ctx.fillStyle = color;
+    ctx.fillText(label, 4, mid);
+  });
+  ctx.textBaseline = 'alphabetic';
+}
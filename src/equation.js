@@ -0,0 +1,129 @@
+// --- Live Equation ---
+// The inner product the scene is evaluating, as TeX with the current parameters
+// substituted in, followed by its value and the correlation. Headless; main.js
+// typesets it with KaTeX into the equation card.
+
+import { MAX_SCALE } from './wavelets.js';
+import { familyId } from './polynomials.js';
+
+// Two decimals at most, no trailing zeros: 2, 2.5, 0.33
+export const num = (v) => String(Number(v.toFixed(2)));
+
+// Fixed three decimals like the stats bar, without a "-0.000"
+export const value = (v) => (Math.abs(v) < 5e-4 ? 0 : v).toFixed(3);
+
+// Amplitude as a leading factor; 1 is left out
+const factor = (amp) => (amp === 1 ? '' : `${num(amp)}\\,`);
+
+const sine = (amp, f, phase) =>
+  `${factor(amp)}\\sin(2\\pi\\cdot ${num(f)}\\,t${phase ? ` + ${num(phase)}^\\circ` : ''})`;
+
+const walsh = (amp, f, shift, size) =>
+  `${factor(0.8 * amp)}\\operatorname{wal}_{${Math.round(f) % size}}(t${shift ? ` - ${num(shift)}` : ''})`;
+
+const wavelet = (amp, j, k) => `${factor(amp)}\\psi(2^{${j}}t${k ? ` - ${num(k)}` : ''})`;
+
+const scaleOf = (j) => Math.min(MAX_SCALE, Math.max(0, Math.round(j)));
+
+// Symbol, variable, interval and weight of each polynomial family in TeX.
+// The drawn curves are scaled to a peak of 1, so each term is P/max|P|.
+const POLY_TEX = {
+  legendre: { symbol: 'P', variable: 'x', interval: ['-1', '1'], weight: '1' },
+  chebyshevT: { symbol: 'T', variable: 'x', interval: ['-1', '1'], weight: '\\frac{1}{\\sqrt{1-x^2}}' },
+  chebyshevU: { symbol: 'U', variable: 'x', interval: ['-1', '1'], weight: '\\sqrt{1-x^2}' },
+  hermite: { symbol: 'H', variable: 'x', interval: ['-\\infty', '\\infty'], weight: 'e^{-x^2}' },
+  laguerre: { symbol: 'L', variable: 'x', interval: ['0', '\\infty'], weight: 'e^{-x}' },
+  associatedLegendre: { symbol: 'P', variable: 'x', interval: ['-1', '1'], weight: '1', order: true },
+  spherical: { symbol: 'P', variable: '\\cos\\theta', interval: ['0', '\\pi'], weight: '\\sin\\theta', order: true, measure: '\\theta' }
+};
+
+// The degree-n polynomial of the active family, e.g. P_{3} or P_{3}^{1}
+export function polySymbol(cfg, n) {
+  const tex = POLY_TEX[familyId(cfg.polyFamily)];
+  return tex.order ? `${tex.symbol}_{${n}}^{${cfg.polyOrder || 0}}` : `${tex.symbol}_{${n}}`;
+}
+
+function polyTerm(cfg, amp, f) {
+  const tex = POLY_TEX[familyId(cfg.polyFamily)];
+  const p = polySymbol(cfg, Math.round(f));
+  return `${factor(amp)}\\frac{${p}(${tex.variable})}{\\max|${p}|}`;
+}
+
+// { x, y }: the two functions of the pair, as TeX right-hand sides
+function pairTerms(cfg) {
+  const { mode, amp1, amp2, f1, f2, phase } = cfg;
+  if (mode === 'square') {
+    const size = cfg.walshSize || 16;
+    return { x: walsh(amp1, f1, 0, size), y: walsh(amp2, f2, phase / 360, size) };
+  }
+  if (mode === 'wave') {
+    return {
+      x: wavelet(amp1, scaleOf(cfg.waveScale1), cfg.waveShift1),
+      y: wavelet(amp2, scaleOf(cfg.waveScale2), cfg.waveShift2)
+    };
+  }
+  if (mode === 'poly') return { x: polyTerm(cfg, amp1, f1), y: polyTerm(cfg, amp2, f2) };
+  if (mode === 'iq') {
+    return {
+      x: `${factor(amp1)}I(t)\\sin(2\\pi\\cdot ${num(f1)}\\,\\tau)`,
+      y: `${factor(amp2)}Q(t)\\cos(2\\pi\\cdot ${num(f1)}\\,\\tau)`
+    };
+  }
+  if (mode === 'gs') return { x: '\\sqrt{w}\\,v(t)', y: '\\sqrt{w}\\,u(t)' };
+  if (mode === 'fourier') {
+    const terms = Math.round(cfg.fourierTerms);
+    return {
+      x: `${factor(amp1)}f(${num(f1)}\\,t)`,
+      y: `${factor(amp2)}S_{${terms}}(${num(f1)}\\,t)`
+    };
+  }
+  return { x: sine(amp1, f1, 0), y: sine(amp2, f2, phase) };
+}
+
+// One N-signal component on the basis of the mode (COMPONENT_BASES in signal.js)
+function componentTerm(cfg, { f, amp, phase }) {
+  if (cfg.mode === 'square') return walsh(amp, f, phase / 360, cfg.walshSize || 16);
+  if (cfg.mode === 'wave') {
+    const j = Math.min(MAX_SCALE, Math.max(0, Math.round(f) - 1));
+    return wavelet(amp, j, Math.floor((phase / 360) * 2 ** j));
+  }
+  if (cfg.mode === 'poly') return polyTerm(cfg, amp, f);
+  return sine(amp, f, phase);
+}
+
+// The integral and what it is evaluated over. Poly integrates over the family's interval
+// with its weight; every other mode over the window t ∈ [0, 1).
+function integralTex(cfg, a, b) {
+  if (cfg.mode === 'poly') {
+    const tex = POLY_TEX[familyId(cfg.polyFamily)];
+    const d = tex.measure || 'x';
+    const weight = cfg.polyWeighted === false || tex.weight === '1' ? '' : `\\,${tex.weight}`;
+    return `\\int_{${tex.interval[0]}}^{${tex.interval[1]}} ${a}\\,${b}${weight}\\,d${d}`;
+  }
+  return `\\int_0^1 ${a}(t)\\,${b}(t)\\,dt`;
+}
+
+// stats: measureOrthogonality's result; length: the window length the Riemann sum used
+// as dt, so outside Poly mode the raw integral is divided by it to give ∫₀¹.
+export function equationTex(cfg, { integral, corr }, length) {
+  let names = ['f_1', 'f_2'];
+  let terms;
+  if (cfg.multi) {
+    names = [`g_{${cfg.axisX + 1}}`, `g_{${cfg.axisY + 1}}`];
+    terms = { x: componentTerm(cfg, cfg.components[cfg.axisX]), y: componentTerm(cfg, cfg.components[cfg.axisY]) };
+  } else {
+    terms = pairTerms(cfg);
+  }
+  const [a, b] = names;
+  const poly = cfg.mode === 'poly';
+  const variable = poly ? `(${POLY_TEX[familyId(cfg.polyFamily)].measure || 'x'})` : '(t)';
+  const inner = poly ? integral : integral / length;
+  return [
+    '\\begin{aligned}',
+    `${a}${variable} &= ${terms.x} \\\\`,
+    `${b}${variable} &= ${terms.y} \\\\`,
+    `\\langle ${a}, ${b}\\rangle &= ${integralTex(cfg, a, b)} = ${value(inner)} \\\\`,
+    `\\rho &= \\frac{\\langle ${a}, ${b}\\rangle}{\\lVert ${a}\\rVert\\,\\lVert ${b}\\rVert} = ${value(corr)}`,
+    '\\end{aligned}'
+  ].join('\n');
+}
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import katex from 'katex';
+import { equationTex, num, value } from './equation.js';
+import { sampleSignals, measureOrthogonality } from './signal.js';
+
+const CFG = {
+  mode: 'sine', f1: 2, f2: 3, amp1: 1, amp2: 1, phase: 0, points: 1200, length: 12,
+  walshSize: 16, walshOrdering: 'sequency', polyFamily: 'legendre', polyOrder: 0, polyWeighted: true,
+  waveFamily: 'haar', waveScale1: 1, waveShift1: 0, waveScale2: 2, waveShift2: 1,
+  iqScheme: 'qpsk', iqBits: [0, 1, 1, 0], iqNoise: 0, iqRxPhase: 0, iqSeed: 1,
+  fourierTarget: 'square', fourierTerms: 5, fourierDuty: 0.5
+};
+
+const texFor = (cfg) => equationTex(cfg, measureOrthogonality(sampleSignals(cfg)), cfg.length);
+
+describe('live equation', () => {
+  it('formats numbers without trailing zeros or a negative zero', () => {
+    expect(num(2)).toBe('2');
+    expect(num(2.5)).toBe('2.5');
+    expect(num(1 / 3)).toBe('0.33');
+    expect(value(-0.0001)).toBe('0.000');
+    expect(value(0.5)).toBe('0.500');
+  });
+
+  it('substitutes the current frequencies, phase and amplitudes', () => {
+    const tex = texFor({ ...CFG, f2: 2, phase: 90, amp2: 0.5 });
+    expect(tex).toContain('f_1(t) &= \\sin(2\\pi\\cdot 2\\,t)');
+    expect(tex).toContain('f_2(t) &= 0.5\\,\\sin(2\\pi\\cdot 2\\,t + 90^\\circ)');
+    expect(tex).toContain('\\int_0^1 f_1(t)\\,f_2(t)\\,dt = 0.000');
+  });
+
+  it('reports the inner product over [0, 1] and the correlation', () => {
+    // sin² averages to 1/2 over whole periods
+    const tex = texFor({ ...CFG, f2: 2 });
+    expect(tex).toContain('dt = 0.500');
+    expect(tex).toMatch(/= 1\.000$/m);
+  });
+
+  it('writes the weighted integral of the polynomial family', () => {
+    const tex = texFor({ ...CFG, mode: 'poly', polyFamily: 'chebyshevT', f1: 1, f2: 4 });
+    expect(tex).toContain('\\frac{T_{1}(x)}{\\max|T_{1}|}');
+    expect(tex).toContain('\\int_{-1}^{1} f_1\\,f_2\\,\\frac{1}{\\sqrt{1-x^2}}\\,dx');
+    expect(texFor({ ...CFG, mode: 'poly', polyFamily: 'chebyshevT', polyWeighted: false })).not.toContain('\\sqrt{1-x^2}');
+    expect(texFor({ ...CFG, mode: 'poly', polyFamily: 'spherical', polyOrder: 1 })).toContain('P_{2}^{1}(\\cos\\theta)');
+  });
+
+  it('names the Walsh rows, wavelets and N-Signal axis components', () => {
+    expect(texFor({ ...CFG, mode: 'square', f2: 19, phase: 180 })).toContain('0.8\\,\\operatorname{wal}_{3}(t - 0.5)');
+    expect(texFor({ ...CFG, mode: 'wave' })).toContain('\\psi(2^{2}t - 1)');
+    const multi = {
+      ...CFG, multi: true, axisX: 0, axisY: 2,
+      components: [{ f: 1, amp: 1, phase: 0 }, { f: 2, amp: 1, phase: 0 }, { f: 3, amp: 1, phase: 0 }]
+    };
+    expect(texFor(multi)).toContain('\\langle g_{1}, g_{3}\\rangle');
+  });
+
+  it('is valid TeX in every mode', () => {
+    ['sine', 'square', 'wave', 'poly', 'iq', 'fourier'].forEach((mode) => {
+      expect(() => katex.renderToString(texFor({ ...CFG, mode }), { throwOnError: true, displayMode: true }), mode).not.toThrow();
+    });
+  });
+});
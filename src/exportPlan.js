@@ -0,0 +1,86 @@
+// --- Offline Export Plan ---
+// Everything about an export that can be decided ahead of time: which frame shows which
+// tracer position, where the camera is on each frame of an optional preset tour, and how
+// the caption wraps. Frame i always maps to the same picture, whatever the machine's speed.
+// Headless; the render loop that consumes the plan lives in sceneExport.js.
+
+export const EXPORT_SIZES = {
+  '1280x720': [1280, 720],
+  '1920x1080': [1920, 1080],
+  '1080x1080': [1080, 1080]
+};
+export const EXPORT_FPS = [24, 30, 60];
+export const MAX_EXPORT_SECONDS = 60;
+// PNG frames are held in memory until the ZIP is saved, so a sequence is capped by its
+// total pixel count: about 16 s of 1080p at 60 fps, a full minute of 720p at 30
+export const MAX_PNG_PIXELS = 2e9;
+// Matches transitionCamera's tween
+export const TRANSITION_SECONDS = 1.5;
+
+export const frameCount = ({ fps, duration }) => Math.max(1, Math.round(fps * Math.min(duration, MAX_EXPORT_SECONDS)));
+
+// The longest PNG sequence, in whole seconds, a size and frame rate allow
+export const maxPngSeconds = ({ width, height, fps }) =>
+  Math.min(MAX_EXPORT_SECONDS, Math.floor(MAX_PNG_PIXELS / (width * height * fps)));
+
+// Tracer progress (0–1 along the window) on frame i, starting from where the live view was
+export const frameProgress = (i, { fps, speed, start = 0 }) => (((start + (i / fps) * speed) % 1) + 1) % 1;
+
+// frame-0007.png for 7 of 120: zero-padded so file managers sort the sequence correctly
+export const frameName = (i, total, extension = 'png') =>
+  `frame-${String(i).padStart(Math.max(4, String(total - 1).length), '0')}.${extension}`;
+
+// gsap's power2.inOut, so a tour looks exactly like clicking the preset buttons
+export const easeInOut = (x) => (x < 0.5 ? 2 * x * x : 1 - (-2 * x + 2) ** 2 / 2);
+
+// Evenly spaced stops: at each stop's time `at` the camera moves (for up to TRANSITION_SECONDS)
+// from the previous pose to the stop's, then holds until the next one. The tour leaves from
+// `start`, the live camera.
+export function cameraTour(start, stops, duration) {
+  const segment = duration / Math.max(1, stops.length);
+  const keyframes = [{ at: 0, move: 0, pose: start }];
+  let from = start;
+  stops.forEach((stop, i) => {
+    keyframes.push({ at: i * segment, move: Math.min(TRANSITION_SECONDS, segment * 0.6), from, pose: stop });
+    from = stop;
+  });
+  return keyframes;
+}
+
+const lerp = (a, b, x) => a + (b - a) * x;
+const lerpVector = (a, b, x) => a.map((v, i) => lerp(v, b[i], x));
+
+// Camera { position, target, fov } and the active stop at a frame time in seconds
+export function poseAt(keyframes, time) {
+  let current = keyframes[0];
+  for (const keyframe of keyframes) if (keyframe.at <= time) current = keyframe;
+  if (!current.move || !current.from) return { ...current.pose };
+  const x = easeInOut(Math.min(1, (time - current.at) / current.move));
+  const { from, pose } = current;
+  return {
+    ...pose,
+    position: lerpVector(from.position, pose.position, x),
+    target: lerpVector(from.target, pose.target, x),
+    fov: lerp(from.fov, pose.fov, x)
+  };
+}
+
+// Greedy word wrap; CJK text has no spaces, so it may break between any two characters.
+// measure(text) returns the drawn width (ctx.measureText in the browser).
+export function wrapCaption(text, maxWidth, measure) {
+  const lines = [];
+  String(text).split('\n').forEach(paragraph => {
+    const tokens = paragraph.match(/[　-鿿＀-￯]|[^\s　-鿿＀-￯]+\s*|\s+/g) || [''];
+    let line = '';
+    tokens.forEach(token => {
+      if (line && measure(line + token) > maxWidth) {
+        lines.push(line.trimEnd());
+        line = token.trimStart();
+      } else {
+        line += token;
+      }
+    });
+    lines.push(line.trimEnd());
+  });
+  return lines;
+}
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { frameCount, frameProgress, frameName, easeInOut, cameraTour, poseAt, wrapCaption, maxPngSeconds, TRANSITION_SECONDS } from './exportPlan.js';
+
+describe('frame timing', () => {
+  it('counts frames from fps and duration, capped at the maximum length', () => {
+    expect(frameCount({ fps: 30, duration: 4 })).toBe(120);
+    expect(frameCount({ fps: 60, duration: 600 })).toBe(3600);
+  });
+
+  it('caps PNG sequences by their total pixels', () => {
+    expect(maxPngSeconds({ width: 1280, height: 720, fps: 30 })).toBe(60);
+    expect(maxPngSeconds({ width: 1920, height: 1080, fps: 60 })).toBe(16);
+  });
+
+  it('derives the tracer position from the frame index only', () => {
+    const plan = { fps: 30, speed: 0.5, start: 0.9 };
+    expect(frameProgress(0, plan)).toBeCloseTo(0.9, 12);
+    expect(frameProgress(30, plan)).toBeCloseTo(0.4, 12);
+    expect(frameProgress(30, plan)).toBe(frameProgress(30, { ...plan }));
+  });
+
+  it('zero-pads file names so the sequence sorts', () => {
+    expect(frameName(7, 120)).toBe('frame-0007.png');
+    expect(frameName(12345, 20000)).toBe('frame-12345.png');
+  });
+});
+
+describe('camera tour', () => {
+  const start = { position: [8, 6, 10], target: [0, 0, 0], fov: 60 };
+  const top = { id: 'top', position: [0, 15, 0], target: [0, 0, 0], fov: 60 };
+  const f1 = { id: 'f1', position: [0, 0, 12], target: [0, 0, 0], fov: 1.5 };
+
+  it('eases like power2.inOut', () => {
+    expect(easeInOut(0)).toBe(0);
+    expect(easeInOut(0.25)).toBe(0.125);
+    expect(easeInOut(0.5)).toBe(0.5);
+    expect(easeInOut(1)).toBe(1);
+  });
+
+  it('moves to each stop in turn, then holds', () => {
+    const tour = cameraTour(start, [top, f1], 8);
+    expect(poseAt(tour, 0).position).toEqual(start.position);
+    expect(poseAt(tour, TRANSITION_SECONDS / 2).position[1]).toBeCloseTo(10.5, 10);
+    expect(poseAt(tour, 3).position).toEqual(top.position);
+    expect(poseAt(tour, 3).id).toBe('top');
+    expect(poseAt(tour, 4 + TRANSITION_SECONDS).fov).toBe(1.5);
+  });
+
+  it('shortens the move when the stops are close together', () => {
+    const tour = cameraTour(start, [top, f1], 2);
+    expect(tour[2].move).toBeCloseTo(0.6, 12);
+    expect(poseAt(tour, 1.6).position).toEqual(f1.position);
+  });
+});
+
+describe('wrapCaption', () => {
+  const measure = (text) => text.length;
+
+  it('wraps on spaces for Latin text and keeps explicit line breaks', () => {
+    expect(wrapCaption('the quick brown fox\njumps', 10, measure)).toEqual(['the quick', 'brown fox', 'jumps']);
+  });
+
+  it('breaks between CJK characters', () => {
+    expect(wrapCaption('正交意味着独立。', 3, measure)).toEqual(['正交意', '味着独', '立。']);
+  });
+});
@@ -0,0 +1,138 @@
+// --- Expression Parser ---
+// Small recursive-descent parser for user-typed functions of t, e.g. "3t^2 - 1",
+// "exp(-t^2/2)" or "sin(2 pi t)". Compiles to a plain (t) => number closure;
+// nothing is ever passed to eval/Function. Error messages are shown to the user as is.
+
+import { t } from './i18n.js';
+
+const FUNCTIONS = {
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  exp: Math.exp,
+  log: Math.log,
+  ln: Math.log,
+  sqrt: Math.sqrt,
+  abs: Math.abs
+};
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+const SUPERSCRIPTS = { '²': '^2', '³': '^3' };
+
+function tokenize(text) {
+  const source = text.replace(/[²³]/g, c => SUPERSCRIPTS[c]).replace(/π/g, 'pi').replace(/[·×]/g, '*');
+  const tokens = [];
+  const pattern = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z]+)|([-+*/^()]))/iy;
+  let index = 0;
+  while (index < source.length) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(source);
+    if (!match) {
+      if (!source.slice(index).trim()) break;
+      throw new Error(t('expression.unexpectedAt', { char: source[index], position: index + 1 }));
+    }
+    if (match[1]) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    else if (match[2]) tokens.push({ type: 'name', value: match[2].toLowerCase() });
+    else tokens.push({ type: 'op', value: match[3] });
+    index = pattern.lastIndex;
+  }
+  return tokens;
+}
+
+// Grammar:
+//   expr    := term (('+' | '-') term)*
+//   term    := unary (('*' | '/') unary | unary)*      juxtaposition multiplies: 2t, 3(t+1)
+//   unary   := ('-' | '+') unary | power
+//   power   := primary ('^' unary)?                    right-associative
+//   primary := number | 't' | constant | function '(' expr ')' | '(' expr ')'
+export function compileExpression(text) {
+  const tokens = tokenize(String(text));
+  if (!tokens.length) throw new Error(t('expression.empty'));
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) throw new Error(t('expression.expected', { token: value }));
+    pos++;
+  };
+  const startsPrimary = () => {
+    const token = peek();
+    return token && (token.type !== 'op' || token.value === '(');
+  };
+
+  function expr() {
+    let node = term();
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[pos++].value;
+      const left = node, right = term();
+      node = op === '+' ? (t) => left(t) + right(t) : (t) => left(t) - right(t);
+    }
+    return node;
+  }
+
+  function term() {
+    let node = unary();
+    for (;;) {
+      if (isOp('*') || isOp('/')) {
+        const op = tokens[pos++].value;
+        const left = node, right = unary();
+        node = op === '*' ? (t) => left(t) * right(t) : (t) => left(t) / right(t);
+      } else if (startsPrimary()) {
+        const left = node, right = power();
+        node = (t) => left(t) * right(t);
+      } else {
+        return node;
+      }
+    }
+  }
+
+  function unary() {
+    if (isOp('-')) {
+      pos++;
+      const inner = unary();
+      return (t) => -inner(t);
+    }
+    if (isOp('+')) {
+      pos++;
+      return unary();
+    }
+    return power();
+  }
+
+  function power() {
+    const base = primary();
+    if (!isOp('^')) return base;
+    pos++;
+    const exponent = unary();
+    return (t) => base(t) ** exponent(t);
+  }
+
+  function primary() {
+    const token = tokens[pos++];
+    if (!token) throw new Error(t('expression.unexpectedEnd'));
+    if (token.type === 'number') return () => token.value;
+    if (token.type === 'op') {
+      if (token.value !== '(') throw new Error(t('expression.unexpected', { token: token.value }));
+      const inner = expr();
+      expect(')');
+      return inner;
+    }
+    const name = token.value;
+    if (name === 't') return (t) => t;
+    if (name in CONSTANTS) return () => CONSTANTS[name];
+    if (name in FUNCTIONS) {
+      const fn = FUNCTIONS[name];
+      expect('(');
+      const arg = expr();
+      expect(')');
+      return (t) => fn(arg(t));
+    }
+    throw new Error(t('expression.unknownName', { name }));
+  }
+
+  const compiled = expr();
+  if (pos < tokens.length) throw new Error(t('expression.unexpected', { token: tokens[pos].value }));
+  return compiled;
+}
@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { compileExpression } from './expression.js';
+import { t } from './i18n.js';
+
+const at = (text, x) => compileExpression(text)(x);
+
+describe('compileExpression', () => {
+  it('follows the usual precedence, with right-associative powers', () => {
+    expect(at('1 + 2 * t ^ 2', 3)).toBe(19);
+    expect(at('2 ^ 3 ^ 2', 0)).toBe(512);
+    expect(at('-t^2', 3)).toBe(-9);
+    expect(at('(1 - t) / 2', 5)).toBe(-2);
+  });
+
+  it('multiplies juxtaposed terms and reads superscripts', () => {
+    expect(at('3t² - 1', 2)).toBe(11);
+    expect(at('2(t + 1)', 1)).toBe(4);
+    expect(at('2 sin(pi t)', 0.5)).toBeCloseTo(2, 12);
+  });
+
+  it('knows the elementary functions and constants', () => {
+    expect(at('exp(-t^2/2)', 0)).toBe(1);
+    expect(at('sqrt(abs(t))', -4)).toBe(2);
+    expect(at('ln(e)', 0)).toBe(1);
+    expect(at('1.5e2 + .5', 0)).toBe(150.5);
+  });
+
+  it('rejects anything that is not a function of t', () => {
+    expect(() => compileExpression('')).toThrow(t('expression.empty'));
+    expect(() => compileExpression('x + 1')).toThrow(t('expression.unknownName', { name: 'x' }));
+    expect(() => compileExpression('alert(1)')).toThrow(t('expression.unknownName', { name: 'alert' }));
+    expect(() => compileExpression('sin t')).toThrow(t('expression.expected', { token: '(' }));
+    expect(() => compileExpression('(t + 1')).toThrow(t('expression.expected', { token: ')' }));
+    expect(() => compileExpression('t; 1')).toThrow(t('expression.unexpectedAt', { char: ';', position: 2 }));
+  });
+});
@@ -0,0 +1,60 @@
+// --- Fourier Panel ---
+// Harmonic amplitudes √(a_k² + b_k²) with the first N lit (top), and the L2 error of
+// every partial sum S_N on a log scale with the current N marked (bottom).
+
+const ACTIVE = '#ff60ad';
+const INACTIVE = 'rgba(255, 255, 255, 0.2)';
+const ERROR = '#ffd166';
+
+export function drawFourier(canvas, { a, b, l2Errors }, terms) {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const pad = 14;
+  const barBottom = height * 0.5;
+  const errorTop = barBottom + 12;
+  const errorBottom = height - pad;
+  const count = a.length;
+  const slot = (width - 2 * pad) / count;
+  const amplitudes = Array.from(a, (ak, k) => (k ? Math.hypot(ak, b[k]) : Math.abs(ak)));
+  const peak = Math.max(1e-9, ...amplitudes);
+
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = "9px 'Fira Code', monospace";
+
+  amplitudes.forEach((amplitude, k) => {
+    const h = (amplitude / peak) * (barBottom - pad);
+    ctx.fillStyle = k <= terms ? ACTIVE : INACTIVE;
+    ctx.fillRect(pad + k * slot + slot * 0.15, barBottom - h, slot * 0.7, h);
+  });
+  ctx.fillStyle = '#6a7c8a';
+  ctx.fillText('|c_k|', pad, pad - 4);
+
+  // log10 of the error, from the largest error down to 1e-4 of it
+  const top = Math.max(1e-12, l2Errors[0]);
+  const toY = (e) => {
+    const decades = Math.min(4, Math.log10(top / Math.max(e, top * 1e-4)));
+    return errorTop + (decades / 4) * (errorBottom - errorTop);
+  };
+  ctx.strokeStyle = ERROR;
+  ctx.beginPath();
+  l2Errors.forEach((e, n) => {
+    const x = pad + (n + 0.5) * slot;
+    if (n === 0) ctx.moveTo(x, toY(e)); else ctx.lineTo(x, toY(e));
+  });
+  ctx.stroke();
+
+  const markerX = pad + (terms + 0.5) * slot;
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+  ctx.setLineDash([3, 3]);
+  ctx.beginPath();
+  ctx.moveTo(markerX, pad);
+  ctx.lineTo(markerX, errorBottom);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.fillStyle = ERROR;
+  ctx.fillText('‖f − S_N‖ (log)', pad, errorTop + 8);
+  ctx.fillStyle = '#6a7c8a';
+  ctx.textAlign = 'center';
+  ctx.fillText(`N = ${terms}`, Math.min(width - 24, Math.max(24, markerX)), height - 2);
+  ctx.textAlign = 'left';
+}
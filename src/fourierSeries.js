@@ -0,0 +1,130 @@
+// --- Fourier-Series Builder ---
+// A periodic target on one period τ ∈ [0, 1), its coefficients by inner product
+//   a₀ = ∫ f,  a_k = 2∫ f cos(2πkτ),  b_k = 2∫ f sin(2πkτ)
+// and the partial sums S_N with their Gibbs overshoot and L2 error. Headless like signal.js.
+
+export const MAX_HARMONICS = 64;
+// Freehand targets are stored as this many evenly spaced values over one period
+export const DRAWING_POINTS = 64;
+const GRID = 4096;
+const STAT_GRID = 2048;
+
+const frac = (t) => t - Math.floor(t);
+
+// Periodic linear interpolation through the drawn values
+const drawn = (values, tau) => {
+  const position = frac(tau) * values.length;
+  const i = Math.floor(position);
+  const a = values[i % values.length], b = values[(i + 1) % values.length];
+  return a + (b - a) * (position - i);
+};
+
+export const FOURIER_TARGETS = {
+  square: { fn: (tau) => (tau < 0.5 ? 1 : -1) },
+  sawtooth: { fn: (tau) => 2 * tau - 1 },
+  triangle: { fn: (tau) => 1 - 4 * Math.abs(tau - 0.5) },
+  pulse: { fn: (tau, cfg) => (tau < cfg.fourierDuty ? 1 : 0) },
+  freehand: { fn: (tau, cfg) => drawn(cfg.fourierDrawing, tau) }
+};
+
+export const targetValue = (cfg, tau) => (FOURIER_TARGETS[cfg.fourierTarget] || FOURIER_TARGETS.square).fn(frac(tau), cfg);
+
+// The default freehand curve: a lopsided bump, so the first drawing has something to edit
+export const defaultDrawing = () =>
+  Array.from({ length: DRAWING_POINTS }, (_, i) => +(Math.sin((Math.PI * i) / DRAWING_POINTS) ** 3 * 1.5 - 0.5).toFixed(2));
+
+const targetKey = (cfg) => `${cfg.fourierTarget}:${cfg.fourierDuty}:${cfg.fourierTarget === 'freehand' ? cfg.fourierDrawing.join(',') : ''}`;
+
+// Coefficients up to MAX_HARMONICS by midpoint rule, the target's energy ∫f², and the
+// L2 error ‖f − S_N‖ for every N by Parseval. Cached on the target, since samplers run per point.
+let cache = { key: null, series: null };
+export function fourierSeries(cfg) {
+  const key = targetKey(cfg);
+  if (cache.key === key) return cache.series;
+
+  const values = Float64Array.from({ length: GRID }, (_, i) => targetValue(cfg, (i + 0.5) / GRID));
+  const a = new Float64Array(MAX_HARMONICS + 1);
+  const b = new Float64Array(MAX_HARMONICS + 1);
+  let energy = 0;
+  values.forEach(v => {
+    a[0] += v / GRID;
+    energy += (v * v) / GRID;
+  });
+  for (let k = 1; k <= MAX_HARMONICS; k++) {
+    for (let i = 0; i < GRID; i++) {
+      const angle = (2 * Math.PI * k * (i + 0.5)) / GRID;
+      a[k] += (2 * values[i] * Math.cos(angle)) / GRID;
+      b[k] += (2 * values[i] * Math.sin(angle)) / GRID;
+    }
+  }
+
+  // ‖S_N‖² = a₀² + ½ Σ (a_k² + b_k²); the error is what is left of ‖f‖²
+  const l2Errors = new Float64Array(MAX_HARMONICS + 1);
+  let captured = a[0] * a[0];
+  for (let n = 0; n <= MAX_HARMONICS; n++) {
+    if (n > 0) captured += (a[n] * a[n] + b[n] * b[n]) / 2;
+    l2Errors[n] = Math.sqrt(Math.max(0, energy - captured));
+  }
+
+  const series = { a, b, energy, l2Errors, statCache: new Map() };
+  cache = { key, series };
+  return series;
+}
+
+export function partialSum({ a, b }, n, tau) {
+  let sum = a[0];
+  for (let k = 1; k <= n; k++) {
+    const angle = 2 * Math.PI * k * tau;
+    sum += a[k] * Math.cos(angle) + b[k] * Math.sin(angle);
+  }
+  return sum;
+}
+
+// Gibbs overshoot: how far S_N climbs past the target's maximum, as a fraction of the
+// target's peak-to-peak range (≈ 8.95% of the jump for the square wave, for every large N)
+export function seriesStats(cfg, n) {
+  const series = fourierSeries(cfg);
+  if (!series.statCache.has(n)) {
+    let targetMax = -Infinity, targetMin = Infinity, sumMax = -Infinity;
+    for (let i = 0; i < STAT_GRID; i++) {
+      const tau = (i + 0.5) / STAT_GRID;
+      const f = targetValue(cfg, tau);
+      targetMax = Math.max(targetMax, f);
+      targetMin = Math.min(targetMin, f);
+      sumMax = Math.max(sumMax, partialSum(series, n, tau));
+    }
+    const range = targetMax - targetMin;
+    series.statCache.set(n, {
+      overshoot: range > 0 ? Math.max(0, sumMax - targetMax) / range : 0,
+      l2Error: series.l2Errors[n],
+      relativeError: series.energy > 0 ? series.l2Errors[n] / Math.sqrt(series.energy) : 0
+    });
+  }
+  return series.statCache.get(n);
+}
+
+const harmonicsOf = (cfg) => Math.min(MAX_HARMONICS, Math.max(0, Math.round(cfg.fourierTerms)));
+
+// Sampler for the 'fourier' mode: f1 periods of the target in the window (x) and
+// the partial sum of its first fourierTerms harmonics (y)
+export function sampleFourier(cfg, tRelative) {
+  const tau = frac(cfg.f1 * tRelative);
+  return {
+    x: targetValue(cfg, tau) * cfg.amp1,
+    y: partialSum(fourierSeries(cfg), harmonicsOf(cfg), tau) * cfg.amp2
+  };
+}
+
+// The partial sum as PeriodicWave coefficients (index = harmonic): exact, no resampling
+export function partialSumWave(cfg) {
+  const { a, b } = fourierSeries(cfg);
+  const n = harmonicsOf(cfg);
+  // createPeriodicWave wants at least the DC and first-harmonic slots
+  const real = new Float32Array(Math.max(2, n + 1));
+  const imag = new Float32Array(Math.max(2, n + 1));
+  for (let k = 1; k <= n; k++) {
+    real[k] = a[k] * cfg.amp2;
+    imag[k] = b[k] * cfg.amp2;
+  }
+  return { real, imag };
+}
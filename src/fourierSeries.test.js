@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import {
+  fourierSeries, partialSum, seriesStats, sampleFourier, partialSumWave, targetValue, defaultDrawing, DRAWING_POINTS
+} from './fourierSeries.js';
+import { renderAudioCycle, AUDIO_BASE_HZ } from './signal.js';
+
+const CFG = {
+  mode: 'fourier', fourierTarget: 'square', fourierTerms: 9, fourierDuty: 0.25, fourierDrawing: defaultDrawing(),
+  f1: 2, f2: 3, amp1: 1, amp2: 1, phase: 0, points: 1200, length: 12
+};
+
+describe('Fourier coefficients', () => {
+  it('finds 4/(πk) on the odd sine terms of a square wave and nothing else', () => {
+    const { a, b } = fourierSeries(CFG);
+    for (let k = 1; k <= 9; k++) {
+      expect(a[k]).toBeCloseTo(0, 6);
+      expect(b[k]).toBeCloseTo(k % 2 ? 4 / (Math.PI * k) : 0, 5);
+    }
+    expect(a[0]).toBeCloseTo(0, 10);
+  });
+
+  it('gives a pulse its duty cycle as DC', () => {
+    const { a } = fourierSeries({ ...CFG, fourierTarget: 'pulse', fourierDuty: 0.3 });
+    expect(a[0]).toBeCloseTo(0.3, 3);
+  });
+
+  it('interpolates the freehand drawing periodically', () => {
+    const drawing = Array.from({ length: DRAWING_POINTS }, (_, i) => (i === 1 ? 1 : 0));
+    const cfg = { ...CFG, fourierTarget: 'freehand', fourierDrawing: drawing };
+    expect(targetValue(cfg, 1.5 / DRAWING_POINTS)).toBeCloseTo(0.5, 12);
+    expect(targetValue(cfg, 1 + 1 / DRAWING_POINTS)).toBeCloseTo(1, 12);
+  });
+});
+
+describe('partial sums', () => {
+  it('keeps the Gibbs overshoot near 9% of the jump however many terms are added', () => {
+    [15, 31, 63].forEach(n => expect(seriesStats(CFG, n).overshoot).toBeCloseTo(0.0895, 2));
+    expect(seriesStats({ ...CFG, fourierTarget: 'triangle' }, 31).overshoot).toBeLessThan(1e-3);
+  });
+
+  it('matches the Parseval L2 error with the directly integrated one', () => {
+    const series = fourierSeries(CFG);
+    const n = 5, grid = 8192;
+    let direct = 0;
+    for (let i = 0; i < grid; i++) {
+      const tau = (i + 0.5) / grid;
+      direct += (targetValue(CFG, tau) - partialSum(series, n, tau)) ** 2 / grid;
+    }
+    expect(seriesStats(CFG, n).l2Error).toBeCloseTo(Math.sqrt(direct), 3);
+  });
+
+  it('never increases the error and converges faster for the continuous triangle', () => {
+    const { l2Errors } = fourierSeries(CFG);
+    for (let n = 1; n < l2Errors.length; n++) expect(l2Errors[n]).toBeLessThanOrEqual(l2Errors[n - 1] + 1e-12);
+    expect(seriesStats({ ...CFG, fourierTarget: 'triangle' }, 15).relativeError)
+      .toBeLessThan(seriesStats(CFG, 15).relativeError / 10);
+  });
+
+  it('samples f1 periods of the target on x and the partial sum on y', () => {
+    const { x, y } = sampleFourier({ ...CFG, amp2: 0.5 }, 0.6);
+    // f1 · 0.6 = 1.2 periods in: τ = 0.2, the high half of the square wave
+    expect(x).toBe(1);
+    expect(y).toBeCloseTo(0.5 * partialSum(fourierSeries(CFG), 9, 0.2), 12);
+  });
+});
+
+describe('audio', () => {
+  it('plays the partial sum coefficients at f1 · 110 Hz with y silent', () => {
+    const cycle = renderAudioCycle({ ...CFG, fourierTerms: 3 });
+    expect(cycle.rate).toBe(2 * AUDIO_BASE_HZ);
+    expect(cycle.x.imag[1]).toBeCloseTo(4 / Math.PI, 5);
+    expect(cycle.x.imag).toHaveLength(4);
+    expect(Array.from(cycle.y.imag)).toEqual([0, 0]);
+    expect(partialSumWave({ ...CFG, fourierTerms: 0 }).real).toHaveLength(2);
+  });
+});
@@ -0,0 +1,22 @@
+// --- Frame Timing ---
+// Rolling averages behind the on-screen readout: the time between frames (and so the frame
+// rate) and the time the geometry updates took, each over the last `size` measurements.
+
+export function createFrameMeter(size = 60) {
+  const frames = [];
+  const updates = [];
+  const push = (list, ms) => {
+    list.push(ms);
+    if (list.length > size) list.shift();
+  };
+  const mean = (list) => (list.length ? list.reduce((sum, ms) => sum + ms, 0) / list.length : 0);
+
+  return {
+    frame: (ms) => push(frames, ms),
+    geometry: (ms) => push(updates, ms),
+    summary() {
+      const frame = mean(frames);
+      return { frame, fps: frame > 0 ? 1000 / frame : 0, geometry: mean(updates) };
+    }
+  };
+}
@@ -0,0 +1,16 @@
+import { describe, it, expect } from 'vitest';
+import { createFrameMeter } from './frameMeter.js';
+
+describe('frame meter', () => {
+  it('averages frame and geometry times over a rolling window', () => {
+    const meter = createFrameMeter(3);
+    expect(meter.summary()).toEqual({ frame: 0, fps: 0, geometry: 0 });
+    [100, 20, 20, 20].forEach(ms => meter.frame(ms));
+    meter.geometry(3);
+    meter.geometry(5);
+    const { frame, fps, geometry } = meter.summary();
+    expect(frame).toBe(20);
+    expect(fps).toBe(50);
+    expect(geometry).toBe(4);
+  });
+});
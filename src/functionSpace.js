@@ -0,0 +1,70 @@
+// --- Function-Space Vectors ---
+// The two signals as arrows. Each is projected onto three basis functions, orthonormalized
+// under the mode's inner product (projectOntoBasis), and the three coordinates are the
+// arrow. The angle and the projection of f2 onto f1 come from the full inner product the
+// stats bar reports, so they are exact; the arrows show them faithfully only when both
+// signals lie in the span of the basis, which `captured` measures. Headless like signal.js.
+
+import { getLegendre } from './signal.js';
+import { evaluatePoly } from './polynomials.js';
+import { projectOntoBasis } from './projection.js';
+import { num, polySymbol } from './equation.js';
+
+export const VECTOR_BASES = ['auto', 'trig', 'poly'];
+
+// Families whose slider order m sits under every degree (P_n^m needs n ≥ m)
+const ORDERED = ['associatedLegendre', 'spherical'];
+
+// Poly mode looks best in polynomials, everything else in sin f1, cos f1, sin f2
+export const resolveBasis = (cfg, id) => (id === 'auto' ? (cfg.mode === 'poly' ? 'poly' : 'trig') : id);
+
+// Three terms { tex, fn(tRelative) } on the grid of sampleSignals. The trig basis is
+// sin and cos at the X signal's frequency, which hold f1 at any phase, and the Y signal's
+// own sine, so f2 is drawn whole too (sin 2f1 when f2 = f1 adds nothing new). Poly mode's
+// own family keeps its interval and degree order.
+export function vectorBasis(cfg, id) {
+  if (resolveBasis(cfg, id) === 'poly') {
+    if (cfg.mode === 'poly') {
+      const first = ORDERED.includes(cfg.polyFamily) ? cfg.polyOrder || 0 : 0;
+      return {
+        terms: [first, first + 1, first + 2].map(n => ({ tex: polySymbol(cfg, n), fn: (t) => evaluatePoly(cfg, n, t) }))
+      };
+    }
+    // Legendre over the window, mapped onto [-1, 1]
+    return {
+      terms: [0, 1, 2].map(n => ({ tex: `P_{${n}}(2t-1)`, fn: (t) => getLegendre(n, 2 * t - 1) }))
+    };
+  }
+  const f = cfg.multi ? cfg.components[cfg.axisX].f : cfg.f1;
+  const { f: g, phase = 0 } = cfg.multi ? cfg.components[cfg.axisY] : { f: cfg.f2, phase: cfg.phase };
+  const shift = phase ? ` + ${num(phase)}^\\circ` : '';
+  const third = g === f
+    ? { tex: `\\sin(2\\pi\\cdot ${num(2 * f)}\\,t)`, fn: (t) => Math.sin(4 * Math.PI * f * t) }
+    : { tex: `\\sin(2\\pi\\cdot ${num(g)}\\,t${shift})`, fn: (t) => Math.sin(2 * Math.PI * g * t + (phase * Math.PI) / 180) };
+  return {
+    terms: [
+      { tex: `\\sin(2\\pi\\cdot ${num(f)}\\,t)`, fn: (t) => Math.sin(2 * Math.PI * f * t) },
+      { tex: `\\cos(2\\pi\\cdot ${num(f)}\\,t)`, fn: (t) => Math.cos(2 * Math.PI * f * t) },
+      third
+    ]
+  };
+}
+
+// samples: sampleSignals' result, whose quadrature weights (Poly mode) define the inner
+// product as they do for the stats; stats: measureOrthogonality's. Returns the arrows' coordinates,
+// the share of each signal's energy inside the basis, θ = arccos(corr) in degrees, and the
+// projection of f2 onto f1, (⟨f1, f2⟩ / ⟨f1, f1⟩) f1, as a multiple of the f1 arrow.
+export function functionVectors(samples, stats, basis) {
+  const terms = { terms: basis.terms, weight: samples.weight };
+  const x = projectOntoBasis(samples.x, terms);
+  const y = projectOntoBasis(samples.y, terms);
+  const corr = Math.max(-1, Math.min(1, stats.corr));
+  return {
+    labels: basis.terms.map(term => term.tex),
+    x: Array.from(x.coefficients),
+    y: Array.from(y.coefficients),
+    captured: { x: x.captured[3], y: y.captured[3] },
+    theta: (Math.acos(corr) * 180) / Math.PI,
+    scale: stats.power1 > 0 ? stats.integral / stats.power1 : 0
+  };
+}
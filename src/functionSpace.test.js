@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { VECTOR_BASES, resolveBasis, vectorBasis, functionVectors } from './functionSpace.js';
+import { measureSignals } from './signal.js';
+
+const BASE = {
+  f1: 2, f2: 2, amp1: 1, amp2: 1, phase: 0, points: 2400, length: 12, mode: 'sine', multi: false,
+  combination: 'sum', polyFamily: 'legendre', polyWeighted: true, polyOrder: 0
+};
+
+const view = (overrides, basis = 'auto') => {
+  const cfg = { ...BASE, ...overrides };
+  const { samples, stats } = measureSignals(cfg);
+  return functionVectors(samples, stats, vectorBasis(cfg, basis));
+};
+
+const angle = (a, b) => {
+  const dot = a.reduce((sum, v, i) => sum + v * b[i], 0);
+  return (Math.acos(dot / Math.hypot(...a) / Math.hypot(...b)) * 180) / Math.PI;
+};
+
+describe('vectorBasis', () => {
+  it('picks polynomials for Poly mode and sin f1, cos f1, sin f2 otherwise', () => {
+    expect(VECTOR_BASES).toContain('auto');
+    expect(resolveBasis(BASE, 'auto')).toBe('trig');
+    expect(resolveBasis({ ...BASE, mode: 'poly' }, 'auto')).toBe('poly');
+    expect(resolveBasis({ ...BASE, mode: 'poly' }, 'trig')).toBe('trig');
+    expect(vectorBasis({ ...BASE, f1: 1.5, f2: 1.5 }, 'trig').terms.map(term => term.tex)).toEqual([
+      '\\sin(2\\pi\\cdot 1.5\\,t)', '\\cos(2\\pi\\cdot 1.5\\,t)', '\\sin(2\\pi\\cdot 3\\,t)'
+    ]);
+    expect(vectorBasis({ ...BASE, f2: 3, phase: 45 }, 'trig').terms[2].tex).toBe('\\sin(2\\pi\\cdot 3\\,t + 45^\\circ)');
+    expect(vectorBasis(BASE, 'poly').terms[2].tex).toBe('P_{2}(2t-1)');
+    const ordered = vectorBasis({ ...BASE, mode: 'poly', polyFamily: 'associatedLegendre', polyOrder: 1 }, 'auto');
+    expect(ordered.terms.map(term => term.tex)).toEqual(['P_{1}^{1}', 'P_{2}^{1}', 'P_{3}^{1}']);
+  });
+});
+
+describe('functionVectors', () => {
+  it('draws sin and cos at the same frequency as perpendicular arrows', () => {
+    const v = view({ phase: 90 });
+    expect(v.theta).toBeCloseTo(90, 3);
+    expect(v.scale).toBeCloseTo(0, 6);
+    expect(v.captured.x).toBeCloseTo(1, 6);
+    expect(v.captured.y).toBeCloseTo(1, 6);
+    expect(Math.abs(v.x[1])).toBeLessThan(1e-9);
+    expect(Math.abs(v.y[0])).toBeLessThan(1e-9);
+  });
+
+  it('matches the arrows to θ = arccos(corr) and scales the projection with the amplitudes', () => {
+    const v = view({ phase: 60, amp2: 2 });
+    expect(v.theta).toBeCloseTo(60, 3);
+    expect(angle(v.x, v.y)).toBeCloseTo(60, 3);
+    expect(v.scale).toBeCloseTo(2 * 0.5, 3);
+    expect(Math.hypot(...v.y) / Math.hypot(...v.x)).toBeCloseTo(2, 6);
+  });
+
+  it('puts f2 on the third axis, so the default pair is drawn whole', () => {
+    // The page's defaults: f1 = 2, f2 = 3
+    const pair = view({ f2: 3 });
+    expect(pair.theta).toBeCloseTo(90, 3);
+    expect(Math.hypot(...pair.y)).toBeGreaterThan(0.5);
+    expect(Math.abs(pair.y[2])).toBeCloseTo(Math.hypot(...pair.y), 6);
+    expect(pair.captured.y).toBeCloseTo(1, 6);
+    expect(view({ f2: 3, phase: 30 }).captured.y).toBeCloseTo(1, 6);
+  });
+
+  it('reports what the basis misses', () => {
+    const square = view({ mode: 'square', f1: 3, f2: 5, walshSize: 16 });
+    expect(square.captured.x).toBeLessThan(0.99);
+  });
+
+  it('uses the weighted inner product of the active polynomial family', () => {
+    const v = view({ mode: 'poly', f1: 1, f2: 2 });
+    expect(v.labels).toEqual(['P_{0}', 'P_{1}', 'P_{2}']);
+    expect(v.theta).toBeCloseTo(90, 2);
+    expect(v.captured.x).toBeCloseTo(1, 6);
+    expect(Math.abs(v.x[0]) + Math.abs(v.x[2])).toBeLessThan(1e-9);
+    const chebyshev = view({ mode: 'poly', polyFamily: 'chebyshevT', f1: 0, f2: 2 });
+    expect(angle(chebyshev.x, chebyshev.y)).toBeCloseTo(chebyshev.theta, 3);
+  });
+});
@@ -0,0 +1,185 @@
+// --- Gram–Schmidt Playground ---
+// Orthonormalizes up to five user-typed functions of t on [a, b] under a weight w(t),
+// one recorded step at a time. Every intermediate vector is kept as coefficients over
+// the input functions, so any step can be evaluated exactly at any t (curves and tracer),
+// while inner products come from the weighted Gram matrix of the inputs.
+
+import { compileExpression } from './expression.js';
+import { getLegendre } from './signal.js';
+import { t, getLocale } from './i18n.js';
+
+export const MAX_FUNCTIONS = 5;
+
+// Singular weights return 0 outside their support; integrals only use interior midpoints
+export const WEIGHTS = {
+  uniform: { label: 'w(t) = 1', fn: () => 1 },
+  chebyshev: { label: 'w(t) = 1/√(1−t²)', fn: (t) => (t * t < 1 ? 1 / Math.sqrt(1 - t * t) : 0) },
+  gaussian: { label: 'w(t) = e^(−t²)', fn: (t) => Math.exp(-t * t) },
+  exponential: { label: 'w(t) = e^(−t)', fn: (t) => Math.exp(-t) }
+};
+
+const GRID = 4000;
+// Residual norms below this fraction of the input's own norm mean "already in the span"
+const DEPENDENT = 1e-7;
+
+const dot = (u, gram, v) => {
+  let sum = 0;
+  for (let i = 0; i < u.length; i++) {
+    if (!u[i]) continue;
+    for (let j = 0; j < v.length; j++) sum += u[i] * gram[i][j] * v[j];
+  }
+  return sum;
+};
+const scale = (u, c) => u.map(value => value * c);
+const subtract = (u, v) => u.map((value, i) => value - v[i]);
+const unit = (k, size) => Array.from({ length: size }, (_, i) => (i === k ? 1 : 0));
+
+// Steps, in order, for every input k:
+//   start      – v = f_k
+//   project    – subtract <v, e_j> e_j for each earlier e_j (modified Gram–Schmidt)
+//   normalize  – e_k = v / ||v||   (or "dependent" when v vanished)
+// followed by one final "done" step.
+export function runGramSchmidt(expressions, { a = -1, b = 1, weight = 'uniform' } = {}) {
+  if (!(b > a)) throw new Error(t('gs.errors.interval'));
+  const texts = expressions.map(e => String(e).trim()).filter(Boolean).slice(0, MAX_FUNCTIONS);
+  if (!texts.length) throw new Error(t('gs.errors.empty'));
+  const functions = texts.map((text, i) => {
+    try {
+      return compileExpression(text);
+    } catch (err) {
+      throw new Error(t('gs.errors.function', { index: i + 1, message: err.message }));
+    }
+  });
+  const w = (WEIGHTS[weight] || WEIGHTS.uniform).fn;
+
+  // Weighted Gram matrix of the inputs, midpoint rule
+  const size = functions.length;
+  const h = (b - a) / GRID;
+  const gram = Array.from({ length: size }, () => new Array(size).fill(0));
+  for (let g = 0; g < GRID; g++) {
+    const t = a + (g + 0.5) * h;
+    const weightAt = w(t) * h;
+    const values = functions.map(fn => fn(t));
+    for (let i = 0; i < size; i++) {
+      for (let j = i; j < size; j++) gram[i][j] += values[i] * values[j] * weightAt;
+    }
+  }
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j < i; j++) gram[i][j] = gram[j][i];
+    if (!Number.isFinite(gram[i][i])) throw new Error(t('gs.errors.notFinite', { index: i + 1, a, b }));
+  }
+
+  const zero = new Array(size).fill(0);
+  const basis = [];
+  const steps = [];
+  for (let k = 0; k < size; k++) {
+    let v = unit(k, size);
+    steps.push({ type: 'start', k, before: v, after: v, projection: zero });
+    basis.forEach((e, j) => {
+      if (!e) return;
+      const coefficient = dot(v, gram, e);
+      const projection = scale(e, coefficient);
+      const after = subtract(v, projection);
+      steps.push({ type: 'project', k, j, coefficient, before: v, after, projection });
+      v = after;
+    });
+    const norm = Math.sqrt(Math.max(0, dot(v, gram, v)));
+    if (norm <= DEPENDENT * Math.sqrt(gram[k][k])) {
+      basis.push(null);
+      steps.push({ type: 'dependent', k, before: v, after: v, projection: zero });
+    } else {
+      const e = scale(v, 1 / norm);
+      basis.push(e);
+      steps.push({ type: 'normalize', k, norm, before: v, after: e, projection: zero });
+    }
+  }
+  steps.push({ type: 'done' });
+
+  const run = { texts, functions, a, b, weight, w, gram, basis, steps };
+  run.displayScale = displayScale(run);
+  return run;
+}
+
+// Shrinks the drawing (never the maths) when √w·f leaves the ±2 box of the scene
+function displayScale(run) {
+  let peak = 0;
+  const vectors = [...run.functions.map((_, k) => unit(k, run.functions.length)), ...run.basis.filter(Boolean)];
+  for (let i = 0; i <= 200; i++) {
+    const t = run.a + ((run.b - run.a) * (i + 0.5)) / 201;
+    const root = Math.sqrt(run.w(t));
+    vectors.forEach(v => { peak = Math.max(peak, Math.abs(root * evaluateCombination(run, v, t))); });
+  }
+  return peak > 2 ? 2 / peak : 1;
+}
+
+// Σ c_i f_i(t)
+export const evaluateCombination = (run, coefficients, t) =>
+  coefficients.reduce((sum, c, i) => (c ? sum + c * run.functions[i](t) : sum), 0);
+
+// What the 3D view shows at a step: x = the vector being built, y = the piece
+// subtracted from it (or its predecessor in the basis), ghost = x before the step
+export function stepFrame(run, index) {
+  const step = run.steps[Math.min(Math.max(0, index), run.steps.length - 1)];
+  const zero = new Array(run.functions.length).fill(0);
+  if (step.type === 'done') {
+    const done = run.basis.filter(Boolean);
+    return { step, x: done[done.length - 1], y: done.length > 1 ? done[done.length - 2] : zero, ghost: null };
+  }
+  if (step.type === 'normalize') {
+    const previous = run.basis.slice(0, step.k).filter(Boolean);
+    return { step, x: step.after, y: previous.length ? previous[previous.length - 1] : zero, ghost: step.before };
+  }
+  return { step, x: step.after, y: step.projection, ghost: step.type === 'project' ? step.before : null };
+}
+
+// Orthonormal e_n against √((2n+1)/2)·P_n on [-1, 1] with w = 1.
+// Returns the largest deviation over a grid, or null when the setup is not the Legendre one.
+export function legendreDeviation(run, samples = 201) {
+  if (run.a !== -1 || run.b !== 1 || run.weight !== 'uniform') return null;
+  let worst = 0;
+  run.basis.forEach((e, n) => {
+    if (!e) {
+      worst = Infinity;
+      return;
+    }
+    const scaleN = Math.sqrt((2 * n + 1) / 2);
+    for (let i = 0; i < samples; i++) {
+      const t = -1 + (2 * i) / (samples - 1);
+      worst = Math.max(worst, Math.abs(evaluateCombination(run, e, t) - scaleN * getLegendre(n, t)));
+    }
+  });
+  return worst;
+}
+
+// The run for cfg.gsExpressions/gsA/gsB/gsWeight, cached since samplers run per point.
+// Holds { run } or { error } so a typo leaves flat curves instead of throwing mid-frame.
+let cache = { key: null, result: null };
+export function gramSchmidtFor(cfg) {
+  // The locale is in the key so an error message is re-translated after a language switch
+  const key = `${cfg.gsExpressions.join('|')}:${cfg.gsA}:${cfg.gsB}:${cfg.gsWeight}:${getLocale()}`;
+  if (cache.key !== key) {
+    let result;
+    try {
+      result = { run: runGramSchmidt(cfg.gsExpressions, { a: cfg.gsA, b: cfg.gsB, weight: cfg.gsWeight }) };
+    } catch (err) {
+      result = { error: err.message };
+    }
+    cache = { key, result };
+  }
+  return cache.result;
+}
+
+// Sampler for the 'gs' mode: tRelative spans [a, b]. Curves show √w·f, so the plain
+// area under x·y in the 3D view (and the Correlation readout) is the weighted inner product.
+export function sampleGramSchmidt(cfg, tRelative) {
+  const { run } = gramSchmidtFor(cfg);
+  if (!run) return { x: 0, y: 0, ghost: null };
+  const frame = stepFrame(run, cfg.gsStep);
+  const t = run.a + (run.b - run.a) * tRelative;
+  const root = Math.sqrt(run.w(t)) * run.displayScale;
+  return {
+    x: frame.x ? root * evaluateCombination(run, frame.x, t) : 0,
+    y: frame.y ? root * evaluateCombination(run, frame.y, t) : 0,
+    ghost: frame.ghost ? root * evaluateCombination(run, frame.ghost, t) : null
+  };
+}
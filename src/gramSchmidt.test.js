@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import {
+  runGramSchmidt,
+  evaluateCombination,
+  legendreDeviation,
+  sampleGramSchmidt,
+  stepFrame
+} from './gramSchmidt.js';
+import { t } from './i18n.js';
+import { getLegendre, measureOrthogonality, sampleSignals } from './signal.js';
+
+const MONOMIALS = ['1', 't', 't^2', 't^3', 't^4'];
+const dot = (run, u, v) => u.reduce((sum, ui, i) => sum + v.reduce((s, vj, j) => s + ui * run.gram[i][j] * vj, 0), 0);
+
+describe('runGramSchmidt', () => {
+  it('records start, one projection per earlier vector, normalize, then done', () => {
+    const run = runGramSchmidt(['1', 't', 't^2']);
+    expect(run.steps.map(s => s.type)).toEqual([
+      'start', 'normalize',
+      'start', 'project', 'normalize',
+      'start', 'project', 'project', 'normalize',
+      'done'
+    ]);
+  });
+
+  it('produces an orthonormal set under the weight', () => {
+    ['uniform', 'chebyshev', 'gaussian'].forEach(weight => {
+      const run = runGramSchmidt(MONOMIALS.slice(0, 4), { a: -1, b: 1, weight });
+      run.basis.forEach((u, i) => run.basis.forEach((v, j) => {
+        expect(dot(run, u, v)).toBeCloseTo(i === j ? 1 : 0, 8);
+      }));
+    });
+  });
+
+  it('leaves each projected residual orthogonal to the vector it was projected on', () => {
+    const run = runGramSchmidt(['exp(t)', 'sin(3t)', 't'], { a: 0, b: 2 });
+    run.steps.filter(s => s.type === 'project').forEach(s => {
+      expect(dot(run, s.after, run.basis[s.j])).toBeCloseTo(0, 10);
+    });
+  });
+
+  it('turns 1, t, t², … on [-1, 1] into normalized Legendre polynomials', () => {
+    const run = runGramSchmidt(MONOMIALS);
+    expect(legendreDeviation(run)).toBeLessThan(1e-4);
+    expect(evaluateCombination(run, run.basis[3], 0.4)).toBeCloseTo(Math.sqrt(7 / 2) * getLegendre(3, 0.4), 5);
+    expect(legendreDeviation(runGramSchmidt(MONOMIALS, { weight: 'chebyshev' }))).toBeNull();
+    expect(legendreDeviation(runGramSchmidt(['1', 'cos(t)']))).toBeGreaterThan(0.01);
+  });
+
+  it('flags functions already in the span', () => {
+    const run = runGramSchmidt(['1', 't', '2t - 3']);
+    expect(run.basis[2]).toBeNull();
+    expect(run.steps.some(s => s.type === 'dependent' && s.k === 2)).toBe(true);
+  });
+
+  it('explains what is wrong with the input', () => {
+    expect(() => runGramSchmidt(['1', 't +'])).toThrow(t('gs.errors.function', { index: 2, message: t('expression.unexpectedEnd') }));
+    expect(() => runGramSchmidt(['1'], { a: 1, b: 1 })).toThrow(t('gs.errors.interval'));
+    expect(() => runGramSchmidt(['', ' '])).toThrow(t('gs.errors.empty'));
+    expect(() => runGramSchmidt(['1/t'], { a: -1, b: 1 })).not.toThrow();
+    expect(() => runGramSchmidt(['1/(t-t)'])).toThrow(t('gs.errors.notFinite', { index: 1, a: -1, b: 1 }));
+  });
+});
+
+describe('gs sampler', () => {
+  const CFG = {
+    mode: 'gs', points: 1200, length: 12,
+    gsExpressions: ['1', 't', 't^2', '', ''], gsA: -1, gsB: 1, gsWeight: 'uniform', gsStep: 0
+  };
+
+  it('shows the residual after a projection orthogonal to what was subtracted', () => {
+    const run = runGramSchmidt(CFG.gsExpressions);
+    const index = run.steps.findIndex(s => s.type === 'project' && s.k === 2 && s.j === 0);
+    const frame = stepFrame(run, index);
+    expect(frame.ghost).toBe(run.steps[index].before);
+    // t² minus its mean 1/3
+    expect(sampleGramSchmidt({ ...CFG, gsStep: index }, 0.5).x).toBeCloseTo(-1 / 3, 6);
+    expect(sampleGramSchmidt({ ...CFG, gsStep: index }, 0.5).y).toBeCloseTo(1 / 3, 6);
+  });
+
+  it('draws √w·f so the plain correlation readout is the weighted inner product', () => {
+    const cfg = { ...CFG, gsWeight: 'gaussian', gsA: -3, gsB: 3 };
+    const last = runGramSchmidt(cfg.gsExpressions).steps.length - 1;
+    expect(Math.abs(measureOrthogonality(sampleSignals({ ...cfg, gsStep: last })).corr)).toBeLessThan(0.01);
+  });
+
+  it('keeps flat curves when the input does not parse', () => {
+    expect(sampleGramSchmidt({ ...CFG, gsExpressions: ['sin('] }, 0.3)).toEqual({ x: 0, y: 0, ghost: null });
+  });
+});
@@ -0,0 +1,73 @@
+// --- Gram–Schmidt Panel ---
+// The orthonormal functions finished so far, each as √w·e_k over [a, b],
+// plus the step list with the coefficient of every projection.
+
+import { evaluateCombination } from './gramSchmidt.js';
+import { t } from './i18n.js';
+
+const SAMPLES = 160;
+
+export function drawGramSchmidt(canvas, run, stepIndex, colors) {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const pad = 12;
+  ctx.clearRect(0, 0, width, height);
+
+  // Basis vectors normalized at or before the current step
+  const finished = run.steps
+    .slice(0, stepIndex + 1)
+    .filter(s => s.type === 'normalize')
+    .map(s => ({ k: s.k, e: run.basis[s.k] }));
+
+  const curves = finished.map(({ k, e }) => {
+    const values = new Float64Array(SAMPLES);
+    for (let i = 0; i < SAMPLES; i++) {
+      const t = run.a + ((run.b - run.a) * (i + 0.5)) / SAMPLES;
+      values[i] = Math.sqrt(run.w(t)) * evaluateCombination(run, e, t);
+    }
+    return { k, values };
+  });
+  const peak = Math.max(1e-9, ...curves.flatMap(c => Array.from(c.values, Math.abs)));
+  const toX = (i) => pad + (i / (SAMPLES - 1)) * (width - 2 * pad);
+  const toY = (v) => height / 2 - (v / peak) * (height / 2 - pad);
+
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.12)';
+  ctx.beginPath();
+  ctx.moveTo(pad, height / 2);
+  ctx.lineTo(width - pad, height / 2);
+  ctx.stroke();
+
+  ctx.font = "9px 'Fira Code', monospace";
+  ctx.fillStyle = '#6a7c8a';
+  ctx.fillText(String(run.a), pad, height - 2);
+  ctx.textAlign = 'right';
+  ctx.fillText(String(run.b), width - pad, height - 2);
+  ctx.textAlign = 'left';
+
+  curves.forEach(({ k, values }) => {
+    ctx.strokeStyle = colors[k % colors.length];
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    values.forEach((v, i) => (i ? ctx.lineTo(toX(i), toY(v)) : ctx.moveTo(toX(i), toY(v))));
+    ctx.stroke();
+    ctx.fillStyle = colors[k % colors.length];
+    ctx.fillText(`e${k + 1}`, pad + 2 + k * 22, pad);
+  });
+  ctx.lineWidth = 1;
+}
+
+// One line per step up to the current one, newest last
+export function renderStepList(list, run, stepIndex) {
+  list.innerHTML = '';
+  run.steps.slice(0, stepIndex + 1).forEach((step, i) => {
+    const item = document.createElement('li');
+    item.classList.toggle('current', i === stepIndex);
+    if (step.type === 'start') item.textContent = `v = f${step.k + 1} = ${run.texts[step.k]}`;
+    else if (step.type === 'project') item.textContent = `v −= ${step.coefficient.toFixed(3)} · e${step.j + 1}`;
+    else if (step.type === 'normalize') item.textContent = `e${step.k + 1} = v / ${step.norm.toFixed(3)}`;
+    else if (step.type === 'dependent') item.textContent = t('gs.stepDependent', { k: step.k + 1 });
+    else item.textContent = t('gs.stepDone');
+    list.appendChild(item);
+  });
+  list.scrollTop = list.scrollHeight;
+}
@@ -0,0 +1,76 @@
+// --- Interface Language ---
+// Every display string lives in src/locales/<code>.json under a dot-path key; t(key, params)
+// looks it up in the active locale and fills {name} placeholders. Keys missing from a
+// locale fall back to zh-CN, the language the app was written in, then to the key itself.
+// The page's static text is marked up with data-i18n attributes and filled by translatePage().
+
+import zhCN from './locales/zh-CN.json';
+import en from './locales/en.json';
+
+export const LOCALES = {
+  'zh-CN': { name: '中文', messages: zhCN },
+  en: { name: 'English', messages: en }
+};
+export const DEFAULT_LOCALE = 'zh-CN';
+export const STORAGE_KEY = 'orthogonality-locale';
+
+let current = DEFAULT_LOCALE;
+const listeners = new Set();
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), messages);
+
+// {name} → params.name; placeholders without a value are left as they are
+export const interpolate = (text, params = {}) =>
+  text.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+
+export function t(key, params) {
+  const text = lookup(LOCALES[current].messages, key) ?? lookup(LOCALES[DEFAULT_LOCALE].messages, key);
+  return typeof text === 'string' ? interpolate(text, params) : key;
+}
+
+export const getLocale = () => current;
+
+// Browser language to a supported locale: any Chinese variant → zh-CN, any other language → en
+export function matchLocale(language) {
+  if (!language) return DEFAULT_LOCALE;
+  if (LOCALES[language]) return language;
+  return /^zh\b/i.test(language) ? 'zh-CN' : 'en';
+}
+
+export function setLocale(code, storage = globalThis.localStorage) {
+  if (!LOCALES[code]) throw new Error(`Unknown locale "${code}"`);
+  try {
+    storage?.setItem(STORAGE_KEY, code);
+  } catch {
+    // Private mode or disabled storage: the choice just isn't remembered
+  }
+  if (code === current) return;
+  current = code;
+  listeners.forEach(fn => fn(code));
+}
+
+// The stored choice, else the browser's language
+export function initLocale(storage = globalThis.localStorage, language = globalThis.navigator?.language) {
+  let stored = null;
+  try {
+    stored = storage?.getItem(STORAGE_KEY);
+  } catch {
+    stored = null;
+  }
+  current = LOCALES[stored] ? stored : matchLocale(language);
+  return current;
+}
+
+export function onLocaleChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+// data-i18n fills textContent, data-i18n-title the tooltip, data-i18n-placeholder an input's hint
+export function translatePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+  root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+  document.documentElement.lang = current;
+  document.title = t('app.title');
+}
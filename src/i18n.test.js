@@ -0,0 +1,72 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { LOCALES, DEFAULT_LOCALE, STORAGE_KEY, t, interpolate, getLocale, setLocale, initLocale, matchLocale, onLocaleChange } from './i18n.js';
+
+const fakeStorage = (initial = {}) => {
+  const data = { ...initial };
+  return { getItem: (k) => data[k] ?? null, setItem: (k, v) => { data[k] = v; }, data };
+};
+
+// Flattened dot-path keys → strings
+const flatten = (node, prefix = '') => Object.entries(node).flatMap(([key, value]) =>
+  typeof value === 'string' ? [[prefix + key, value]] : flatten(value, `${prefix}${key}.`));
+
+const placeholders = (text) => [...text.matchAll(/\{(\w+)\}/g)].map(m => m[1]).sort();
+
+afterEach(() => setLocale(DEFAULT_LOCALE, null));
+
+describe('i18n', () => {
+  it('interpolates named placeholders and keeps unknown ones', () => {
+    expect(interpolate('F1={n1}阶 vs F2={n2}阶', { n1: 2, n2: 3 })).toBe('F1=2阶 vs F2=3阶');
+    expect(interpolate('{a} + {b}', { a: 0 })).toBe('0 + {b}');
+  });
+
+  it('looks keys up in the active locale', () => {
+    expect(t('tutorial.poly.familyText', { n1: 1, n2: 4, weight: 'w = 1' })).toBe('1 阶 vs 4 阶，在 w = 1 下内积为 0。');
+    setLocale('en', null);
+    expect(getLocale()).toBe('en');
+    expect(t('tutorial.poly.familyText', { n1: 1, n2: 4, weight: 'w = 1' })).toBe('Degree 1 vs degree 4: the inner product under w = 1 is 0.');
+  });
+
+  it('falls back to zh-CN, then to the key itself', () => {
+    setLocale('en', null);
+    const saved = LOCALES.en.messages.app.heading;
+    delete LOCALES.en.messages.app.heading;
+    try {
+      expect(t('app.heading')).toBe(LOCALES['zh-CN'].messages.app.heading);
+    } finally {
+      LOCALES.en.messages.app.heading = saved;
+    }
+    expect(t('no.such.key')).toBe('no.such.key');
+    expect(t('app')).toBe('app');
+  });
+
+  it('has the same keys and placeholders in every locale', () => {
+    const reference = flatten(LOCALES[DEFAULT_LOCALE].messages);
+    Object.entries(LOCALES).forEach(([, { messages }]) => {
+      const entries = Object.fromEntries(flatten(messages));
+      expect(Object.keys(entries).sort()).toEqual(reference.map(([key]) => key).sort());
+      reference.forEach(([key, text]) => expect(placeholders(entries[key]), key).toEqual(placeholders(text)));
+    });
+  });
+
+  it('persists the choice and restores it on the next load', () => {
+    const storage = fakeStorage();
+    const seen = [];
+    const off = onLocaleChange(code => seen.push(code));
+    setLocale('en', storage);
+    off();
+    expect(storage.data[STORAGE_KEY]).toBe('en');
+    expect(seen).toEqual(['en']);
+
+    setLocale('zh-CN', null);
+    expect(initLocale(storage, 'zh-CN')).toBe('en');
+    expect(initLocale(fakeStorage({ [STORAGE_KEY]: 'fr' }), 'zh-TW')).toBe('zh-CN');
+  });
+
+  it('maps browser languages and rejects unknown locales', () => {
+    expect(matchLocale('zh')).toBe('zh-CN');
+    expect(matchLocale('en-GB')).toBe('en');
+    expect(matchLocale(undefined)).toBe('zh-CN');
+    expect(() => setLocale('fr', null)).toThrow(/Unknown locale/);
+  });
+});
@@ -0,0 +1,137 @@
+// --- Quadrature (I/Q) Modem ---
+// QPSK / 16-QAM over the sin (I) and cos (Q) carriers of the 3D view.
+// Symbols sit back to back across the window; the receiver integrates the
+// composite signal against each carrier per symbol period. Headless like signal.js.
+
+// Gray-coded levels so neighbouring points differ by one bit
+const QAM16_LEVELS = { '00': -1, '01': -1 / 3, '11': 1 / 3, '10': 1 };
+
+export const SCHEMES = {
+  qpsk: {
+    bitsPerSymbol: 2,
+    map: (bits) => ({ i: bits[0] ? 1 : -1, q: bits[1] ? 1 : -1 })
+  },
+  qam16: {
+    bitsPerSymbol: 4,
+    map: (bits) => ({
+      i: QAM16_LEVELS[`${bits[0]}${bits[1]}`],
+      q: QAM16_LEVELS[`${bits[2]}${bits[3]}`]
+    })
+  }
+};
+
+export const getScheme = (name) => SCHEMES[name] || SCHEMES.qpsk;
+
+// Every point of the constellation with the bits it carries
+export function constellation(name) {
+  const scheme = getScheme(name);
+  const count = 2 ** scheme.bitsPerSymbol;
+  return Array.from({ length: count }, (_, n) => {
+    const bits = Array.from({ length: scheme.bitsPerSymbol }, (_, b) => (n >> (scheme.bitsPerSymbol - 1 - b)) & 1);
+    return { ...scheme.map(bits), bits };
+  });
+}
+
+// Groups a bit stream into symbols; a trailing partial group is zero-padded
+export function bitsToSymbols(bits, name) {
+  const scheme = getScheme(name);
+  const symbols = [];
+  for (let start = 0; start < bits.length; start += scheme.bitsPerSymbol) {
+    const group = Array.from({ length: scheme.bitsPerSymbol }, (_, b) => bits[start + b] || 0);
+    symbols.push({ ...scheme.map(group), bits: group });
+  }
+  return symbols;
+}
+
+// The samplers run once per point, so the mapping is cached per bit stream
+let cache = { key: null, symbols: [] };
+export function symbolsFor(cfg) {
+  const key = `${cfg.iqScheme}:${cfg.iqBits.join('')}`;
+  if (cache.key !== key) cache = { key, symbols: bitsToSymbols(cfg.iqBits, cfg.iqScheme) };
+  return cache.symbols;
+}
+
+// Transmitter: x = I·sin(2π f τ), y = Q·cos(2π f τ), τ counted in symbol periods
+// so f is carrier cycles per symbol and the carrier phase runs on across symbols.
+export function modulate(cfg, tRelative) {
+  const symbols = symbolsFor(cfg);
+  if (!symbols.length) return { x: 0, y: 0 };
+  const tau = tRelative * symbols.length;
+  const s = symbols[Math.min(symbols.length - 1, Math.floor(tau))];
+  const angle = 2 * Math.PI * cfg.f1 * tau;
+  return {
+    x: s.i * Math.sin(angle) * cfg.amp1,
+    y: s.q * Math.cos(angle) * cfg.amp2
+  };
+}
+
+// Small seeded PRNG so the noise pattern only changes when asked to
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Box–Muller Gaussian samples
+export function gaussianNoise(count, sigma, seed) {
+  const rand = mulberry32(seed);
+  const out = new Float64Array(count);
+  for (let i = 0; i < count; i += 2) {
+    const r = Math.sqrt(-2 * Math.log(1 - rand()));
+    const theta = 2 * Math.PI * rand();
+    out[i] = r * Math.cos(theta) * sigma;
+    if (i + 1 < count) out[i + 1] = r * Math.sin(theta) * sigma;
+  }
+  return out;
+}
+
+const nearest = (point, points) => points.reduce((best, p) => {
+  const d = (p.i - point.i) ** 2 + (p.q - point.q) ** 2;
+  return d < best.d ? { p, d } : best;
+}, { p: points[0], d: Infinity }).p;
+
+// Receiver: correlate r(t) = x + y + noise with sin/cos references (offset by the
+// receiver phase error) over each symbol period, then slice to the nearest point.
+// Amplitudes are divided out so the constellation stays on its grid.
+export function demodulate(samples, cfg) {
+  const symbols = symbolsFor(cfg);
+  const n = samples.x.length;
+  const noise = gaussianNoise(n, cfg.iqNoise, cfg.iqSeed);
+  const rxPhase = (cfg.iqRxPhase * Math.PI) / 180;
+  const ideal = constellation(cfg.iqScheme);
+
+  const sums = symbols.map(() => ({ i: 0, q: 0, count: 0 }));
+  for (let k = 0; k < n; k++) {
+    const tau = samples.t[k] * symbols.length;
+    const index = Math.min(symbols.length - 1, Math.floor(tau));
+    const angle = 2 * Math.PI * cfg.f1 * tau + rxPhase;
+    const r = samples.x[k] + samples.y[k] + noise[k];
+    sums[index].i += r * Math.sin(angle);
+    sums[index].q += r * Math.cos(angle);
+    sums[index].count++;
+  }
+
+  let bitErrors = 0;
+  const received = sums.map((s, k) => {
+    // Average of sin² over whole cycles is 1/2, hence the factor 2
+    const point = {
+      i: s.count ? (2 * s.i) / s.count / (cfg.amp1 || 1) : 0,
+      q: s.count ? (2 * s.q) / s.count / (cfg.amp2 || 1) : 0
+    };
+    const decision = nearest(point, ideal);
+    const errors = decision.bits.reduce((e, bit, b) => e + (bit !== symbols[k].bits[b] ? 1 : 0), 0);
+    bitErrors += errors;
+    return { ...point, decision, errors };
+  });
+
+  return {
+    received,
+    bitErrors,
+    totalBits: symbols.length * getScheme(cfg.iqScheme).bitsPerSymbol
+  };
+}
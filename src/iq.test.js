@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { bitsToSymbols, constellation, demodulate, gaussianNoise, mulberry32 } from './iq.js';
+import { measureOrthogonality, sampleSignals } from './signal.js';
+
+const BITS = [0, 0, 0, 1, 1, 0, 1, 1, 1, 1, 0, 1, 1, 0, 0, 0];
+const BASE = {
+  mode: 'iq', f1: 2, f2: 2, amp1: 1, amp2: 1, phase: 0, points: 1200, length: 12,
+  iqScheme: 'qpsk', iqBits: BITS, iqNoise: 0, iqRxPhase: 0, iqSeed: 7
+};
+const run = (overrides) => {
+  const cfg = { ...BASE, ...overrides };
+  return demodulate(sampleSignals(cfg), cfg);
+};
+
+describe('constellations', () => {
+  it('maps QPSK bit pairs to the four corners', () => {
+    expect(bitsToSymbols([0, 0, 1, 1, 1, 0], 'qpsk').map(({ i, q }) => [i, q])).toEqual([[-1, -1], [1, 1], [1, -1]]);
+  });
+
+  it('Gray-codes 16-QAM so neighbours differ by one bit', () => {
+    const points = constellation('qam16');
+    expect(points).toHaveLength(16);
+    const step = 2 / 3 + 1e-9;
+    points.forEach(a => points.forEach(b => {
+      const adjacent = Math.hypot(a.i - b.i, a.q - b.q) <= step && a !== b;
+      if (adjacent) expect(a.bits.filter((bit, k) => bit !== b.bits[k])).toHaveLength(1);
+    }));
+  });
+
+  it('zero-pads a trailing partial symbol', () => {
+    expect(bitsToSymbols([1, 1, 1, 1, 1], 'qam16')[1].bits).toEqual([1, 0, 0, 0]);
+  });
+});
+
+describe('noise', () => {
+  it('is reproducible per seed', () => {
+    expect(gaussianNoise(8, 1, 3)).toEqual(gaussianNoise(8, 1, 3));
+    expect(gaussianNoise(8, 1, 3)).not.toEqual(gaussianNoise(8, 1, 4));
+  });
+
+  it('has roughly the requested standard deviation', () => {
+    const n = gaussianNoise(20000, 0.5, 1);
+    const variance = n.reduce((s, v) => s + v * v, 0) / n.length;
+    expect(Math.sqrt(variance)).toBeCloseTo(0.5, 1);
+  });
+
+  it('keeps the PRNG in [0, 1)', () => {
+    const rand = mulberry32(42);
+    for (let i = 0; i < 1000; i++) {
+      const v = rand();
+      expect(v >= 0 && v < 1).toBe(true);
+    }
+  });
+});
+
+describe('demodulate', () => {
+  it('keeps the I and Q carriers orthogonal', () => {
+    expect(measureOrthogonality(sampleSignals(BASE)).corr).toBeCloseTo(0, 6);
+  });
+
+  it('recovers every QPSK and 16-QAM symbol from the composite signal', () => {
+    const qpsk = run();
+    expect(qpsk.totalBits).toBe(16);
+    expect(qpsk.bitErrors).toBe(0);
+    qpsk.received.forEach((p, k) => {
+      const sent = bitsToSymbols(BITS, 'qpsk')[k];
+      expect(p.i).toBeCloseTo(sent.i, 6);
+      expect(p.q).toBeCloseTo(sent.q, 6);
+    });
+    expect(run({ iqScheme: 'qam16' }).bitErrors).toBe(0);
+  });
+
+  it('rotates the constellation by the receiver phase error', () => {
+    const rotated = run({ iqRxPhase: 30 });
+    const sent = bitsToSymbols(BITS, 'qpsk')[0];
+    const angle = (p) => Math.atan2(p.q, p.i);
+    expect(angle(rotated.received[0]) - angle(sent)).toBeCloseTo((-30 * Math.PI) / 180, 6);
+    expect(rotated.bitErrors).toBe(0);
+    expect(run({ iqRxPhase: 90 }).bitErrors).toBeGreaterThan(0);
+  });
+
+  it('survives mild noise and breaks down under heavy noise', () => {
+    expect(run({ iqNoise: 0.3 }).bitErrors).toBe(0);
+    expect(run({ iqScheme: 'qam16', iqNoise: 4 }).bitErrors).toBeGreaterThan(0);
+  });
+});
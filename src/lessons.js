@@ -0,0 +1,219 @@
+// --- Guided Lessons ---
+// A lesson is plain data: ordered steps, each with a camera preset (a TARGETS id),
+// parameter values, slider tweens, narration and an optional wait condition.
+// The player only sequences steps; everything visual goes through the hooks
+// main.js passes in, so the sequencing can be tested without a browser.
+//
+// Step format:
+//   {
+//     camera: '3d',                                  // optional TARGETS id
+//     params: { mode: 'sine', f1: 2, f2: 3 },        // applied instantly on entry
+//     tweens: [{ param: 'f2', from: 5, to: 3, duration: 2 }], // played in order
+//     title: 'lessons.x.title', narration: 'lessons.x.narration', // i18n keys; plain text works too
+//     waitFor: { corrBelow: 0.05 },                  // optional: |corr| < x (or corrAbove: |corr| > x)
+//     dwell: 5                                       // autoplay pause in seconds after the step is done
+//   }
+
+import { t } from './i18n.js';
+
+export const DEFAULT_DWELL = 5;
+
+export const LESSONS = [
+  {
+    id: 'fdm-collision-iq-anc',
+    title: 'lessons.fdmToAnc.title',
+    steps: [
+      {
+        camera: '3d',
+        params: { mode: 'sine', multi: false, combination: 'sum', f1: 2, f2: 5, phase: 0, amp1: 1, amp2: 1 },
+        tweens: [{ param: 'f2', to: 3, duration: 2 }],
+        title: 'lessons.fdmToAnc.fdm.title',
+        narration: 'lessons.fdmToAnc.fdm.narration'
+      },
+      {
+        camera: 'f1',
+        title: 'lessons.fdmToAnc.channel.title',
+        narration: 'lessons.fdmToAnc.channel.narration'
+      },
+      {
+        camera: '3d',
+        tweens: [{ param: 'f2', to: 2, duration: 2.5 }],
+        title: 'lessons.fdmToAnc.collision.title',
+        narration: 'lessons.fdmToAnc.collision.narration'
+      },
+      {
+        camera: 'xy',
+        params: { f1: 2, f2: 2, phase: 0 },
+        title: 'lessons.fdmToAnc.quadrature.title',
+        narration: 'lessons.fdmToAnc.quadrature.narration',
+        waitFor: { corrBelow: 0.05 }
+      },
+      {
+        camera: 'xy',
+        title: 'lessons.fdmToAnc.quadratureDone.title',
+        narration: 'lessons.fdmToAnc.quadratureDone.narration'
+      },
+      {
+        camera: 'comp',
+        params: { f1: 2, f2: 2, amp1: 1, amp2: 1 },
+        tweens: [{ param: 'phase', to: 180, duration: 3 }],
+        title: 'lessons.fdmToAnc.anc.title',
+        narration: 'lessons.fdmToAnc.anc.narration'
+      }
+    ]
+  }
+];
+
+// Throws with a readable message if a lesson does not follow the step format
+export function validateLesson(lesson, { cameras = [], params = [] } = {}) {
+  if (!lesson || !Array.isArray(lesson.steps) || lesson.steps.length === 0) {
+    throw new Error(t('lesson.errors.noSteps', { id: lesson?.id ?? '?' }));
+  }
+  lesson.steps.forEach((step, i) => {
+    const where = t('lesson.errors.where', { id: lesson.id, step: i + 1 });
+    if (!step.title || !step.narration) throw new Error(t('lesson.errors.text', { where }));
+    if (step.camera && cameras.length && !cameras.includes(step.camera)) {
+      throw new Error(t('lesson.errors.camera', { where, camera: step.camera }));
+    }
+    const keys = [...Object.keys(step.params || {}), ...(step.tweens || []).map(tween => tween.param)];
+    keys.forEach(key => {
+      if (params.length && !params.includes(key)) throw new Error(t('lesson.errors.param', { where, key }));
+    });
+    (step.tweens || []).forEach(tween => {
+      if (!Number.isFinite(tween.to) || !(tween.duration > 0)) throw new Error(t('lesson.errors.tween', { where, param: tween.param }));
+    });
+    const wait = step.waitFor;
+    if (wait && !Number.isFinite(wait.corrBelow) && !Number.isFinite(wait.corrAbove)) {
+      throw new Error(t('lesson.errors.wait', { where }));
+    }
+  });
+  return lesson;
+}
+
+const conditionMet = (wait, absCorr) => {
+  if (!wait) return true;
+  if (Number.isFinite(wait.corrBelow) && !(absCorr < wait.corrBelow)) return false;
+  if (Number.isFinite(wait.corrAbove) && !(absCorr > wait.corrAbove)) return false;
+  return true;
+};
+
+// hooks: apply(params), tween(tween) → Promise, cancel() (drop running tweens),
+//        camera(id), narrate(title, text), progress(status), finish()
+export function createLessonPlayer(hooks) {
+  let lesson = null;
+  let index = -1;
+  let autoplay = false;
+  let ready = false;     // tweens of the current step have finished
+  let satisfied = false; // wait condition of the current step is met
+  let lastCorr = null;
+  let timer = null;
+  let token = 0;         // invalidates tweens/timers of steps we already left
+
+  const step = () => lesson.steps[index];
+
+  const report = () => hooks.progress({
+    lessonId: lesson?.id ?? null,
+    index,
+    total: lesson ? lesson.steps.length : 0,
+    autoplay,
+    ready,
+    waiting: ready && !satisfied ? step().waitFor : null,
+    canBack: index > 0,
+    canNext: ready && satisfied
+  });
+
+  const scheduleAdvance = () => {
+    clearTimeout(timer);
+    if (!autoplay || !ready || !satisfied) return;
+    const mine = token;
+    timer = setTimeout(() => {
+      if (mine === token) player.next();
+    }, (step().dwell ?? DEFAULT_DWELL) * 1000);
+  };
+
+  const checkCondition = () => {
+    if (!ready || satisfied) return;
+    if (lastCorr !== null && conditionMet(step().waitFor, lastCorr)) {
+      satisfied = true;
+      report();
+      scheduleAdvance();
+    }
+  };
+
+  async function enter(i) {
+    const mine = ++token;
+    clearTimeout(timer);
+    hooks.cancel();
+    index = i;
+    ready = false;
+    satisfied = !step().waitFor;
+    const { params, camera, title, narration, tweens = [] } = step();
+
+    if (params) hooks.apply(params);
+    if (camera) hooks.camera(camera);
+    hooks.narrate(title, narration);
+    report();
+
+    for (const tween of tweens) {
+      await hooks.tween(tween);
+      if (mine !== token) return;
+    }
+    ready = true;
+    report();
+    checkCondition();
+    scheduleAdvance();
+  }
+
+  const player = {
+    get active() {
+      return lesson !== null;
+    },
+
+    start(newLesson) {
+      lesson = newLesson;
+      lastCorr = null;
+      return enter(0);
+    },
+
+    next() {
+      if (!lesson || !ready || !satisfied) return undefined;
+      if (index >= lesson.steps.length - 1) {
+        player.stop();
+        return undefined;
+      }
+      return enter(index + 1);
+    },
+
+    back() {
+      if (!lesson || index <= 0) return undefined;
+      return enter(index - 1);
+    },
+
+    setAutoplay(on) {
+      autoplay = on;
+      if (lesson) {
+        report();
+        scheduleAdvance();
+      }
+    },
+
+    // Fed with |corr| after every geometry update
+    observe(absCorr) {
+      lastCorr = absCorr;
+      if (lesson) checkCondition();
+    },
+
+    stop() {
+      if (!lesson) return;
+      token++;
+      clearTimeout(timer);
+      hooks.cancel();
+      lesson = null;
+      index = -1;
+      autoplay = false;
+      hooks.finish();
+    }
+  };
+
+  return player;
+}
@@ -0,0 +1,136 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { DEFAULT_DWELL, LESSONS, createLessonPlayer, validateLesson } from './lessons.js';
+import { t } from './i18n.js';
+
+const LESSON = {
+  id: 'test',
+  steps: [
+    { camera: '3d', params: { f1: 2 }, title: 'A', narration: 'a' },
+    { tweens: [{ param: 'f2', to: 3, duration: 1 }], title: 'B', narration: 'b' },
+    { title: 'C', narration: 'c', waitFor: { corrBelow: 0.05 }, dwell: 1 },
+    { title: 'D', narration: 'd' }
+  ]
+};
+
+// Lets pending promise callbacks run (timers are faked)
+const flush = async () => {
+  for (let i = 0; i < 5; i++) await Promise.resolve();
+};
+
+function setup() {
+  const calls = [];
+  let finishTween;
+  const hooks = {
+    apply: vi.fn(params => calls.push(['apply', params])),
+    tween: vi.fn(() => new Promise(resolve => { finishTween = resolve; })),
+    cancel: vi.fn(),
+    camera: vi.fn(id => calls.push(['camera', id])),
+    narrate: vi.fn(title => calls.push(['narrate', title])),
+    progress: vi.fn(),
+    finish: vi.fn()
+  };
+  const player = createLessonPlayer(hooks);
+  const status = () => hooks.progress.mock.calls.at(-1)[0];
+  return { player, hooks, calls, status, endTween: () => finishTween() };
+}
+
+describe('validateLesson', () => {
+  it('accepts the built-in lessons', () => {
+    const cameras = ['3d', 'top', 'xy', 'f1', 'f2', 'iso', 'comp'];
+    const params = ['mode', 'multi', 'combination', 'f1', 'f2', 'amp1', 'amp2', 'phase'];
+    LESSONS.forEach(lesson => expect(() => validateLesson(lesson, { cameras, params })).not.toThrow());
+  });
+
+  it('ships FDM → collision → I/Q → ANC as the first lesson', () => {
+    const titles = LESSONS[0].steps.map(s => t(s.title)).join(' ');
+    ['FDM', 'Collision', 'I/Q', 'ANC'].reduce((from, word) => {
+      const at = titles.indexOf(word, from);
+      expect(at).toBeGreaterThanOrEqual(from);
+      return at;
+    }, 0);
+  });
+
+  it('names the offending step', () => {
+    const where = t('lesson.errors.where', { id: 'x', step: 1 });
+    expect(() => validateLesson({ id: 'x', steps: [] })).toThrow(t('lesson.errors.noSteps', { id: 'x' }));
+    expect(() => validateLesson({ id: 'x', steps: [{ title: 't' }] })).toThrow(t('lesson.errors.text', { where }));
+    expect(() => validateLesson({ id: 'x', steps: [{ title: 't', narration: 'n', camera: 'moon' }] }, { cameras: ['3d'] }))
+      .toThrow(t('lesson.errors.camera', { where, camera: 'moon' }));
+    expect(() => validateLesson({ id: 'x', steps: [{ title: 't', narration: 'n', tweens: [{ param: 'f1', to: 2 }] }] }))
+      .toThrow(t('lesson.errors.tween', { where, param: 'f1' }));
+    expect(() => validateLesson({ id: 'x', steps: [{ title: 't', narration: 'n', waitFor: {} }] }))
+      .toThrow(t('lesson.errors.wait', { where }));
+  });
+});
+
+describe('createLessonPlayer', () => {
+  beforeEach(() => vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] }));
+  afterEach(() => vi.useRealTimers());
+
+  it('applies params, then camera, then narration on entry', async () => {
+    const { player, calls, status } = setup();
+    await player.start(LESSON);
+    expect(calls).toEqual([['apply', { f1: 2 }], ['camera', '3d'], ['narrate', 'A']]);
+    expect(status()).toMatchObject({ index: 0, total: 4, canNext: true, canBack: false });
+  });
+
+  it('holds Next until the step tweens have finished', async () => {
+    const { player, hooks, status, endTween } = setup();
+    await player.start(LESSON);
+    const entering = player.next();
+    expect(hooks.tween).toHaveBeenCalledWith({ param: 'f2', to: 3, duration: 1 });
+    expect(status().canNext).toBe(false);
+    player.next();
+    expect(status().index).toBe(1);
+    endTween();
+    await entering;
+    expect(status().canNext).toBe(true);
+  });
+
+  it('waits for the correlation condition before moving on', async () => {
+    const { player, status, endTween } = setup();
+    await player.start(LESSON);
+    const p = player.next();
+    endTween();
+    await p;
+    await player.next();
+    expect(status()).toMatchObject({ index: 2, canNext: false, waiting: { corrBelow: 0.05 } });
+    player.observe(0.4);
+    expect(status().canNext).toBe(false);
+    player.observe(0.01);
+    expect(status()).toMatchObject({ canNext: true, waiting: null });
+  });
+
+  it('autoplays after the dwell time and stops after the last step', async () => {
+    const { player, hooks, status, endTween } = setup();
+    player.setAutoplay(true);
+    await player.start(LESSON);
+    vi.advanceTimersByTime(DEFAULT_DWELL * 1000);
+    expect(status().index).toBe(1);
+    endTween();
+    await flush();
+    vi.advanceTimersByTime(DEFAULT_DWELL * 1000);
+    expect(status().index).toBe(2);
+    // Autoplay never skips a wait condition
+    vi.advanceTimersByTime(60_000);
+    expect(status().index).toBe(2);
+    player.observe(0);
+    vi.advanceTimersByTime(1000);
+    expect(status().index).toBe(3);
+    vi.advanceTimersByTime(DEFAULT_DWELL * 1000);
+    expect(player.active).toBe(false);
+    expect(hooks.finish).toHaveBeenCalledTimes(1);
+  });
+
+  it('goes back and cancels running tweens on every step change', async () => {
+    const { player, hooks, status } = setup();
+    await player.start(LESSON);
+    player.next();
+    player.back();
+    expect(status().index).toBe(0);
+    expect(hooks.cancel).toHaveBeenCalledTimes(3);
+    player.stop();
+    expect(hooks.cancel).toHaveBeenCalledTimes(4);
+    expect(player.active).toBe(false);
+  });
+});
@@ -1,6 +1,55 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
 import { gsap } from 'gsap';
+import {
+  measureSignals,
+  evaluateComposite,
+  renderAudioCycle,
+  evaluateSignals
+} from './signal.js';
+import {
+  createComponent,
+  renderComponentEditor,
+  drawGramMatrix,
+  frequencyRange,
+  fitFrequency,
+  MAX_COMPONENTS,
+  COMPONENT_COLORS
+} from './nSignal.js';
+import { walshCode, simulateCdma, WALSH_ORDERINGS } from './walsh.js';
+import { drawCdmaLink, parseBits, randomBits } from './cdmaPanel.js';
+import { computeSpectra, WINDOWS } from './spectrum.js';
+import { drawSpectrum } from './spectrumPanel.js';
+import { captureState, sanitizeState, encodeHash, decodeHash } from './sceneState.js';
+import { LESSONS, createLessonPlayer, validateLesson } from './lessons.js';
+import { QUIZZES, createQuizSession, validateQuiz } from './quiz.js';
+import { demodulate, constellation, SCHEMES } from './iq.js';
+import { drawConstellation } from './constellationPanel.js';
+import { COMBINATIONS, combineSeries, sidebands } from './modulation.js';
+import { WEIGHTS, MAX_FUNCTIONS, gramSchmidtFor, sampleGramSchmidt, legendreDeviation } from './gramSchmidt.js';
+import { drawGramSchmidt, renderStepList } from './gramSchmidtPanel.js';
+import { POLY_FAMILIES, getFamily, familyId } from './polynomials.js';
+import { WAVELET_FAMILIES, DWT_SIGNALS, getWaveletFamily, dwt, idwt } from './wavelets.js';
+import { drawDwt } from './dwtPanel.js';
+import { mixToMono, clipWindow, basisFor, projectOntoBasis, MAX_TERMS, PROJECTION_SAMPLES } from './projection.js';
+import { drawCoefficients } from './projectionPanel.js';
+import { FOURIER_TARGETS, DRAWING_POINTS, MAX_HARMONICS, defaultDrawing, fourierSeries, partialSum, seriesStats } from './fourierSeries.js';
+import { drawFourier } from './fourierPanel.js';
+import { decodeFile, startRecording, MAX_RECORDING_SECONDS } from './audioInput.js';
+import { EXPORT_SIZES, EXPORT_FPS, MAX_EXPORT_SECONDS, MAX_PNG_PIXELS, maxPngSeconds, frameCount, frameProgress, cameraTour, poseAt } from './exportPlan.js';
+import { exportScene, download } from './sceneExport.js';
+import { productSeries, ribbonTriangles, VERTICES_PER_SEGMENT } from './productRibbon.js';
+import { sampleTable, toCsv, toJson, statsSummary, projectionSvg, drawnPositions, PROJECTIONS } from './dataExport.js';
+import { LOCALES, t, getLocale, setLocale, initLocale, onLocaleChange, translatePage } from './i18n.js';
+import { mathHtml } from './mathText.js';
+import { equationTex, num } from './equation.js';
+import { VECTOR_BASES, vectorBasis, functionVectors } from './functionSpace.js';
+import { createVectorInset } from './vectorPanel.js';
+import { RESOLUTIONS, resolvePoints, bufferCapacity } from './resolution.js';
+import { createFrameMeter } from './frameMeter.js';
+import { createSamplingClient } from './samplingClient.js';
+import katex from 'katex';
+import 'katex/dist/katex.min.css';
 import './style.css';
 
 // --- Configuration ---
@@ -11,10 +60,64 @@ const CONFIG = {
   amp2: 1.0,
   phase: 0, // In degrees
   speed: 0.5,
-  points: 1200,
+  showSum: true,
+  showProduct: false,
+  points: 1200, // Set from resolution on every geometry update
+  resolution: 'auto', // 'auto' (from the highest frequency on screen) or a fixed point count
   length: 12,
   isAudioOn: false,
-  mode: 'sine' // sine, square, wave, poly
+  mode: 'sine', // sine, square, wave, poly, iq, gs, fourier
+  // Walsh mode: Hadamard code length, row ordering and the CDMA demo's bit streams
+  walshSize: 16,
+  walshOrdering: 'sequency', // natural, sequency, dyadic
+  cdmaBits1: [1, 0, 1, 1, 0, 0, 1, 0],
+  cdmaBits2: [0, 1, 1, 0, 1, 0, 0, 1],
+  spectrumWindow: 'rectangular', // rectangular, hann, blackman
+  vectorBasis: 'auto', // Function-space inset: auto, trig (sin f1, cos f1, sin f2), poly (p0–p2)
+  // I/Q mode: symbol stream, channel noise and receiver phase error (f1 = carrier cycles per symbol)
+  iqScheme: 'qpsk', // qpsk, qam16
+  iqBits: [0, 0, 0, 1, 1, 1, 1, 0, 1, 0, 0, 1, 1, 1, 0, 0, 0, 1, 1, 0, 1, 1, 0, 0, 1, 0, 1, 1, 0, 1, 0, 0],
+  iqNoise: 0,
+  iqRxPhase: 0,
+  iqSeed: 1,
+  // How the composite path and audio are built from x (message) and y (second component / carrier f2)
+  combination: 'sum', // sum, product, am, dsb, fm
+  amIndex: 0.5, // μ
+  fmDeviation: 4, // Δf in Hz per unit of message
+  // Gram–Schmidt playground: input functions of t, interval, weight and the step on screen
+  gsExpressions: ['1', 't', 't^2', 't^3', ''],
+  gsA: -1,
+  gsB: 1,
+  gsWeight: 'uniform',
+  gsStep: 0,
+  // Poly mode: polynomial family, order m (associated Legendre / spherical), weighted inner product
+  polyFamily: 'legendre',
+  polyOrder: 0,
+  polyWeighted: true,
+  // Wavelet mode: mother wavelet, scale j and translation k of each component, and the DWT view
+  waveFamily: 'haar', // haar, db4, morlet, mexicanHat
+  waveScale1: 1,
+  waveShift1: 0,
+  waveScale2: 2,
+  waveShift2: 1,
+  dwtSignal: 'heavisine', // composite or one of DWT_SIGNALS
+  dwtLevels: 3,
+  dwtApproxOnly: false,
+  // Fourier builder: target waveform, harmonics in the partial sum, pulse duty cycle, freehand period
+  fourierTarget: 'square', // square, sawtooth, triangle, pulse, freehand
+  fourierTerms: 5,
+  fourierDuty: 0.25,
+  fourierDrawing: defaultDrawing(),
+  // User clip projection: window into the loaded clip (ms) and how many basis terms rebuild it
+  clipView: false,
+  clipOffset: 0,
+  clipWindow: 50,
+  clipTerms: 8,
+  // N-Signal mode: any number of components, two of them mapped to the X/Y axes
+  multi: false,
+  components: [1, 2, 3, 4].map((f, i) => createComponent(i, f)),
+  axisX: 0,
+  axisY: 1
 };
 
 // --- Three.js Essentials ---
@@ -62,8 +165,6 @@ function initAudio() {
 
   osc1 = audioCtx.createOscillator();
   osc2 = audioCtx.createOscillator();
-  osc1.type = 'sine';
-  osc2.type = 'sine';
 
   osc1.connect(gainNode);
   osc2.connect(gainNode);
@@ -73,11 +174,22 @@ function initAudio() {
   osc2.start();
 }
 
-function updateAudioFreqs() {
+// Like the curves, the waves are rebuilt at most once per frame (renderAudioCycle is a full
+// Fourier analysis): updateAudioWaves() marks them stale and the frame loop renders them
+let audioStale = false;
+const updateAudioWaves = () => { audioStale = true; };
+
+function renderAudioWaves() {
+  audioStale = false;
   if (!audioCtx) return;
-  // Map visualization Hz to audible spectrum (e.g. 2Hz -> 220Hz)
-  osc1.frequency.setTargetAtTime(CONFIG.f1 * 110, audioCtx.currentTime, 0.1);
-  osc2.frequency.setTargetAtTime(CONFIG.f2 * 110, audioCtx.currentTime, 0.1);
+  // Both oscillators replay one window of the active basis, so Walsh sounds square
+  // and Wavelet sounds like gated packets. Amplitudes are baked into the coefficients.
+  const cycle = renderAudioCycle(CONFIG);
+  const opts = { disableNormalization: true };
+  osc1.setPeriodicWave(audioCtx.createPeriodicWave(cycle.x.real, cycle.x.imag, opts));
+  osc2.setPeriodicWave(audioCtx.createPeriodicWave(cycle.y.real, cycle.y.imag, opts));
+  osc1.frequency.setTargetAtTime(cycle.rate, audioCtx.currentTime, 0.1);
+  osc2.frequency.setTargetAtTime(cycle.rate, audioCtx.currentTime, 0.1);
 }
 
 // --- Geometry Objects ---
@@ -90,8 +202,30 @@ const createCurve = (color, width = 3) => {
 const curveF1 = createCurve(0x60efff, 3); // X-Z (Frequency 1)
 const curveF2 = createCurve(0xff60ad, 3); // Y-Z (Frequency 2)
 const curveSum = createCurve(0xffffff, 5); // 3D Composite Path
+const curveEnvUpper = createCurve(0xffd166, 2); // ±Envelope of AM/DSB-SC/FM
+const curveEnvLower = createCurve(0xffd166, 2);
+
+scene.add(curveF1, curveF2, curveSum, curveEnvUpper, curveEnvLower);
+
+// Line positions (and the ribbon's colours) are written in place. An attribute is only
+// replaced when the point count outgrows it, and then by one with room to spare
+// (bufferCapacity); the draw range hides the unused tail.
+function reusedAttribute(geometry, name, count) {
+  const current = geometry.getAttribute(name);
+  if (current && current.count >= count) return current.array;
+  const attribute = new THREE.BufferAttribute(new Float32Array(bufferCapacity(count) * 3), 3);
+  attribute.setUsage(THREE.DynamicDrawUsage);
+  geometry.setAttribute(name, attribute);
+  return attribute.array;
+}
 
-scene.add(curveF1, curveF2, curveSum);
+const linePositions = (line, count) => reusedAttribute(line.geometry, 'position', count);
+
+function commitPositions(line, count) {
+  line.geometry.getAttribute('position').needsUpdate = true;
+  line.geometry.setDrawRange(0, count);
+  line.geometry.computeBoundingSphere();
+}
 
 // Animated Dots
 const dotGeom = new THREE.SphereGeometry(0.15, 32, 32);
@@ -103,193 +237,528 @@ const dotSum = new THREE.Mesh(dotGeom, new THREE.MeshBasicMaterial({ color: 0xff
 const connectorMat = new THREE.LineDashedMaterial({ color: 0xffffff, dashSize: 0.2, gapSize: 0.1, transparent: true, opacity: 0.4 });
 const connectorGeomX = new THREE.BufferGeometry();
 const connectorGeomY = new THREE.BufferGeometry();
+[connectorGeomX, connectorGeomY].forEach(geometry => {
+  geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(6), 3).setUsage(THREE.DynamicDrawUsage));
+});
 const connX = new THREE.Line(connectorGeomX, connectorMat);
 const connY = new THREE.Line(connectorGeomY, connectorMat);
 
 scene.add(dotF1, dotF2, dotSum, connX, connY);
 
+// Gram–Schmidt: x before the current step, with dashed drops to x after it (the subtracted projection)
+const curveGhost = createCurve(0x60efff, 2);
+curveGhost.material.opacity = 0.3;
+const gsDropGeom = new THREE.BufferGeometry();
+const gsDrops = new THREE.LineSegments(gsDropGeom, connectorMat);
+curveGhost.visible = gsDrops.visible = false;
+scene.add(curveGhost, gsDrops);
+
+// Clip projection: the clip window and its partial reconstructions as a waterfall of
+// vertical curves, one plane per N, replacing the two basis curves while it is on
+const PARTIAL_SLOTS = 6;
+const CLIP_SPACING = 1.5;
+const curveClip = createCurve(0xffffff, 3);
+const curvePartials = Array.from({ length: PARTIAL_SLOTS }, (_, i) => createCurve(COMPONENT_COLORS[i % COMPONENT_COLORS.length], 2));
+const clipGroup = new THREE.Group();
+clipGroup.add(curveClip, ...curvePartials);
+clipGroup.visible = false;
+scene.add(clipGroup);
+
+// Product ribbon on the floor: x·y as a filled area (green > 0, red < 0) and the running
+// integral, normalized so that it ends at corr, both growing with the tracer
+const RIBBON_Y = -1.98; // just above the grid
+const INTEGRAL_SCALE = 2;
+const ribbon = new THREE.Mesh(
+  new THREE.BufferGeometry(),
+  new THREE.MeshBasicMaterial({ vertexColors: true, transparent: true, opacity: 0.45, side: THREE.DoubleSide, depthWrite: false })
+);
+const curveIntegral = createCurve(0xffd166, 3);
+const dotProduct = new THREE.Mesh(dotGeom, new THREE.MeshBasicMaterial({ color: 0xffffff }));
+const dotIntegral = new THREE.Mesh(dotGeom, new THREE.MeshBasicMaterial({ color: 0xffd166 }));
+const productGroup = new THREE.Group();
+productGroup.add(ribbon, curveIntegral, dotProduct, dotIntegral);
+productGroup.visible = false;
+scene.add(productGroup);
+
+// Fourier builder: the latest partial sums before S_N, fading with age, in the YZ plane
+const FOURIER_GHOSTS = 6;
+const fourierGhosts = Array.from({ length: FOURIER_GHOSTS }, (_, i) => {
+  const curve = createCurve(0xff60ad, 2);
+  curve.material.opacity = 0.45 - i * 0.06;
+  curve.visible = false;
+  return curve;
+});
+scene.add(...fourierGhosts);
+
 // --- Camera & Tutorial Targets ---
 const TARGETS = {
   '3d': {
-    p: [8, 6, 10], t: [0, 0, 0],
-    title: "什么是正交 (Orthogonality)?",
-    desc: "正交意味着独立。如果你从 X 轴看过去，$f_2$ 的运动投影始终为 0。这意味着它们互不干涉。"
+    p: [8, 6, 10], t: [0, 0, 0]
   },
   'top': {
-    p: [0.1, 15, 0], t: [0, 0, 0],
-    title: "独立维度",
-    desc: "看这两个平面：它们成 90° 夹角。正交函数就像物理上的 X 轴和 Y 轴，拥有完全独立的自由度。"
+    p: [0.1, 15, 0], t: [0, 0, 0]
   },
   'xy': {
-    p: [0, 0, 5], t: [0, 0, -1],
-    title: "相关性 = 重叠度",
-    desc: "看 XY 平面：\n1. 直线 = 不正交 (信息完全重复)\n2. 圆形/方框 = 正交 (信号独立)\n不正交意味着波形在逻辑上合二为一了。"
+    p: [0, 0, 5], t: [0, 0, -1]
   },
-  'f1': { p: [0, 0, 12], t: [0, 0, 0], title: "频道 1 (XZ Plane)", desc: "在这个维度下，$f_2$ 无论多强都不可见。这就是通信中『频分复用』的物理基础。" },
-  'f2': { p: [12, 0, 0], t: [0, 0, 0], title: "频道 2 (YZ Plane)", desc: "同样的，在这个频道里，$f_1$ 被完全物理性过滤了。" },
-  'iso': { p: [7, 7, 7], t: [0, 0, 0], title: "3D 视角", desc: "请尝试调节频率和相位，观察白色路径在什么时候会塌陷成一条扁平的直线。" },
+  'f1': { p: [0, 0, 12], t: [0, 0, 0] },
+  'f2': { p: [12, 0, 0], t: [0, 0, 0] },
+  'iso': { p: [7, 7, 7], t: [0, 0, 0] },
   'comp': {
-    p: [4, 4, 10], t: [0, 0, 0],
-    title: "合成信号分析 (Composite)",
-    desc: "专注观察白色合成波。调节 Amplitude 滑块可以看到它如何被某个分量主导。在『主动降噪 (ANC)』模式下，你会看到它完全消失！"
+    p: [4, 4, 10], t: [0, 0, 0]
   }
 };
 
-function transitionCamera(id) {
+// Tutorial card of a preset: presets.<id>.title / .desc in the locale files
+const presetCard = (id) => ({ title: t(`presets.${id}.title`), text: t(`presets.${id}.desc`) });
+
+// Tutorial text may carry $...$ formulas, typeset with KaTeX. The source is kept for the
+// export captions, and it replaces the page's static data-i18n placeholder for good.
+function setMathText(el, text) {
+  delete el.dataset.i18n;
+  el.dataset.source = text;
+  el.innerHTML = mathHtml(text);
+}
+
+const tutorialSource = () => {
+  const el = document.getElementById('tut-text');
+  return el.dataset.source ?? el.innerText;
+};
+
+let activePreset = '3d';
+
+// Where a preset leaves the camera; shared by the buttons and the export tour
+function presetPose(id) {
   const cam = TARGETS[id];
   const isIsoView = (id === 'f1' || id === 'f2');
+  // FOV 1.5 is like a super-telescope: zero perspective, clean isolation.
+  // DistMult 25 is enough for a clean telephoto effect without being too far
+  const distMult = isIsoView ? 25 : 1;
+  return { id, position: cam.p.map(v => v * distMult), target: cam.t, fov: isIsoView ? 1.5 : 60 };
+}
+
+function transitionCamera(id) {
+  const pose = presetPose(id);
+  activePreset = id;
 
-  // FOV 1.5 is like a super-telescope: zero perspective, clean isolation
   gsap.to(camera, {
-    fov: isIsoView ? 1.5 : 60,
+    fov: pose.fov,
     duration: 1.5,
     onUpdate: () => camera.updateProjectionMatrix()
   });
 
-  // DistMult 25 is enough for a clean telephoto effect without being too far
-  const distMult = isIsoView ? 25 : 1;
-
   gsap.to(camera.position, {
-    x: cam.p[0] * distMult,
-    y: cam.p[1] * distMult,
-    z: cam.p[2] * distMult,
+    x: pose.position[0],
+    y: pose.position[1],
+    z: pose.position[2],
     duration: 1.5,
     ease: "power2.inOut"
   });
 
   gsap.to(controls.target, {
-    x: cam.t[0], y: cam.t[1], z: cam.t[2],
+    x: pose.target[0], y: pose.target[1], z: pose.target[2],
     duration: 1.5,
-    ease: "power2.inOut"
+    ease: "power2.inOut",
+    onComplete: scheduleUrlSync
   });
 
-  // UI Updates
+  showPresetUI(id);
+}
+
+// Highlights the preset button and shows its tutorial card without moving the camera
+function showPresetUI(id) {
+  const card = presetCard(id);
+  activePreset = id;
   document.querySelectorAll('.preset-btn').forEach(b => b.classList.remove('active'));
   document.getElementById(`view-${id}`)?.classList.add('active');
+  if (PRESET_PLANES[id]) document.getElementById('data-plane').value = PRESET_PLANES[id];
 
   const tutTitle = document.getElementById('tut-title');
   const tutText = document.getElementById('tut-text');
   gsap.fromTo([tutTitle, tutText], { opacity: 0, x: -10 }, { opacity: 1, x: 0, duration: 0.5, stagger: 0.1 });
-  tutTitle.innerText = cam.title;
-  tutText.innerText = cam.desc;
+  tutTitle.innerText = card.title;
+  setMathText(tutText, card.text);
 }
 
-// --- Math Helpers ---
-const getWalsh = (f, t) => {
-  // Simulating Walsh functions using Square waves with varying density
-  // f acts as the 'sequency' (number of zero crossings)
-  return Math.sign(Math.sin(2 * Math.PI * f * t));
-};
-
-const getWavelet = (f, t, offset) => {
-  // Morlet Wavelet: Sine wave localized by a Gaussian window
-  // We map 'f' to position shift to show Time-Division Orthogonality
-  const center = (offset ? 0.75 : 0.25) * CONFIG.length;
-  // Frequency controls width/density, here we simplify:
-  // f controls the carrier frequency inside the packet
-  const sigma = 1.0;
-  const localT = (t * CONFIG.length) - center;
-  const envelope = Math.exp(-(localT * localT) / (2 * sigma * sigma));
-  return envelope * Math.sin(2 * Math.PI * f * localT);
-};
-
-const getLegendre = (n, x) => {
-  // Legendre Polynomials (Recursive definition)
-  if (n === 0) return 1;
-  if (n === 1) return x;
-  let p_prev2 = 1;
-  let p_prev1 = x;
-  let p_curr = x;
+// Curves and dots take the colours of whichever components sit on the X/Y axes
+function applyAxisColors() {
+  const colorX = CONFIG.multi ? CONFIG.components[CONFIG.axisX].color : 0x60efff;
+  const colorY = CONFIG.multi ? CONFIG.components[CONFIG.axisY].color : 0xff60ad;
+  curveF1.material.color.set(colorX);
+  dotF1.material.color.set(colorX);
+  curveF2.material.color.set(colorY);
+  dotF2.material.color.set(colorY);
+}
 
-  for (let k = 2; k <= n; k++) {
-    p_curr = ((2 * k - 1) * x * p_prev1 - (k - 1) * p_prev2) / k;
-    p_prev2 = p_prev1;
-    p_prev1 = p_curr;
+// The sum is drawn as the vector (x, y). Any other combination is a single real
+// signal s, drawn at signed distance s from the time axis in the diagonal plane x = y.
+const compositePoint = (x, y, s) => (CONFIG.combination === 'sum' ? [x, y] : [s * Math.SQRT1_2, s * Math.SQRT1_2]);
+
+let hasEnvelope = false;
+// What the data exports write: the drawn samples and the numbers in the stats bar
+let lastMeasurement = null;
+
+// --- Geometry Scheduling ---
+// Slider drags don't recompute on every input event: requestGeometry() marks the curves stale
+// and the frame loop refreshes them at most once per frame. From WORKER_POINTS samples up the
+// sampling and integrals run in a worker and the main thread only draws the result. Every
+// other change calls updateGeometry() and sees the new measurement straight away.
+const WORKER_POINTS = 2400;
+const frameMeter = createFrameMeter();
+let geometryStale = false;
+let sampler = typeof Worker === 'undefined'
+  ? null
+  : createSamplingClient(new Worker(new URL('./samplingWorker.js', import.meta.url), { type: 'module' }));
+
+const requestGeometry = () => { geometryStale = true; };
+
+function refreshGeometry() {
+  geometryStale = false;
+  CONFIG.points = resolvePoints(CONFIG);
+  if (!sampler || CONFIG.points < WORKER_POINTS) {
+    updateGeometry();
+    return;
   }
-  return p_curr;
-};
+  const started = performance.now();
+  sampler.sample(CONFIG).then(result => {
+    if (!result) return;
+    frameMeter.geometry(performance.now() - started);
+    applyMeasurement(result);
+  }).catch(() => {
+    // No worker after all (blocked or failed to load): sample on the main thread from now on
+    sampler = null;
+    updateGeometry();
+  });
+}
 
 // --- Geometry Generation ---
+// Synchronous update, for everything but slider drags (see requestGeometry)
 function updateGeometry() {
-  const p1 = [], p2 = [], pSum = [];
-  let integral = 0;
-  let power1 = 0;
-  let power2 = 0;
-  const dt = CONFIG.length / CONFIG.points;
-  const phiRad = (CONFIG.phase * Math.PI) / 180;
-
-  for (let i = 0; i < CONFIG.points; i++) {
-    const tRelative = i / CONFIG.points;
-    const tReal = tRelative * CONFIG.length; // 0 to 12
-    const z = tReal - CONFIG.length / 2;
-
-    let x, y;
-
-    if (CONFIG.mode === 'square') {
-      // Walsh: Phase shift doesn't make sense for ideal Walsh, but time shift does
-      // We implement a simple frequency-based Square wave for demo
-      const tShift = (CONFIG.phase / 360) / (CONFIG.f2 || 1);
-      x = getWalsh(CONFIG.f1, tRelative) * 0.8 * CONFIG.amp1;
-      y = Math.sign(Math.sin(2 * Math.PI * CONFIG.f2 * (tRelative + tShift))) * 0.8 * CONFIG.amp2;
+  geometryStale = false;
+  sampler?.cancel();
+  CONFIG.points = resolvePoints(CONFIG);
+  const started = performance.now();
+  applyMeasurement(measureSignals(CONFIG));
+  frameMeter.geometry(performance.now() - started);
+}
+
+// Draws one measureSignals result, computed here or in the sampling worker
+function applyMeasurement({ samples, stats, gram }) {
+  const count = samples.x.length;
+  const combined = CONFIG.combination === 'sum' ? null : combineSeries(CONFIG, samples);
+  hasEnvelope = Boolean(combined?.envelope);
+  const p1 = linePositions(curveF1, count);
+  const p2 = linePositions(curveF2, count);
+  const pSum = linePositions(curveSum, count);
+  const pEnvUpper = hasEnvelope ? linePositions(curveEnvUpper, count) : null;
+  const pEnvLower = hasEnvelope ? linePositions(curveEnvLower, count) : null;
+
+  for (let i = 0, k = 0; i < count; i++, k += 3) {
+    const x = samples.x[i], y = samples.y[i], z = samples.z[i];
+    // compositePoint without the per-point array: a modulated composite sits on the diagonal
+    const cx = combined ? combined.s[i] * Math.SQRT1_2 : x;
+    const cy = combined ? cx : y;
+    p1[k] = x; p1[k + 1] = 0; p1[k + 2] = z;
+    p2[k] = 0; p2[k + 1] = y; p2[k + 2] = z;
+    pSum[k] = cx; pSum[k + 1] = cy; pSum[k + 2] = z;
+    if (hasEnvelope) {
+      const e = combined.envelope[i] * Math.SQRT1_2;
+      pEnvUpper[k] = e; pEnvUpper[k + 1] = e; pEnvUpper[k + 2] = z;
+      pEnvLower[k] = -e; pEnvLower[k + 1] = -e; pEnvLower[k + 2] = z;
     }
-    else if (CONFIG.mode === 'wave') {
-      // Wavelet: 'Phase' here shifts the position of packet 2
-      const shift = (CONFIG.phase / 360) * CONFIG.length * 0.5;
-      // We separate them in time by default unless collided
-      // f1 is at 25% mark, f2 is at 75% mark normally
-      // 'f' param primarily controls carrier freq
+  }
 
-      const center1 = 0.3 * CONFIG.length;
-      const center2 = 0.7 * CONFIG.length - shift; // Phase slider moves packet 2
+  [curveF1, curveF2, curveSum].concat(hasEnvelope ? [curveEnvUpper, curveEnvLower] : []).forEach(line => commitPositions(line, count));
+  applySumVisibility();
 
-      const sigma = 0.8;
-      const t1 = tReal - center1;
-      const t2 = tReal - center2;
+  const corr = stats.corr.toFixed(3);
+  let absCorr = Math.abs(parseFloat(corr));
 
-      const env1 = Math.exp(-(t1 * t1) / (2 * sigma));
-      const env2 = Math.exp(-(t2 * t2) / (2 * sigma));
+  if (CONFIG.multi) {
+    // The Gram matrix replaces the single correlation; its worst pair drives the score
+    drawGramMatrix(document.getElementById('gram-canvas'), gram, CONFIG.components.map(c => c.color));
+    absCorr = Math.abs(parseFloat(gram.worst.toFixed(3)));
+  }
 
-      x = env1 * Math.sin(2 * Math.PI * CONFIG.f1 * t1) * CONFIG.amp1;
-      y = env2 * Math.sin(2 * Math.PI * CONFIG.f2 * t2) * CONFIG.amp2;
-    }
-    else if (CONFIG.mode === 'poly') {
-      // Scale t from [0, 12] to [-1, 1] for Legendre
-      const tNorm = (tRelative * 2) - 1;
-      const order1 = Math.round(CONFIG.f1); // Map frequency slider to Order
-      const order2 = Math.round(CONFIG.f2);
-      x = getLegendre(order1, tNorm) * CONFIG.amp1;
-      y = getLegendre(order2, tNorm) * CONFIG.amp2;
-    }
-    else {
-      // Default Sine
-      x = Math.sin(2 * Math.PI * CONFIG.f1 * tRelative) * CONFIG.amp1;
-      y = Math.sin(2 * Math.PI * CONFIG.f2 * tRelative + phiRad) * CONFIG.amp2;
+  if (CONFIG.mode === 'square') updateCdma();
+  if (CONFIG.mode === 'iq') updateIq(samples);
+  curveGhost.visible = gsDrops.visible = false;
+  if (CONFIG.mode === 'gs') updateGramSchmidt(samples);
+  if (CONFIG.mode === 'wave') updateDwt();
+  fourierGhosts.forEach(curve => { curve.visible = false; });
+  if (CONFIG.mode === 'fourier' && !CONFIG.multi) updateFourier(samples);
+  updateProjection();
+  updateProductRibbon(samples, stats);
+  updateSpectrum(combined ? { ...samples, s: combined.s } : samples);
+  updateFunctionSpace(samples, stats);
+
+  document.getElementById('stat-corr').innerText = corr;
+  if (CONFIG.mode === 'poly') {
+    document.getElementById('stat-weight').innerText = CONFIG.polyWeighted ? getFamily(CONFIG.polyFamily).weightLabel : t('poly.unweighted');
+  }
+  const orthoScore = (100 - absCorr * 100).toFixed(1);
+  document.getElementById('stat-ortho').innerText = `${orthoScore}%`;
+  lastMeasurement = { samples, combined, stats, gram, orthogonality: parseFloat(orthoScore) };
+  updateEquation(stats);
+
+  updateTutorialState(absCorr);
+  lessonPlayer.observe(absCorr);
+  scheduleUrlSync();
+}
+
+// The inner product being evaluated, with the live parameters substituted; re-typeset only on change
+let equationSource = '';
+function updateEquation(stats) {
+  const tex = equationTex(CONFIG, stats, CONFIG.length);
+  if (tex === equationSource) return;
+  equationSource = tex;
+  document.getElementById('equation').innerHTML = katex.renderToString(tex, { displayMode: true, throwOnError: false, output: 'html' });
+}
+
+// The product ribbon for the drawn samples; placeTracer reveals it up to the tracer
+const POSITIVE_AREA = new THREE.Color(0x00ff87);
+const NEGATIVE_AREA = new THREE.Color(0xff6b6b);
+let lastProduct = null;
+let ribbonBuffers = null; // ribbonTriangles' arrays, handed back to it on every update
+// Set while a quiz prediction is answered blind: the integral curve would give the answer away
+let productConcealed = false;
+function updateProductRibbon(samples, { power1, power2 }) {
+  const active = CONFIG.showProduct && !clipGroup.visible && !productConcealed;
+  document.body.classList.toggle('product-active', active);
+  productGroup.visible = active;
+  lastProduct = null;
+  if (!active) return;
+
+  const { density, integral } = productSeries(samples);
+  ribbonBuffers = ribbonTriangles(samples.z, density, ribbonBuffers);
+  const { vertices, signs, count } = ribbonBuffers;
+  const positions = linePositions(ribbon, count);
+  const colors = reusedAttribute(ribbon.geometry, 'color', count);
+  for (let v = 0, k = 0; v < count; v++, k += 3) {
+    const { r, g, b } = signs[v] < 0 ? NEGATIVE_AREA : POSITIVE_AREA;
+    positions[k] = vertices[2 * v + 1]; positions[k + 1] = RIBBON_Y; positions[k + 2] = vertices[2 * v];
+    colors[k] = r; colors[k + 1] = g; colors[k + 2] = b;
+  }
+  ribbon.geometry.getAttribute('color').needsUpdate = true;
+  commitPositions(ribbon, count);
+
+  // ∫x·y / √(P1·P2): the curve's last point is the correlation itself
+  const norm = Math.sqrt(power1 * power2) || 1;
+  const points = linePositions(curveIntegral, integral.length);
+  for (let i = 0, k = 0; i < integral.length; i++, k += 3) {
+    points[k] = (integral[i] / norm) * INTEGRAL_SCALE; points[k + 1] = RIBBON_Y; points[k + 2] = samples.z[i];
+  }
+  commitPositions(curveIntegral, integral.length);
+  lastProduct = { density, integral, norm };
+}
+
+// Spectrum of the very samples drawn above; f1/f2 are marked only where they are frequencies
+function updateSpectrum(samples) {
+  if (!document.getElementById('spectrum-panel').open) return;
+  const spectra = computeSpectra(samples, { window: CONFIG.spectrumWindow, maxBin: 32 });
+  const fx = CONFIG.multi ? CONFIG.components[CONFIG.axisX].f : CONFIG.f1;
+  const fy = CONFIG.multi ? CONFIG.components[CONFIG.axisY].f : CONFIG.f2;
+  const markers = CONFIG.mode === 'sine'
+    ? [{ f: fx, label: 'f1', color: '#60efff' }, { f: fy, label: 'f2', color: '#ff60ad' }]
+    : [];
+  // Sidebands of the modulated composite sit at f2 ± f1
+  const bands = CONFIG.mode === 'sine' && !CONFIG.multi ? sidebands(CONFIG) : null;
+  if (bands) {
+    markers.push({ f: bands.lower, label: 'f2-f1', color: '#ffd166' }, { f: bands.upper, label: 'f2+f1', color: '#ffd166' });
+  }
+  drawSpectrum(document.getElementById('spectrum-canvas'), spectra, markers);
+}
+
+// The pair as arrows in a three-function basis, with θ = arccos(corr) and proj_f1 f2
+const vectorInset = createVectorInset(document.getElementById('vector-canvas'));
+let vectorSource = '';
+function updateFunctionSpace(samples, stats) {
+  if (!document.getElementById('vector-panel').open) return;
+  const view = functionVectors(samples, stats, vectorBasis(CONFIG, CONFIG.vectorBasis));
+  const colors = CONFIG.multi ? [CONFIG.components[CONFIG.axisX].color, CONFIG.components[CONFIG.axisY].color] : undefined;
+  vectorInset.update(view, colors);
+
+  const [e1, e2, e3] = view.labels;
+  let text = t('vector.readout', {
+    e1, e2, e3,
+    theta: view.theta.toFixed(1),
+    scale: num(view.scale),
+    x: (view.captured.x * 100).toFixed(1),
+    y: (view.captured.y * 100).toFixed(1)
+  });
+  // Part of a signal outside the span is not drawn; the angle still is the full one
+  if (Math.min(view.captured.x, view.captured.y) < 0.999) text += `\n${t('vector.partial')}`;
+  if (text === vectorSource) return;
+  vectorSource = text;
+  document.getElementById('vector-readout').innerHTML = mathHtml(text);
+}
+
+// I/Q: demodulate the composite of the drawn samples and plot what the receiver decided
+let lastIq = null;
+function updateIq(samples) {
+  lastIq = demodulate(samples, CONFIG);
+  drawConstellation(document.getElementById('iq-canvas'), lastIq, constellation(CONFIG.iqScheme));
+  document.getElementById('iq-errors').innerText = `${lastIq.bitErrors} / ${lastIq.totalBits}`;
+}
+
+// Gram–Schmidt: ghost + dashed drops in the XZ plane, the finished basis and the step list
+const GS_DROPS = 48;
+function updateGramSchmidt(samples) {
+  const { run, error } = gramSchmidtFor(CONFIG);
+  document.getElementById('gs-error').innerText = error || '';
+  if (!run) {
+    document.getElementById('gs-step').innerText = '';
+    document.getElementById('gs-check').innerText = '';
+    document.getElementById('gs-steps').innerHTML = '';
+    return;
+  }
+  const stepIndex = Math.min(CONFIG.gsStep, run.steps.length - 1);
+
+  const pGhost = linePositions(curveGhost, samples.t.length);
+  let count = 0;
+  for (; count < samples.t.length; count++) {
+    const value = sampleGramSchmidt(CONFIG, samples.t[count]).ghost;
+    if (value === null) break;
+    pGhost[3 * count] = value; pGhost[3 * count + 1] = 0; pGhost[3 * count + 2] = samples.z[count];
+  }
+  if (count) {
+    commitPositions(curveGhost, count);
+    const pDrops = linePositions(gsDrops, 2 * GS_DROPS);
+    for (let d = 0, k = 0; d < GS_DROPS; d++, k += 6) {
+      const i = Math.min(count - 1, Math.floor(((d + 0.5) * samples.t.length) / GS_DROPS));
+      pDrops[k] = pGhost[3 * i]; pDrops[k + 1] = 0; pDrops[k + 2] = samples.z[i];
+      pDrops[k + 3] = samples.x[i]; pDrops[k + 4] = 0; pDrops[k + 5] = samples.z[i];
     }
+    commitPositions(gsDrops, 2 * GS_DROPS);
+    gsDrops.computeLineDistances();
+    curveGhost.visible = gsDrops.visible = true;
+  }
 
-    p1.push(x, 0, z);
-    p2.push(0, y, z);
-    pSum.push(x, y, z);
+  drawGramSchmidt(document.getElementById('gs-canvas'), run, stepIndex, COMPONENT_COLORS);
+  renderStepList(document.getElementById('gs-steps'), run, stepIndex);
+  document.getElementById('gs-step').innerText = t('gs.step', { step: stepIndex + 1, total: run.steps.length, weight: WEIGHTS[run.weight].label });
 
-    // Pearson correlation uses centered/normalized values, but for signal orthogonality
-    // we care about the raw dot product integral in the definition interval.
-    integral += x * y * dt;
-    power1 += x * x * dt;
-    power2 += y * y * dt;
+  const deviation = legendreDeviation(run);
+  document.getElementById('gs-check').innerText = deviation === null
+    ? WEIGHTS[run.weight].label
+    : t(deviation < 1e-4 ? 'gs.legendreMatch' : 'gs.legendreMismatch', { deviation: deviation.toExponential(1) });
+}
+
+// DWT: decompose the chosen signal with the selected family (db4 stands in for the
+// continuous wavelets, which have no filter bank) and rebuild it from the coefficients
+const DWT_LENGTH = 256;
+function updateDwt() {
+  const family = getWaveletFamily(CONFIG.waveFamily).filter ? CONFIG.waveFamily : 'db4';
+  const signal = new Float64Array(DWT_LENGTH);
+  for (let i = 0; i < DWT_LENGTH; i++) {
+    const t = i / DWT_LENGTH;
+    if (CONFIG.dwtSignal === 'composite') {
+      const { x, y } = evaluateSignals(CONFIG, t);
+      signal[i] = x + y;
+    } else {
+      signal[i] = DWT_SIGNALS[CONFIG.dwtSignal](t);
+    }
   }
+  const coefficients = dwt(signal, family, CONFIG.dwtLevels);
+  const rebuilt = idwt(coefficients, family, { keepDetails: !CONFIG.dwtApproxOnly });
+  drawDwt(document.getElementById('dwt-canvas'), signal, coefficients, rebuilt);
+
+  const error = Math.max(...signal.map((v, i) => Math.abs(v - rebuilt[i])));
+  document.getElementById('dwt-family').innerText = getWaveletFamily(family).name;
+  document.getElementById('dwt-error').innerText = family === CONFIG.waveFamily
+    ? t(CONFIG.dwtApproxOnly ? 'dwt.approxOnly' : 'dwt.full', { levels: CONFIG.dwtLevels, error: error.toExponential(1) })
+    : t('dwt.notOrthogonal', { name: getWaveletFamily(CONFIG.waveFamily).name });
+}
 
-  curveF1.geometry.setAttribute('position', new THREE.Float32BufferAttribute(p1, 3));
-  curveF2.geometry.setAttribute('position', new THREE.Float32BufferAttribute(p2, 3));
-  curveSum.geometry.setAttribute('position', new THREE.Float32BufferAttribute(pSum, 3));
+// Fourier builder: ghosts of the partial sums on the way to S_N, the coefficient and
+// error panel, and the live Gibbs / L2 readouts
+function updateFourier(samples) {
+  const series = fourierSeries(CONFIG);
+  const terms = Math.round(CONFIG.fourierTerms);
+  const peak = Math.max(...Array.from(series.a, (a, k) => Math.hypot(a, series.b[k])));
+  // Only harmonics that actually add something make a new partial sum (a square wave has no even ones)
+  const previous = [];
+  for (let k = terms - 1; k >= 0 && previous.length < FOURIER_GHOSTS; k--) {
+    if (Math.hypot(series.a[k + 1], series.b[k + 1]) > 1e-6 * peak) previous.push(k);
+  }
+  fourierGhosts.forEach((curve, slot) => {
+    curve.visible = slot < previous.length;
+    if (!curve.visible) return;
+    const points = linePositions(curve, samples.t.length);
+    for (let i = 0, k = 0; i < samples.t.length; i++, k += 3) {
+      const tau = (CONFIG.f1 * samples.t[i]) % 1;
+      points[k] = 0; points[k + 1] = partialSum(series, previous[slot], tau) * CONFIG.amp2; points[k + 2] = samples.z[i];
+    }
+    commitPositions(curve, samples.t.length);
+  });
 
-  const norm = Math.sqrt(power1 * power2);
-  const corr = (norm > 0) ? (integral / norm).toFixed(3) : "0.000";
-  const absCorr = Math.abs(parseFloat(corr));
+  const stats = seriesStats(CONFIG, terms);
+  drawFourier(document.getElementById('fourier-canvas'), series, terms);
+  document.getElementById('fourier-gibbs').innerText = `${(stats.overshoot * 100).toFixed(1)}%`;
+  document.getElementById('fourier-l2').innerText = `${stats.l2Error.toFixed(4)} (${(stats.relativeError * 100).toFixed(1)}%)`;
+}
 
-  document.getElementById('stat-corr').innerText = corr;
-  const orthoScore = (100 - absCorr * 100).toFixed(1);
-  document.getElementById('stat-ortho').innerText = `${orthoScore}%`;
+// Clip projection: the loaded clip window on the active basis, rebuilt from the first
+// N terms (and from 1, 2, 4, … terms on the way there) as a waterfall beside it
+let userClip = null; // { name, mono, sampleRate, duration }
+let lastProjection = null;
+// From the state rather than clipGroup.visible, which only follows at the next updateProjection
+const clipActive = () => Boolean(userClip && CONFIG.clipView);
+function updateProjection() {
+  const active = clipActive();
+  document.body.classList.toggle('clip-active', active);
+  clipGroup.visible = active;
+  [curveF1, curveF2, dotF1, dotF2].forEach(o => { o.visible = !active; });
+  if (active) [curveSum, curveEnvUpper, curveEnvLower, dotSum, connX, connY, curveGhost, gsDrops].forEach(o => { o.visible = false; });
+  lastProjection = null;
+  if (!active) return;
+
+  const values = clipWindow(userClip.mono, userClip.sampleRate, { offset: CONFIG.clipOffset / 1000, duration: CONFIG.clipWindow / 1000 });
+  const basis = basisFor(CONFIG, MAX_TERMS);
+  const projection = projectOntoBasis(values, basis);
+  const terms = Math.min(CONFIG.clipTerms, projection.labels.length);
+  lastProjection = { ...projection, basis: basis.name, terms };
+
+  const amplitude = 1.5;
+  const drawSeries = (curve, series, plane) => {
+    const points = linePositions(curve, series.length);
+    for (let i = 0, k = 0; i < series.length; i++, k += 3) {
+      points[k] = plane; points[k + 1] = series[i] * amplitude; points[k + 2] = (i / series.length) * CONFIG.length - CONFIG.length / 2;
+    }
+    commitPositions(curve, series.length);
+  };
+  drawSeries(curveClip, values, 0);
+  const counts = [1, 2, 4, 8, 16].filter(n => n < terms).concat(terms).slice(-PARTIAL_SLOTS);
+  curvePartials.forEach((curve, slot) => {
+    curve.visible = slot < counts.length;
+    if (curve.visible) drawSeries(curve, projection.reconstruct(counts[slot]), (slot + 1) * CLIP_SPACING);
+  });
 
-  updateTutorialState(absCorr);
+  drawCoefficients(document.getElementById('clip-canvas'), projection, terms);
+  document.getElementById('clip-basis').innerText = basis.name;
+  document.getElementById('clip-captured').innerText =
+    t('clip.captured', { counts: counts.join(', '), terms, percent: (projection.captured[terms] * 100).toFixed(1) });
+}
+
+// CDMA: spread both bit streams with the f1/f2 Walsh codes, sum them, despread each.
+// The phase slider is the chip offset of user 2, same as in the 3D view.
+function updateCdma() {
+  const { walshSize: size, walshOrdering: ordering } = CONFIG;
+  const index1 = Math.round(CONFIG.f1) % size;
+  const index2 = Math.round(CONFIG.f2) % size;
+  const link = simulateCdma({
+    bits1: CONFIG.cdmaBits1,
+    bits2: CONFIG.cdmaBits2,
+    code1: walshCode(index1, size, ordering),
+    code2: walshCode(index2, size, ordering),
+    amp1: CONFIG.amp1,
+    amp2: CONFIG.amp2,
+    shift: Math.round((CONFIG.phase / 360) * size)
+  });
+
+  drawCdmaLink(document.getElementById('cdma-canvas'), link, { bits1: CONFIG.cdmaBits1, bits2: CONFIG.cdmaBits2 });
+  document.getElementById('cdma-codes').innerText = `#${index1} / #${index2}`;
+  document.getElementById('cdma-errors').innerText = `${link.errors1} / ${link.errors2}`;
 }
 
 // Extracted Tutorial Logic
@@ -318,138 +787,360 @@ function updateTutorialState(absCorr) {
     }
   };
 
+  // A running lesson owns the narration; only the colour feedback stays live
+  if (lessonPlayer.active) {
+    setStyle(absCorr > 0.8 ? 'critical' : 'normal');
+    return;
+  }
+
+  // So does a quiz, without the colour: it would give a prediction away
+  if (quizRunning) {
+    setStyle('normal');
+    return;
+  }
+
+  if (lastProjection) {
+    setStyle('normal');
+    explainProjection(tutTitle, tutText);
+    return;
+  }
+
+  if (CONFIG.mode === 'gs') {
+    setStyle('normal');
+    explainGramSchmidtStep(tutTitle, tutText);
+    return;
+  }
+
+  if (CONFIG.mode === 'fourier' && !CONFIG.multi) {
+    setStyle('normal');
+    explainFourier(tutTitle, tutText);
+    return;
+  }
+
+  if (CONFIG.combination !== 'sum') {
+    explainCombination(tutTitle, tutText, setStyle);
+    return;
+  }
+
+  if (CONFIG.mode === 'poly' && !CONFIG.multi) {
+    explainPolynomials(tutTitle, tutText, setStyle, absCorr);
+    return;
+  }
+
   if (absCorr > 0.8) {
     setStyle('critical');
-    if (CONFIG.mode === 'wave') {
-      tutTitle.innerText = "💥 波包碰撞 (Packet Collision)";
-      tutText.innerText = "时间域上的碰撞！两个波包重叠了，信息无法区分。";
-    } else if (CONFIG.mode === 'poly') {
-      tutTitle.innerText = "📐 维度重合 (Basis Collapse)";
-      tutText.innerText = "当多项式的阶数相同时（比如都是 $x^2$），它们就是同一个向量，正交性为零。";
+    if (CONFIG.multi) {
+      tutTitle.innerText = t('tutorial.subcarrierOverlap.title');
+      setMathText(tutText, t('tutorial.subcarrierOverlap.text'));
+    } else if (CONFIG.mode === 'square') {
+      const key = CONFIG.phase ? 'tutorial.chipMisalignment' : 'tutorial.sameCode';
+      tutTitle.innerText = t(`${key}.title`);
+      setMathText(tutText, t(`${key}.text`));
+    } else if (CONFIG.mode === 'wave') {
+      tutTitle.innerText = t('tutorial.waveletCollision.title');
+      setMathText(tutText, t('tutorial.waveletCollision.text'));
     } else {
-      tutTitle.innerText = isIsoView ? "🚨 视觉欺骗 (Visual Illusion)" : "🚀 信号重叠 (Collision)";
-      tutText.innerText = isIsoView ? "别被骗了。虽然看起来分开了，但因为正交性破灭，这只是几何作图的假象。" : "两个信号已经同化，无法分离。";
+      const key = isIsoView ? 'tutorial.illusion' : 'tutorial.collision';
+      tutTitle.innerText = t(`${key}.title`);
+      setMathText(tutText, t(`${key}.text`));
     }
   } else {
     // Orthogonal
     setStyle('normal');
-    if (CONFIG.mode === 'wave') {
-      tutTitle.innerText = "🌊 时域正交 (Time Orthogonality)";
-      tutText.innerText = "波包分离。只要它们在时间上不重叠，乘积的积分就是 0。这是最直观的『时分复用』。";
+    if (CONFIG.multi) {
+      tutTitle.innerText = t('tutorial.ofdm.title');
+      setMathText(tutText, t('tutorial.ofdm.text', { count: CONFIG.components.length }));
+    } else if (CONFIG.mode === 'wave') {
+      explainWavelets(tutTitle, tutText, absCorr);
+    } else if (CONFIG.mode === 'iq' && lastIq) {
+      const rx = Math.abs(CONFIG.iqRxPhase);
+      tutTitle.innerText = lastIq.bitErrors ? t('tutorial.iq.bitErrors', { count: lastIq.bitErrors }) : t('tutorial.iq.title');
+      setMathText(tutText, lastIq.bitErrors
+        ? (rx > 20 ? t('tutorial.iq.rxPhase', { phase: CONFIG.iqRxPhase }) : t('tutorial.iq.noise'))
+        : t('tutorial.iq.clean'));
     } else if (CONFIG.mode === 'square') {
-      tutTitle.innerText = "🧱 Walsh 正交 (CDMA Code)";
-      tutText.innerText = "即使是方波，只要按照特定的节奏（Walsh 码）翻转，在这个周期内的总面积也会抵消为零。";
-    } else if (CONFIG.mode === 'poly') {
-      tutTitle.innerText = "🎓 勒让德正交 (Legendre)";
-      tutText.innerText = `数学之美！F1=${Math.round(CONFIG.f1)}阶 vs F2=${Math.round(CONFIG.f2)}阶。虽然一个是直线($x$)，另一个可能是抛物线($x^2$)，但在[-1, 1]空间内，它们也是互相垂直的向量！`;
+      tutTitle.innerText = t('tutorial.walsh.title');
+      setMathText(tutText, t('tutorial.walsh.text', {
+        code1: Math.round(CONFIG.f1) % CONFIG.walshSize,
+        code2: Math.round(CONFIG.f2) % CONFIG.walshSize,
+        size: CONFIG.walshSize,
+        hint: areaHint()
+      }));
     } else if (CONFIG.f1 === CONFIG.f2 && (Math.abs(CONFIG.phase % 180 - 90) < 10)) {
       setStyle('magic');
-      tutTitle.innerText = "✨ I/Q 正交 (Magic)";
-      tutText.innerText = "同频也能正交！相位差 90° 创造了奇迹。";
+      tutTitle.innerText = t('tutorial.magic.title');
+      setMathText(tutText, t('tutorial.magic.text'));
     } else {
       if (TARGETS[activeId]) {
-        tutTitle.innerText = TARGETS[activeId].title;
-        tutText.innerText = TARGETS[activeId].desc;
+        const card = presetCard(activeId);
+        tutTitle.innerText = card.title;
+        setMathText(tutText, card.text);
       }
     }
   }
 }
 
+// Points the "areas cancel" argument at the product ribbon
+const areaHint = () => t(CONFIG.showProduct ? 'tutorial.areaShown' : 'tutorial.areaHidden');
+
+// Wavelet mode: orthogonal across scale (Haar/D4) vs. merely separated in time (Morlet/Mexican hat)
+function explainWavelets(tutTitle, tutText, absCorr) {
+  const family = getWaveletFamily(CONFIG.waveFamily);
+  const j1 = CONFIG.waveScale1, j2 = CONFIG.waveScale2;
+  if (!family.orthogonal) {
+    tutTitle.innerText = t('tutorial.wavelet.cwtTitle', { name: family.name });
+    setMathText(tutText, t('tutorial.wavelet.cwtText', { name: family.name, corr: absCorr.toFixed(3) }));
+  } else if (j1 !== j2) {
+    tutTitle.innerText = t('tutorial.wavelet.scaleTitle');
+    setMathText(tutText, t('tutorial.wavelet.scaleText', { name: family.name, j1, j2 }));
+  } else {
+    tutTitle.innerText = t('tutorial.wavelet.shiftTitle');
+    setMathText(tutText, t('tutorial.wavelet.shiftText', { name: family.name, j: j1 }));
+  }
+}
+
+// Fourier builder: how the partial sum converges for this target
+function explainFourier(tutTitle, tutText) {
+  const terms = Math.round(CONFIG.fourierTerms);
+  const { overshoot, relativeError } = seriesStats(CONFIG, terms);
+  const name = t(`fourier.targets.${CONFIG.fourierTarget}`);
+  const jumps = ['square', 'sawtooth', 'pulse'].includes(CONFIG.fourierTarget);
+  const error = (relativeError * 100).toFixed(1);
+  tutTitle.innerText = t('tutorial.fourier.title', { name, terms });
+  if (terms === 0) {
+    setMathText(tutText, t('tutorial.fourier.dc'));
+  } else if (jumps && overshoot > 0.05) {
+    setMathText(tutText, t('tutorial.fourier.gibbs', { overshoot: (overshoot * 100).toFixed(1), error }));
+  } else {
+    setMathText(tutText, t('tutorial.fourier.converging', { error }) + (jumps ? '' : t('tutorial.fourier.smooth')));
+  }
+}
+
+// Clip projection: what the first N terms of this basis capture
+function explainProjection(tutTitle, tutText) {
+  const { basis, terms, captured } = lastProjection;
+  const percent = (captured[terms] * 100).toFixed(1);
+  tutTitle.innerText = t('tutorial.projection.title', { basis });
+  setMathText(tutText, t('tutorial.projection.text', { name: userClip.name, window: CONFIG.clipWindow, terms, percent }));
+}
+
+// Poly mode: which family, which weight, and what happens without it
+function explainPolynomials(tutTitle, tutText, setStyle, absCorr) {
+  const family = getFamily(CONFIG.polyFamily);
+  const name = t(`poly.families.${familyId(CONFIG.polyFamily)}`);
+  const n1 = Math.round(CONFIG.f1), n2 = Math.round(CONFIG.f2);
+  const usesOrder = CONFIG.polyFamily === 'associatedLegendre' || CONFIG.polyFamily === 'spherical';
+
+  if (usesOrder && Math.min(n1, n2) < CONFIG.polyOrder) {
+    setStyle('normal');
+    tutTitle.innerText = t('tutorial.poly.orderTitle');
+    setMathText(tutText, t('tutorial.poly.orderText', { m: CONFIG.polyOrder }));
+  } else if (n1 === n2) {
+    setStyle('critical');
+    tutTitle.innerText = t('tutorial.poly.collapseTitle');
+    setMathText(tutText, t('tutorial.poly.collapseText'));
+  } else if (absCorr > 0.05) {
+    setStyle(absCorr > 0.8 ? 'critical' : 'normal');
+    tutTitle.innerText = t('tutorial.poly.weightTitle');
+    setMathText(tutText, t('tutorial.poly.weightText', { name, weight: family.weightLabel, corr: absCorr.toFixed(3) }));
+  } else if (CONFIG.polyFamily === 'legendre') {
+    setStyle('normal');
+    tutTitle.innerText = t('tutorial.poly.legendreTitle');
+    setMathText(tutText, t('tutorial.poly.legendreText', { n1, n2, hint: areaHint() }));
+  } else {
+    setStyle('normal');
+    tutTitle.innerText = t('tutorial.poly.familyTitle', { name });
+    setMathText(tutText, t('tutorial.poly.familyText', { n1, n2, weight: family.weightLabel }) + (CONFIG.polyWeighted ? t('tutorial.poly.unweightHint') : ''));
+  }
+}
+
+// Narration for the Gram–Schmidt step on screen
+function explainGramSchmidtStep(tutTitle, tutText) {
+  const { run, error } = gramSchmidtFor(CONFIG);
+  if (!run) {
+    tutTitle.innerText = t('tutorial.gs.parseError');
+    setMathText(tutText, error);
+    return;
+  }
+  const step = run.steps[Math.min(CONFIG.gsStep, run.steps.length - 1)];
+  const k = step.k + 1;
+  if (step.type === 'start') {
+    tutTitle.innerText = t('tutorial.gs.startTitle', { k });
+    setMathText(tutText, t('tutorial.gs.startText', { text: run.texts[step.k] }));
+  } else if (step.type === 'project') {
+    const j = step.j + 1;
+    tutTitle.innerText = t('tutorial.gs.projectTitle', { j });
+    setMathText(tutText, t('tutorial.gs.projectText', { j, coefficient: step.coefficient.toFixed(4), short: step.coefficient.toFixed(3) }));
+  } else if (step.type === 'normalize') {
+    tutTitle.innerText = t('tutorial.gs.normalizeTitle', { k });
+    setMathText(tutText, t('tutorial.gs.normalizeText', { k, norm: step.norm.toFixed(4) }));
+  } else if (step.type === 'dependent') {
+    tutTitle.innerText = t('tutorial.gs.dependentTitle', { k });
+    setMathText(tutText, t('tutorial.gs.dependentText', { k }));
+  } else {
+    const count = run.basis.filter(Boolean).length;
+    const deviation = legendreDeviation(run);
+    tutTitle.innerText = t('tutorial.gs.doneTitle', { count });
+    setMathText(tutText, deviation !== null && deviation < 1e-4
+      ? t('tutorial.gs.legendreText', { deviation: deviation.toExponential(1) })
+      : t('tutorial.gs.doneText', { a: run.a, b: run.b, weight: WEIGHTS[run.weight].label }));
+  }
+}
+
+// Sideband narration for the product/modulation combinations, with the live numbers
+function explainCombination(tutTitle, tutText, setStyle) {
+  const { f1, f2, amIndex, amp1 } = CONFIG;
+  const bands = sidebands(CONFIG);
+  const lower = bands.lower.toFixed(1), upper = bands.upper.toFixed(1);
+  setStyle('normal');
+
+  if (CONFIG.combination === 'product') {
+    tutTitle.innerText = t('tutorial.combination.productTitle');
+    setMathText(tutText, t('tutorial.combination.productText', { f1, f2, lower, upper }));
+  } else if (CONFIG.combination === 'am') {
+    const depth = amIndex * amp1;
+    if (depth > 1) setStyle('critical');
+    tutTitle.innerText = t(depth > 1 ? 'tutorial.combination.overTitle' : 'tutorial.combination.amTitle');
+    setMathText(tutText, depth > 1
+      ? t('tutorial.combination.overText', { depth: depth.toFixed(2) })
+      : t('tutorial.combination.amText', { f2, lower, upper }));
+  } else if (CONFIG.combination === 'dsb') {
+    tutTitle.innerText = t('tutorial.combination.dsbTitle');
+    setMathText(tutText, t('tutorial.combination.dsbText', { f2, lower, upper }));
+  } else {
+    tutTitle.innerText = t('tutorial.combination.fmTitle');
+    setMathText(tutText, t('tutorial.combination.fmText', { f1, f2, beta: bands.beta.toFixed(2), carson: bands.carson.toFixed(1) }));
+  }
+}
+
 // --- Main Animation Loop ---
 let progress = 0;
 let lastTime = 0;
+// While an export runs it owns the renderer and poses every frame itself
+let exporting = false;
 
 function animate(time) {
   const deltaTime = time - lastTime;
   lastTime = time;
   requestAnimationFrame(animate);
+  if (exporting) return;
+  frameMeter.frame(deltaTime);
+  if (geometryStale) refreshGeometry();
+  if (audioStale) renderAudioWaves();
   controls.update();
 
   progress += (deltaTime * 0.001 * CONFIG.speed);
-  const t = progress % 1;
+  placeTracer(progress % 1);
+  renderer.render(scene, camera);
+  showFrameTime(time);
+}
+
+// Frame-time readout, rewritten a few times a second rather than every frame
+let readoutTime = 0;
+function showFrameTime(time) {
+  if (time - readoutTime < 250) return;
+  readoutTime = time;
+  const { frame, fps, geometry } = frameMeter.summary();
+  document.getElementById('perf-readout').innerText = t('perf.readout', {
+    frame: frame.toFixed(1),
+    fps: Math.round(fps),
+    geometry: geometry.toFixed(1),
+    points: CONFIG.points
+  });
+}
+
+// Tracer dots and connectors at window position t (0–1)
+function placeTracer(t) {
   const realT = t * CONFIG.length;
-  const phiRad = (CONFIG.phase * Math.PI) / 180;
 
-  const x = Math.sin(2 * Math.PI * CONFIG.f1 * t);
-  const y = Math.sin(2 * Math.PI * CONFIG.f2 * t + phiRad);
+  // Same evaluation path as updateGeometry, so the tracer stays on the drawn curves
+  const { x, y, s } = evaluateComposite(CONFIG, t);
   const z = realT - CONFIG.length / 2;
+  const [cx, cy] = compositePoint(x, y, s);
 
   dotF1.position.set(x, 0, z);
   dotF2.position.set(0, y, z);
-  dotSum.position.set(x, y, z);
-
-  connectorGeomX.setAttribute('position', new THREE.Float32BufferAttribute([x, y, z, x, 0, z], 3));
-  connectorGeomY.setAttribute('position', new THREE.Float32BufferAttribute([x, y, z, 0, y, z], 3));
+  dotSum.position.set(cx, cy, z);
+
+  const connectorX = connectorGeomX.getAttribute('position');
+  const connectorY = connectorGeomY.getAttribute('position');
+  connectorX.setXYZ(0, cx, cy, z);
+  connectorX.setXYZ(1, x, 0, z);
+  connectorY.setXYZ(0, cx, cy, z);
+  connectorY.setXYZ(1, 0, y, z);
+  connectorX.needsUpdate = connectorY.needsUpdate = true;
+  connectorGeomX.computeBoundingSphere();
+  connectorGeomY.computeBoundingSphere();
   connX.computeLineDistances();
   connY.computeLineDistances();
 
-  renderer.render(scene, camera);
+  if (lastProduct) {
+    const count = lastProduct.integral.length;
+    const shown = Math.min(count - 1, Math.floor(t * count));
+    ribbon.geometry.setDrawRange(0, shown * VERTICES_PER_SEGMENT);
+    curveIntegral.geometry.setDrawRange(0, shown + 1);
+    dotProduct.position.set(lastProduct.density[shown], RIBBON_Y, z);
+    dotIntegral.position.set((lastProduct.integral[shown] / lastProduct.norm) * INTEGRAL_SCALE, RIBBON_Y, z);
+  }
 }
 
 // --- Event Listeners ---
 document.getElementById('f1-range').addEventListener('input', (e) => {
   CONFIG.f1 = parseFloat(e.target.value);
   document.getElementById('f1-val').innerText = `${CONFIG.f1.toFixed(1)} Hz`;
-  updateGeometry();
-  updateAudioFreqs();
+  requestGeometry();
+  updateAudioWaves();
 });
 
 document.getElementById('f2-range').addEventListener('input', (e) => {
   CONFIG.f2 = parseFloat(e.target.value);
   document.getElementById('f2-val').innerText = `${CONFIG.f2.toFixed(1)} Hz`;
-  updateGeometry();
-  updateAudioFreqs();
+  requestGeometry();
+  updateAudioWaves();
 });
 
 document.getElementById('audio-toggle').addEventListener('click', () => {
   if (!audioCtx) initAudio();
 
   CONFIG.isAudioOn = !CONFIG.isAudioOn;
-  const btn = document.getElementById('audio-toggle');
-  const icon = document.getElementById('audio-icon');
-  const text = document.getElementById('audio-text');
+  syncAudioButton();
 
   if (CONFIG.isAudioOn) {
     audioCtx.resume();
     gainNode.gain.exponentialRampToValueAtTime(0.1, audioCtx.currentTime + 0.1);
-    btn.classList.add('on');
-    icon.innerText = '🔊';
-    text.innerText = '音频同步中... (Click to Mute)';
-    updateAudioFreqs();
+    updateAudioWaves();
   } else {
     gainNode.gain.exponentialRampToValueAtTime(0.0001, audioCtx.currentTime + 0.1);
-    btn.classList.remove('on');
-    icon.innerText = '🔇';
-    text.innerText = '激活音频同步 (Audio On)';
   }
 });
 
+function syncAudioButton() {
+  document.getElementById('audio-toggle').classList.toggle('on', CONFIG.isAudioOn);
+  document.getElementById('audio-icon').innerText = CONFIG.isAudioOn ? '🔊' : '🔇';
+  document.getElementById('audio-text').innerText = t(CONFIG.isAudioOn ? 'audio.on' : 'audio.off');
+}
+
 document.getElementById('phase-range').addEventListener('input', (e) => {
   CONFIG.phase = parseFloat(e.target.value);
   document.getElementById('phase-val').innerText = `${CONFIG.phase}°`;
-  updateGeometry();
-  updateAudioFreqs();
+  requestGeometry();
+  updateAudioWaves();
 });
 
 // Scenario Automation
 const applyScenario = (freq1, freq2, phaseDeg) => {
+  CONFIG.combination = 'sum';
   CONFIG.f1 = freq1;
   CONFIG.f2 = freq2;
   CONFIG.phase = phaseDeg;
 
-  // Update UI Elements
-  document.getElementById('f1-range').value = freq1;
-  document.getElementById('f2-range').value = freq2;
-  document.getElementById('phase-range').value = phaseDeg;
-  document.getElementById('f1-val').innerText = `${freq1.toFixed(1)} Hz`;
-  document.getElementById('f2-val').innerText = `${freq2.toFixed(1)} Hz`;
-  document.getElementById('phase-val').innerText = `${phaseDeg}°`;
+  syncControls();
 
   // Provide tactile feedback animation
   gsap.to('.control-panel', { x: -5, duration: 0.1, yoyo: true, repeat: 1 });
 
   updateGeometry();
-  updateAudioFreqs();
+  updateAudioWaves();
 };
 
 document.getElementById('scene-fdm').addEventListener('click', () => applyScenario(2.0, 3.0, 0));
@@ -460,13 +1151,15 @@ document.getElementById('scene-iq').addEventListener('click', () => applyScenari
 document.getElementById('amp1-range').addEventListener('input', (e) => {
   CONFIG.amp1 = parseFloat(e.target.value);
   document.getElementById('amp1-val').innerText = CONFIG.amp1.toFixed(1);
-  updateGeometry();
+  requestGeometry();
+  updateAudioWaves();
 });
 
 document.getElementById('amp2-range').addEventListener('input', (e) => {
   CONFIG.amp2 = parseFloat(e.target.value);
   document.getElementById('amp2-val').innerText = CONFIG.amp2.toFixed(1);
-  updateGeometry();
+  requestGeometry();
+  updateAudioWaves();
 });
 
 // Advanced Scenarios
@@ -474,6 +1167,7 @@ const applyScenarioAdvanced = (type) => {
   // Reset Amps
   CONFIG.amp1 = 1.0;
   CONFIG.amp2 = 1.0;
+  CONFIG.combination = 'sum';
 
   if (type === 'anc') {
     // Noise Cancellation: Same Freq, Same Amp, Inverse Phase
@@ -487,81 +1181,1181 @@ const applyScenarioAdvanced = (type) => {
     CONFIG.f2 = 5.5;
     CONFIG.phase = 0;
   } else if (type === 'am') {
-    // AM Radio: Carrier + Modulation
-    // Here we can't truly multiply f1*f2 in this additive viz, 
-    // but we can show how low freq f1 dominates the path shape
+    // AM Radio: a slow message (f1) rides on the envelope of a fast carrier (f2)
+    CONFIG.mode = 'sine';
+    CONFIG.combination = 'am';
     CONFIG.f1 = 1.0; // Signal
     CONFIG.f2 = 12.0; // Carrier
     CONFIG.phase = 0;
-    CONFIG.amp2 = 0.5;
+    CONFIG.amIndex = 0.6;
   }
 
-  // Update UI
-  document.getElementById('f1-range').value = CONFIG.f1;
-  document.getElementById('f2-range').value = CONFIG.f2;
-  document.getElementById('phase-range').value = CONFIG.phase;
-  document.getElementById('amp1-range').value = CONFIG.amp1;
-  document.getElementById('amp2-range').value = CONFIG.amp2;
-
-  document.getElementById('f1-val').innerText = CONFIG.f1.toFixed(1) + ' Hz';
-  document.getElementById('f2-val').innerText = CONFIG.f2.toFixed(1) + ' Hz';
-  document.getElementById('phase-val').innerText = CONFIG.phase + '°';
-  document.getElementById('amp1-val').innerText = CONFIG.amp1.toFixed(1);
-  document.getElementById('amp2-val').innerText = CONFIG.amp2.toFixed(1);
+  syncControls();
 
   updateGeometry();
-  updateAudioFreqs();
+  updateAudioWaves();
 };
 
 document.getElementById('scene-anc').addEventListener('click', () => applyScenarioAdvanced('anc'));
 document.getElementById('scene-beat').addEventListener('click', () => applyScenarioAdvanced('beat'));
 document.getElementById('scene-am').addEventListener('click', () => applyScenarioAdvanced('am'));
 
+// N-Signal Mode
+const renderComponents = () => renderComponentEditor({
+  list: document.getElementById('component-list'),
+  axisX: document.getElementById('axis-x'),
+  axisY: document.getElementById('axis-y'),
+  components: CONFIG.components,
+  config: CONFIG,
+  onChange: refreshComponents
+});
+
+function refreshComponents(structural) {
+  if (structural) {
+    renderComponents();
+    document.getElementById('component-add').disabled = CONFIG.components.length >= MAX_COMPONENTS;
+  }
+  applyAxisColors();
+  // Adding or removing a component redraws at once; slider and axis changes wait for the next frame
+  if (structural) updateGeometry();
+  else requestGeometry();
+  updateAudioWaves();
+}
+
+document.getElementById('multi-toggle').addEventListener('click', (e) => {
+  CONFIG.multi = !CONFIG.multi;
+  e.currentTarget.classList.toggle('on', CONFIG.multi);
+  document.body.classList.toggle('multi-active', CONFIG.multi);
+  refreshComponents(true);
+});
+
+document.getElementById('component-add').addEventListener('click', () => {
+  if (CONFIG.components.length >= MAX_COMPONENTS) return;
+  const component = createComponent(CONFIG.components.length);
+  component.f = fitFrequency(component.f, CONFIG);
+  CONFIG.components.push(component);
+  refreshComponents(true);
+});
+
+['axis-x', 'axis-y'].forEach(id => {
+  document.getElementById(id).addEventListener('change', (e) => {
+    CONFIG[id === 'axis-x' ? 'axisX' : 'axisY'] = parseInt(e.target.value, 10);
+    refreshComponents(false);
+  });
+});
+
 // Preset Buttons
 ['3d', 'top', 'f1', 'f2', 'xy', 'iso', 'comp'].forEach(id => {
   document.getElementById(`view-${id}`).addEventListener('click', () => transitionCamera(id));
 });
 
 // Visibility Toggle
-document.getElementById('show-sum').addEventListener('change', (e) => {
-  const visible = e.target.checked;
+function applySumVisibility() {
+  const visible = CONFIG.showSum && !clipActive();
   curveSum.visible = visible;
+  curveEnvUpper.visible = visible && hasEnvelope;
+  curveEnvLower.visible = visible && hasEnvelope;
   dotSum.visible = visible;
   connX.visible = visible;
   connY.visible = visible;
+}
+
+document.getElementById('show-sum').addEventListener('change', (e) => {
+  CONFIG.showSum = e.target.checked;
+  applySumVisibility();
+  scheduleUrlSync();
+});
+
+document.getElementById('show-product').addEventListener('change', (e) => {
+  CONFIG.showProduct = e.target.checked;
+  updateGeometry();
+  if (CONFIG.showProduct) {
+    narrate(t('tutorial.areas.title'), t('tutorial.areas.text'));
+  }
+});
+
+// Combination / modulation
+function setCombinationClass(name) {
+  document.body.classList.forEach(c => c.startsWith('combo-') && document.body.classList.remove(c));
+  document.body.classList.add(`combo-${name}`);
+  COMBINATIONS.forEach(n => document.getElementById(`combo-${n}`).classList.toggle('on', n === name));
+}
+
+COMBINATIONS.forEach(name => {
+  document.getElementById(`combo-${name}`).addEventListener('click', () => {
+    CONFIG.combination = name;
+    setCombinationClass(name);
+    updateGeometry();
+    updateAudioWaves();
+  });
+});
+
+['amIndex', 'fmDeviation'].forEach(key => {
+  document.getElementById(`${key}-range`).addEventListener('input', (e) => {
+    CONFIG[key] = parseFloat(e.target.value);
+    syncSlider(key);
+    requestGeometry();
+    updateAudioWaves();
+  });
+});
+
+// Spectrum window
+Object.keys(WINDOWS).forEach(name => {
+  document.getElementById(`window-${name}`).addEventListener('click', () => {
+    CONFIG.spectrumWindow = name;
+    Object.keys(WINDOWS).forEach(n => document.getElementById(`window-${n}`).classList.toggle('on', n === name));
+    updateGeometry();
+  });
+});
+
+document.getElementById('spectrum-panel').addEventListener('toggle', () => updateGeometry());
+
+// Function-space inset basis
+const vectorBasisSelect = document.getElementById('vector-basis');
+VECTOR_BASES.forEach(id => vectorBasisSelect.add(new Option('', id)));
+const labelVectorBases = () => [...vectorBasisSelect.options].forEach(o => { o.text = t(`vector.bases.${o.value}`); });
+vectorBasisSelect.addEventListener('change', (e) => {
+  CONFIG.vectorBasis = e.target.value;
+  updateGeometry();
+});
+document.getElementById('vector-panel').addEventListener('toggle', () => updateGeometry());
+
+// Sample resolution: adaptive, or a fixed point count
+const resolutionSelect = document.getElementById('resolution-select');
+RESOLUTIONS.forEach(value => resolutionSelect.add(new Option('', value)));
+const labelResolutions = () => [...resolutionSelect.options].forEach(o => {
+  o.text = o.value === 'auto' ? t('perf.auto') : t('perf.points', { points: o.value });
+});
+resolutionSelect.addEventListener('change', (e) => {
+  CONFIG.resolution = e.target.value === 'auto' ? 'auto' : parseInt(e.target.value, 10);
+  updateGeometry();
+});
+
+// I/Q modem controls
+const syncIqControls = () => {
+  Object.keys(SCHEMES).forEach(n => document.getElementById(`iq-${n}`).classList.toggle('on', n === CONFIG.iqScheme));
+  document.getElementById('iq-bits').value = CONFIG.iqBits.join('');
+  document.getElementById('iq-noise-range').value = CONFIG.iqNoise;
+  document.getElementById('iq-noise-val').innerText = CONFIG.iqNoise.toFixed(2);
+  document.getElementById('iq-rxphase-range').value = CONFIG.iqRxPhase;
+  document.getElementById('iq-rxphase-val').innerText = `${CONFIG.iqRxPhase}°`;
+};
+
+Object.keys(SCHEMES).forEach(name => {
+  document.getElementById(`iq-${name}`).addEventListener('click', () => {
+    CONFIG.iqScheme = name;
+    syncIqControls();
+    updateGeometry();
+    updateAudioWaves();
+  });
+});
+
+document.getElementById('iq-bits').addEventListener('input', (e) => {
+  const bits = parseBits(e.target.value);
+  if (!bits.length) return;
+  CONFIG.iqBits = bits;
+  updateGeometry();
+  updateAudioWaves();
+});
+
+document.getElementById('iq-random').addEventListener('click', () => {
+  CONFIG.iqBits = randomBits(SCHEMES[CONFIG.iqScheme].bitsPerSymbol * 8);
+  CONFIG.iqSeed = Math.floor(Math.random() * 2 ** 31);
+  syncIqControls();
+  updateGeometry();
+  updateAudioWaves();
+});
+
+document.getElementById('iq-noise-range').addEventListener('input', (e) => {
+  CONFIG.iqNoise = parseFloat(e.target.value);
+  syncIqControls();
+  requestGeometry();
+});
+
+document.getElementById('iq-rxphase-range').addEventListener('input', (e) => {
+  CONFIG.iqRxPhase = parseFloat(e.target.value);
+  syncIqControls();
+  requestGeometry();
+});
+
+// Polynomial family controls
+const polyFamilySelect = document.getElementById('poly-family');
+Object.keys(POLY_FAMILIES).forEach(name => polyFamilySelect.add(new Option('', name)));
+const labelPolyFamilies = () => [...polyFamilySelect.options].forEach(o => { o.text = t(`poly.families.${o.value}`); });
+
+const syncPolyControls = () => {
+  polyFamilySelect.value = CONFIG.polyFamily;
+  document.getElementById('poly-weighted').classList.toggle('on', CONFIG.polyWeighted);
+  document.body.classList.toggle('poly-order', CONFIG.polyFamily === 'associatedLegendre' || CONFIG.polyFamily === 'spherical');
+  syncSlider('polyOrder');
+};
+
+polyFamilySelect.addEventListener('change', (e) => {
+  CONFIG.polyFamily = e.target.value;
+  syncPolyControls();
+  updateGeometry();
+  updateAudioWaves();
+});
+
+document.getElementById('poly-weighted').addEventListener('click', () => {
+  CONFIG.polyWeighted = !CONFIG.polyWeighted;
+  syncPolyControls();
+  updateGeometry();
+});
+
+document.getElementById('polyOrder-range').addEventListener('input', (e) => {
+  CONFIG.polyOrder = parseInt(e.target.value, 10);
+  syncSlider('polyOrder');
+  requestGeometry();
+  updateAudioWaves();
+});
+
+// Wavelet basis & DWT controls
+const waveFamilySelect = document.getElementById('wave-family');
+Object.keys(WAVELET_FAMILIES).forEach(name => waveFamilySelect.add(new Option('', name)));
+const labelWaveFamilies = () => [...waveFamilySelect.options].forEach(o => {
+  const { name, orthogonal } = WAVELET_FAMILIES[o.value];
+  o.text = orthogonal ? t('wave.orthogonal', { name }) : name;
+});
+const dwtSignalSelect = document.getElementById('dwt-signal');
+['composite', ...Object.keys(DWT_SIGNALS)].forEach(name => dwtSignalSelect.add(new Option(name, name)));
+// The test signals go by their names in the literature; only the pair on screen is described
+const labelDwtSignals = () => [...dwtSignalSelect.options].forEach(o => { o.text = o.value === 'composite' ? t('dwt.composite') : o.value; });
+
+// A translation covers the window in 2^j cells, so k runs over [0, 2^j)
+const syncWaveControls = () => {
+  waveFamilySelect.value = CONFIG.waveFamily;
+  [1, 2].forEach(n => {
+    const cells = 2 ** CONFIG[`waveScale${n}`];
+    const range = document.getElementById(`waveShift${n}-range`);
+    range.max = cells - 0.25;
+    CONFIG[`waveShift${n}`] = Math.min(CONFIG[`waveShift${n}`], cells - 0.25);
+    syncSlider(`waveScale${n}`);
+    syncSlider(`waveShift${n}`);
+  });
+  dwtSignalSelect.value = CONFIG.dwtSignal;
+  document.getElementById('dwt-levels').value = String(CONFIG.dwtLevels);
+  document.getElementById('dwt-approx').classList.toggle('on', CONFIG.dwtApproxOnly);
+};
+
+waveFamilySelect.addEventListener('change', (e) => {
+  CONFIG.waveFamily = e.target.value;
+  updateGeometry();
+  updateAudioWaves();
+});
+
+['waveScale1', 'waveShift1', 'waveScale2', 'waveShift2'].forEach(key => {
+  document.getElementById(`${key}-range`).addEventListener('input', (e) => {
+    CONFIG[key] = parseFloat(e.target.value);
+    syncWaveControls();
+    requestGeometry();
+    updateAudioWaves();
+  });
+});
+
+dwtSignalSelect.addEventListener('change', (e) => {
+  CONFIG.dwtSignal = e.target.value;
+  updateGeometry();
+});
+
+document.getElementById('dwt-levels').addEventListener('change', (e) => {
+  CONFIG.dwtLevels = parseInt(e.target.value, 10);
+  updateGeometry();
+});
+
+document.getElementById('dwt-approx').addEventListener('click', () => {
+  CONFIG.dwtApproxOnly = !CONFIG.dwtApproxOnly;
+  syncWaveControls();
+  updateGeometry();
+});
+
+// Fourier builder controls
+const syncFourierControls = () => {
+  Object.keys(FOURIER_TARGETS).forEach(n => document.getElementById(`fourier-${n}`).classList.toggle('on', n === CONFIG.fourierTarget));
+  document.body.classList.toggle('fourier-pulse', CONFIG.fourierTarget === 'pulse');
+  syncSlider('fourierTerms');
+  syncSlider('fourierDuty');
+};
+
+Object.keys(FOURIER_TARGETS).forEach(name => {
+  document.getElementById(`fourier-${name}`).addEventListener('click', () => {
+    CONFIG.fourierTarget = name;
+    syncFourierControls();
+    updateGeometry();
+    updateAudioWaves();
+  });
+});
+
+['fourierTerms', 'fourierDuty'].forEach(key => {
+  document.getElementById(`${key}-range`).addEventListener('input', (e) => {
+    CONFIG[key] = parseFloat(e.target.value);
+    syncSlider(key);
+    requestGeometry();
+    updateAudioWaves();
+  });
+});
+
+// Adds the harmonics one by one up to the current N (or all the way when N is small)
+document.getElementById('fourier-play').addEventListener('click', () => {
+  const target = CONFIG.fourierTerms > 1 ? Math.round(CONFIG.fourierTerms) : MAX_HARMONICS / 2;
+  gsap.killTweensOf(CONFIG);
+  gsap.fromTo(CONFIG, { fourierTerms: 0 }, {
+    fourierTerms: target,
+    duration: Math.min(8, target * 0.35),
+    ease: 'none',
+    snap: { fourierTerms: 1 },
+    onUpdate: () => {
+      syncSlider('fourierTerms');
+      updateGeometry();
+      updateAudioWaves();
+    }
+  });
+});
+
+// Freehand: while drawing is on, dragging on the XZ plane writes one period of the target.
+// The window holds f1 periods, so wherever the pointer is maps onto the same period.
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+let drawingFourier = false;
+let lastDrawnBin = null;
+
+function drawFourierAt(event) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  pointer.set(((event.clientX - rect.left) / rect.width) * 2 - 1, -((event.clientY - rect.top) / rect.height) * 2 + 1);
+  raycaster.setFromCamera(pointer, camera);
+  const hit = raycaster.intersectObject(xzPlane)[0];
+  if (!hit) return;
+  const tRelative = (hit.point.z + CONFIG.length / 2) / CONFIG.length;
+  if (tRelative < 0 || tRelative >= 1) return;
+  const bin = Math.floor(((CONFIG.f1 * tRelative) % 1) * DRAWING_POINTS);
+  const value = +Math.min(2, Math.max(-2, hit.point.x / (CONFIG.amp1 || 1))).toFixed(2);
+  // Fill the bins skipped by a fast stroke so the curve has no holes
+  const from = lastDrawnBin === null ? bin : lastDrawnBin;
+  const steps = Math.abs(bin - from);
+  const start = CONFIG.fourierDrawing[from];
+  for (let s = 0; s <= steps; s++) {
+    const b = from + Math.sign(bin - from) * s;
+    CONFIG.fourierDrawing[b] = steps ? +(start + ((value - start) * s) / steps).toFixed(2) : value;
+  }
+  lastDrawnBin = bin;
+  CONFIG.fourierTarget = 'freehand';
+  syncFourierControls();
+  updateGeometry();
+}
+
+document.getElementById('fourier-draw').addEventListener('click', (e) => {
+  drawingFourier = !drawingFourier;
+  e.currentTarget.classList.toggle('on', drawingFourier);
+  controls.enabled = !drawingFourier && !exporting;
+  if (drawingFourier) transitionCamera('top');
+});
+
+renderer.domElement.addEventListener('pointerdown', (e) => {
+  if (!drawingFourier || CONFIG.mode !== 'fourier') return;
+  lastDrawnBin = null;
+  renderer.domElement.setPointerCapture(e.pointerId);
+  drawFourierAt(e);
+});
+renderer.domElement.addEventListener('pointermove', (e) => {
+  if (drawingFourier && renderer.domElement.hasPointerCapture(e.pointerId)) drawFourierAt(e);
+});
+renderer.domElement.addEventListener('pointerup', (e) => {
+  if (!drawingFourier || !renderer.domElement.hasPointerCapture(e.pointerId)) return;
+  renderer.domElement.releasePointerCapture(e.pointerId);
+  updateAudioWaves();
+});
+
+// Clip loading, recording and the projection view
+const syncClipControls = () => {
+  document.body.classList.toggle('clip-loaded', Boolean(userClip));
+  document.getElementById('clip-view').disabled = !userClip;
+  document.getElementById('clip-view').classList.toggle('on', CONFIG.clipView);
+  if (userClip) {
+    document.getElementById('clipOffset-range').max = Math.max(0, Math.floor(userClip.duration * 1000 - 5));
+    CONFIG.clipOffset = Math.min(CONFIG.clipOffset, Math.max(0, Math.floor(userClip.duration * 1000 - 5)));
+  }
+  ['clipOffset', 'clipWindow', 'clipTerms'].forEach(syncSlider);
+};
+
+const syncClipStatus = () => {
+  document.getElementById('clip-status').innerText = userClip
+    ? t('clip.loaded', { name: userClip.name, duration: userClip.duration.toFixed(2), rate: userClip.sampleRate, points: PROJECTION_SAMPLES })
+    : t('clip.empty');
+};
+
+function useClip(name, buffer) {
+  userClip = { name, mono: mixToMono(buffer), sampleRate: buffer.sampleRate, duration: buffer.duration };
+  CONFIG.clipView = true;
+  CONFIG.clipOffset = 0;
+  syncClipStatus();
+  syncClipControls();
+  updateGeometry();
+}
+
+document.getElementById('clip-load').addEventListener('click', () => document.getElementById('clip-file').click());
+
+document.getElementById('clip-file').addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  if (!audioCtx) initAudio();
+  try {
+    useClip(file.name, await decodeFile(audioCtx, file));
+  } catch (err) {
+    showStateMessage(t('clip.decodeFailed'), [file.name, err.message || String(err)]);
+  }
+});
+
+let recording = null;
+document.getElementById('clip-record').addEventListener('click', async (e) => {
+  const button = e.currentTarget;
+  if (recording) {
+    recording.stop();
+    return;
+  }
+  if (!audioCtx) initAudio();
+  try {
+    recording = await startRecording(audioCtx);
+  } catch (err) {
+    showStateMessage(t('clip.micFailed'), [err.message || String(err)]);
+    return;
+  }
+  button.classList.add('on');
+  document.getElementById('clip-status').innerText = t('clip.recording', { seconds: MAX_RECORDING_SECONDS });
+  try {
+    useClip(t('clip.recordingName'), await recording.done);
+  } catch (err) {
+    showStateMessage(t('clip.recordingFailed'), [err.message || String(err)]);
+  } finally {
+    recording = null;
+    button.classList.remove('on');
+  }
+});
+
+document.getElementById('clip-view').addEventListener('click', () => {
+  CONFIG.clipView = !CONFIG.clipView;
+  syncClipControls();
+  updateGeometry();
+});
+
+['clipOffset', 'clipWindow', 'clipTerms'].forEach(key => {
+  document.getElementById(`${key}-range`).addEventListener('input', (e) => {
+    CONFIG[key] = parseFloat(e.target.value);
+    syncSlider(key);
+    requestGeometry();
+  });
+});
+
+// Gram–Schmidt playground controls
+const GS_LEGENDRE = ['1', 't', 't^2', 't^3', 't^4'];
+
+const syncGsControls = () => {
+  for (let i = 0; i < MAX_FUNCTIONS; i++) document.getElementById(`gs-expr-${i}`).value = CONFIG.gsExpressions[i] || '';
+  document.getElementById('gs-a').value = CONFIG.gsA;
+  document.getElementById('gs-b').value = CONFIG.gsB;
+  document.getElementById('gs-weight').value = CONFIG.gsWeight;
+};
+
+const gsWeightSelect = document.getElementById('gs-weight');
+Object.entries(WEIGHTS).forEach(([name, { label }]) => gsWeightSelect.add(new Option(label, name)));
+
+const refreshGramSchmidt = () => {
+  updateGeometry();
+  updateAudioWaves();
+};
+
+for (let i = 0; i < MAX_FUNCTIONS; i++) {
+  document.getElementById(`gs-expr-${i}`).addEventListener('input', (e) => {
+    CONFIG.gsExpressions[i] = e.target.value;
+    refreshGramSchmidt();
+  });
+}
+
+['gsA', 'gsB'].forEach(key => {
+  document.getElementById(key === 'gsA' ? 'gs-a' : 'gs-b').addEventListener('change', (e) => {
+    const value = parseFloat(e.target.value);
+    if (Number.isFinite(value)) CONFIG[key] = value;
+    syncGsControls();
+    refreshGramSchmidt();
+  });
+});
+
+gsWeightSelect.addEventListener('change', (e) => {
+  CONFIG.gsWeight = e.target.value;
+  refreshGramSchmidt();
+});
+
+const stepGramSchmidt = (delta) => {
+  const { run } = gramSchmidtFor(CONFIG);
+  if (!run) return;
+  CONFIG.gsStep = Math.min(Math.max(0, CONFIG.gsStep + delta), run.steps.length - 1);
+  refreshGramSchmidt();
+};
+
+document.getElementById('gs-prev').addEventListener('click', () => stepGramSchmidt(-1));
+document.getElementById('gs-next').addEventListener('click', () => stepGramSchmidt(1));
+document.getElementById('gs-legendre').addEventListener('click', () => {
+  Object.assign(CONFIG, { gsExpressions: [...GS_LEGENDRE], gsA: -1, gsB: 1, gsWeight: 'uniform', gsStep: 0 });
+  syncGsControls();
+  refreshGramSchmidt();
+});
+
+// Mode-specific controls are shown through a body class
+function setModeClass(mode) {
+  document.body.classList.forEach(c => c.startsWith('mode-') && document.body.classList.remove(c));
+  document.body.classList.add(`mode-${mode}`);
+}
+
+// In Walsh mode the f1/f2 sliders pick a code index, 0 … N-1 in whole steps; every other
+// mode gets the frequency range of index.html back (1 … 15 Hz in half steps)
+function syncPairSliders() {
+  const { min, max, step } = frequencyRange(CONFIG);
+  ['f1', 'f2'].forEach(key => {
+    const range = document.getElementById(`${key}-range`);
+    range.min = min;
+    range.max = max;
+    range.step = step;
+    CONFIG[key] = fitFrequency(CONFIG[key], CONFIG);
+    syncSlider(key);
+  });
+  // The component sliders share the range; rebuilding the rows picks it up
+  CONFIG.components.forEach(c => { c.f = fitFrequency(c.f, CONFIG); });
+  renderComponents();
+}
+
+// Walsh ordering & code length
+WALSH_ORDERINGS.forEach(ordering => {
+  document.getElementById(`walsh-${ordering}`).addEventListener('click', () => {
+    CONFIG.walshOrdering = ordering;
+    WALSH_ORDERINGS.forEach(o => document.getElementById(`walsh-${o}`).classList.toggle('on', o === ordering));
+    updateGeometry();
+    updateAudioWaves();
+  });
+});
+
+document.getElementById('walsh-size').addEventListener('change', (e) => {
+  CONFIG.walshSize = parseInt(e.target.value, 10);
+  syncPairSliders();
+  updateGeometry();
+  updateAudioWaves();
+});
+
+// CDMA bit streams
+[['cdma-bits1', 'cdmaBits1'], ['cdma-bits2', 'cdmaBits2']].forEach(([id, key]) => {
+  document.getElementById(id).addEventListener('input', (e) => {
+    const bits = parseBits(e.target.value);
+    if (!bits.length) return;
+    CONFIG[key] = bits;
+    updateGeometry();
+  });
+});
+
+document.getElementById('cdma-random').addEventListener('click', () => {
+  CONFIG.cdmaBits1 = randomBits();
+  CONFIG.cdmaBits2 = randomBits();
+  document.getElementById('cdma-bits1').value = CONFIG.cdmaBits1.join('');
+  document.getElementById('cdma-bits2').value = CONFIG.cdmaBits2.join('');
+  updateGeometry();
 });
 
 // Mode Buttons
-['sine', 'square', 'wave', 'poly'].forEach(mode => {
+['sine', 'square', 'wave', 'poly', 'iq', 'gs', 'fourier'].forEach(mode => {
   document.getElementById(`mode-${mode}`)?.addEventListener('click', () => {
     CONFIG.mode = mode;
     document.querySelectorAll('[id^="mode-"]').forEach(b => b.classList.remove('active'));
     document.getElementById(`mode-${mode}`).classList.add('active');
+    setModeClass(mode);
+    syncPairSliders();
     updateGeometry();
+    updateAudioWaves();
 
-    // Show mode-specific tutorial
-    const tutTitle = document.getElementById('tut-title');
-    const tutText = document.getElementById('tut-text');
-    const modeDescriptions = {
-      'sine': { title: "📶 正弦波模式 (5G/WiFi)", desc: "这是现代无线通信的基础。通过傅里叶变换，任何复杂信号都能分解为正弦波的叠加。" },
-      'square': { title: "🧱 沃尔什/方波模式 (CDMA)", desc: "3G通信的核心！这些方波像数字编码一样只有0和1，却依然能保持正交。多个用户可以共享频率。" },
-      'wave': { title: "🌊 小波模式 (AI/图像)", desc: "小波是时间局域化的波包。它们通过『时间错开』来实现正交，是JPEG2000和神经网络的数学基础。" },
-      'poly': { title: "🎓 多项式模式 (勒让德)", desc: "高等数学的美！$x$ 和 $x^2-1/2$ 这样的多项式也能正交。阶数不同 = 向量垂直。这是量子力学的基础。" }
-    };
-    if (modeDescriptions[mode]) {
-      tutTitle.innerText = modeDescriptions[mode].title;
-      tutText.innerText = modeDescriptions[mode].desc;
-    }
+    // Show mode-specific tutorial (modes.<mode>.title / .desc)
+    document.getElementById('tut-title').innerText = t(`modes.${mode}.title`);
+    setMathText(document.getElementById('tut-text'), t(`modes.${mode}.desc`));
   });
 });
 
-window.addEventListener('resize', () => {
+function fitRenderer() {
   camera.aspect = window.innerWidth / window.innerHeight;
   camera.updateProjectionMatrix();
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
   renderer.setSize(window.innerWidth, window.innerHeight);
+}
+
+window.addEventListener('resize', () => {
+  if (!exporting) fitRenderer();
+});
+
+// --- Scene State: URL hash & JSON files ---
+const SLIDER_FORMATS = {
+  f1: v => `${v.toFixed(1)} Hz`,
+  f2: v => `${v.toFixed(1)} Hz`,
+  amp1: v => v.toFixed(1),
+  amp2: v => v.toFixed(1),
+  phase: v => `${Math.round(v)}°`,
+  amIndex: v => v.toFixed(2),
+  fmDeviation: v => `${v.toFixed(1)} Hz`,
+  polyOrder: v => `m = ${v}`,
+  waveScale1: v => `j = ${v}`,
+  waveShift1: v => `k = ${v}`,
+  waveScale2: v => `j = ${v}`,
+  waveShift2: v => `k = ${v}`,
+  clipOffset: v => `${Math.round(v)} ms`,
+  clipWindow: v => `${Math.round(v)} ms`,
+  clipTerms: v => `N = ${v}`,
+  fourierTerms: v => `N = ${Math.round(v)}`,
+  fourierDuty: v => `${Math.round(v * 100)}%`
+};
+
+// Moves one pair slider and its label to the CONFIG value (cheap enough for every tween frame)
+function syncSlider(key) {
+  document.getElementById(`${key}-range`).value = CONFIG[key];
+  document.getElementById(`${key}-val`).innerText = SLIDER_FORMATS[key](CONFIG[key]);
+}
+
+// Pushes every DOM control back in line with CONFIG (after scenarios, imports, links)
+function syncControls() {
+  ['phase', 'amp1', 'amp2', 'amIndex', 'fmDeviation'].forEach(syncSlider);
+  setCombinationClass(CONFIG.combination);
+  document.getElementById('show-sum').checked = CONFIG.showSum;
+  document.getElementById('show-product').checked = CONFIG.showProduct;
+  applySumVisibility();
+
+  document.querySelectorAll('[id^="mode-"]').forEach(b => b.classList.toggle('active', b.id === `mode-${CONFIG.mode}`));
+  setModeClass(CONFIG.mode);
+  document.getElementById('walsh-size').value = String(CONFIG.walshSize);
+  WALSH_ORDERINGS.forEach(o => document.getElementById(`walsh-${o}`).classList.toggle('on', o === CONFIG.walshOrdering));
+  document.getElementById('cdma-bits1').value = CONFIG.cdmaBits1.join('');
+  document.getElementById('cdma-bits2').value = CONFIG.cdmaBits2.join('');
+  Object.keys(WINDOWS).forEach(n => document.getElementById(`window-${n}`).classList.toggle('on', n === CONFIG.spectrumWindow));
+  syncIqControls();
+  syncGsControls();
+  syncPolyControls();
+  syncWaveControls();
+  syncFourierControls();
+  syncPairSliders();
+
+  document.getElementById('multi-toggle').classList.toggle('on', CONFIG.multi);
+  document.body.classList.toggle('multi-active', CONFIG.multi);
+  applyAxisColors();
+}
+
+const cameraPose = () => ({
+  preset: activePreset,
+  position: camera.position.toArray(),
+  target: controls.target.toArray(),
+  fov: camera.fov
+});
+
+// replaceState keeps the back button usable while the hash follows every change
+let urlSyncTimer = null;
+function scheduleUrlSync() {
+  clearTimeout(urlSyncTimer);
+  urlSyncTimer = setTimeout(() => {
+    history.replaceState(null, '', `#${encodeHash(captureState(CONFIG, cameraPose()))}`);
+  }, 250);
+}
+
+// Copies a sanitized state into CONFIG, the controls and the camera
+function applyState(state) {
+  const { camera: pose, components, ...params } = state;
+  Object.assign(CONFIG, params);
+  if (components) {
+    CONFIG.components = components.map((c, i) => ({ ...createComponent(i), ...c, color: c.color || createComponent(i).color }));
+  }
+  CONFIG.axisX = Math.min(CONFIG.axisX, CONFIG.components.length - 1);
+  CONFIG.axisY = Math.min(CONFIG.axisY, CONFIG.components.length - 1);
+
+  syncControls();
+  updateGeometry();
+  updateAudioWaves();
+
+  if (!pose) return;
+  if (pose.position) {
+    gsap.killTweensOf([camera, camera.position, controls.target]);
+    camera.position.fromArray(pose.position);
+    controls.target.fromArray(pose.target);
+    if (pose.fov) camera.fov = pose.fov;
+    camera.updateProjectionMatrix();
+    if (pose.preset) showPresetUI(pose.preset);
+  } else if (pose.preset) {
+    transitionCamera(pose.preset);
+  }
+}
+
+function showStateMessage(title, lines) {
+  document.getElementById('tut-title').innerText = title;
+  setMathText(document.getElementById('tut-text'), lines.join('\n'));
+}
+
+// Returns true when the hash was handled (applied, or rejected with a message)
+function loadStateFromHash() {
+  try {
+    const raw = decodeHash(window.location.hash);
+    if (!raw) return false;
+    const { state, warnings } = sanitizeState(raw, { presets: Object.keys(TARGETS) });
+    applyState(state);
+    if (warnings.length) showStateMessage(t('state.linkAdjusted'), warnings);
+    return true;
+  } catch (err) {
+    showStateMessage(t('state.invalidLink'), [err.message]);
+    return true;
+  }
+}
+
+window.addEventListener('hashchange', loadStateFromHash);
+controls.addEventListener('end', scheduleUrlSync);
+
+document.getElementById('state-copy').addEventListener('click', async () => {
+  history.replaceState(null, '', `#${encodeHash(captureState(CONFIG, cameraPose()))}`);
+  try {
+    await navigator.clipboard.writeText(window.location.href);
+    showStateMessage(t('state.linkCopied'), [t('state.linkCopiedText')]);
+  } catch {
+    showStateMessage(t('state.shareLink'), [window.location.href]);
+  }
+});
+
+document.getElementById('state-export').addEventListener('click', () => {
+  const json = JSON.stringify(captureState(CONFIG, cameraPose()), null, 2);
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+  link.download = `orthogonality-scene-${CONFIG.mode}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+});
+
+document.getElementById('state-import').addEventListener('click', () => document.getElementById('state-file').click());
+
+document.getElementById('state-file').addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  try {
+    const { state, warnings } = sanitizeState(JSON.parse(await file.text()), { presets: Object.keys(TARGETS) });
+    applyState(state);
+    showStateMessage(t('state.imported', { name: file.name }), warnings.length ? warnings : [t('state.restored')]);
+  } catch (err) {
+    showStateMessage(t('state.importFailed'), [err.message]);
+  }
+});
+
+// --- Data Export: samples, stats and flat projections ---
+// Each camera preset that isolates a plane picks that plane for the SVG
+const PRESET_PLANES = { f1: 'xz', f2: 'yz', xy: 'xy' };
+
+// Written into every file, so the numbers can be traced back to the exact scene
+const exportMeta = () => ({ mode: CONFIG.mode, combination: CONFIG.combination, scene: captureState(CONFIG, cameraPose()) });
+
+const dataPlane = document.getElementById('data-plane');
+dataPlane.innerHTML = Object.entries(PROJECTIONS).map(([id, { name }]) => `<option value="${id}">${name}</option>`).join('');
+
+document.getElementById('data-csv').addEventListener('click', () => {
+  const { samples, combined } = lastMeasurement;
+  download(new Blob([toCsv(sampleTable(samples, combined?.s))], { type: 'text/csv' }), `orthogonality-samples-${CONFIG.mode}.csv`);
+});
+
+document.getElementById('data-json').addEventListener('click', () => {
+  const { samples, combined } = lastMeasurement;
+  const json = toJson(sampleTable(samples, combined?.s), exportMeta());
+  download(new Blob([json], { type: 'application/json' }), `orthogonality-samples-${CONFIG.mode}.json`);
+});
+
+document.getElementById('data-stats').addEventListener('click', () => {
+  const { stats, gram, orthogonality } = lastMeasurement;
+  const json = JSON.stringify(statsSummary(exportMeta(), stats, { orthogonality, gram }), null, 2);
+  download(new Blob([json], { type: 'application/json' }), `orthogonality-stats-${CONFIG.mode}.json`);
+});
+
+// The curves exactly as drawn (hidden ones are left out)
+document.getElementById('data-svg').addEventListener('click', () => {
+  const curves = [curveF1, curveF2, curveSum].filter(curve => curve.visible).map(curve => ({
+    positions: drawnPositions(curve.geometry),
+    color: `#${curve.material.color.getHexString()}`
+  }));
+  const title = `${CONFIG.mode} · corr = ${lastMeasurement.stats.corr.toFixed(3)}`;
+  download(new Blob([projectionSvg(curves, dataPlane.value, title)], { type: 'image/svg+xml' }), `orthogonality-${dataPlane.value}.svg`);
+});
+
+// --- Offline Export ---
+// Frames are rendered one index at a time at a fixed size, so an export looks the same
+// on any machine; the live loop pauses until it finishes.
+const exportOptions = { size: '1280x720', fps: 30, duration: 8, format: 'png', tour: false, caption: true };
+// The tour leaves from the live camera and visits these presets in order
+const EXPORT_TOUR = ['3d', 'f1', 'f2', 'xy', 'comp'];
+let exportAbort = null;
+
+function setCameraPose({ position, target, fov }) {
+  camera.position.fromArray(position);
+  controls.target.fromArray(target);
+  camera.fov = fov;
+  camera.updateProjectionMatrix();
+  camera.lookAt(controls.target);
+}
+
+// Poses and renders frame i; returns its caption, if any
+function renderExportFrame(plan, i) {
+  placeTracer(frameProgress(i, plan));
+  let stop = null;
+  if (plan.tour) {
+    const pose = poseAt(plan.tour, i / plan.fps);
+    setCameraPose(pose);
+    stop = pose.id;
+  }
+  renderer.render(scene, camera);
+  if (!plan.caption) return null;
+  // Each tour stop brings its own tutorial card; otherwise the card shown when the export started
+  return stop ? presetCard(stop) : plan.caption;
+}
+
+function syncExportControls() {
+  ['png', 'webm'].forEach(format => {
+    document.getElementById(`export-${format}`).classList.toggle('on', exportOptions.format === format);
+  });
+  document.getElementById('export-tour').classList.toggle('on', exportOptions.tour);
+  document.getElementById('export-caption').classList.toggle('on', exportOptions.caption);
+  document.getElementById('export-start').disabled = exporting;
+  document.getElementById('export-cancel').disabled = !exporting;
+  controls.enabled = !drawingFourier && !exporting;
+}
+
+document.getElementById('export-size').innerHTML = Object.keys(EXPORT_SIZES).map(size => `<option value="${size}">${size}</option>`).join('');
+document.getElementById('export-fps').innerHTML = EXPORT_FPS.map(fps => `<option value="${fps}">${fps} fps</option>`).join('');
+document.getElementById('export-size').value = exportOptions.size;
+document.getElementById('export-fps').value = String(exportOptions.fps);
+document.getElementById('export-duration').max = MAX_EXPORT_SECONDS;
+
+document.getElementById('export-size').addEventListener('change', (e) => { exportOptions.size = e.target.value; });
+document.getElementById('export-fps').addEventListener('change', (e) => { exportOptions.fps = parseInt(e.target.value, 10); });
+document.getElementById('export-duration').addEventListener('change', (e) => {
+  exportOptions.duration = Math.min(MAX_EXPORT_SECONDS, Math.max(1, parseFloat(e.target.value) || exportOptions.duration));
+  e.target.value = exportOptions.duration;
+});
+['png', 'webm'].forEach(format => {
+  document.getElementById(`export-${format}`).addEventListener('click', () => {
+    exportOptions.format = format;
+    syncExportControls();
+  });
+});
+['tour', 'caption'].forEach(option => {
+  document.getElementById(`export-${option}`).addEventListener('click', () => {
+    exportOptions[option] = !exportOptions[option];
+    syncExportControls();
+  });
+});
+
+document.getElementById('export-start').addEventListener('click', async () => {
+  const status = document.getElementById('export-status');
+  const [width, height] = EXPORT_SIZES[exportOptions.size];
+  const { fps, duration, format } = exportOptions;
+  const frames = frameCount({ fps, duration });
+  if (format === 'png' && frames * width * height > MAX_PNG_PIXELS) {
+    showStateMessage(t('export.failed'), [t('export.tooLarge', { size: exportOptions.size, fps, seconds: maxPngSeconds({ width, height, fps }) })]);
+    return;
+  }
+  const livePose = cameraPose();
+  // Frames are rendered from the current settings, not a drag still waiting for its update
+  updateGeometry();
+  const plan = {
+    fps,
+    speed: CONFIG.speed,
+    start: progress % 1,
+    tour: exportOptions.tour ? cameraTour(livePose, EXPORT_TOUR.map(presetPose), duration) : null,
+    caption: exportOptions.caption
+      ? { title: document.getElementById('tut-title').innerText, text: tutorialSource() }
+      : null
+  };
+
+  exporting = true;
+  exportAbort = new AbortController();
+  syncExportControls();
+  gsap.killTweensOf([camera, camera.position, controls.target]);
+  renderer.setPixelRatio(1);
+  renderer.setSize(width, height, false);
+  camera.aspect = width / height;
+  camera.updateProjectionMatrix();
+
+  try {
+    const file = await exportScene({
+      source: renderer.domElement,
+      width,
+      height,
+      fps,
+      frames,
+      format,
+      renderFrame: (i) => renderExportFrame(plan, i),
+      onProgress: (done, total) => { status.innerText = t('export.progress', { done, total, width, height }); },
+      signal: exportAbort.signal
+    });
+    if (file) {
+      download(file.blob, file.name);
+      status.innerText = t('export.done', { name: file.name });
+    } else {
+      status.innerText = t('export.cancelled');
+    }
+  } catch (err) {
+    status.innerText = '';
+    showStateMessage(t('export.failed'), [err.message]);
+  } finally {
+    exporting = false;
+    exportAbort = null;
+    if (plan.tour) setCameraPose(livePose);
+    fitRenderer();
+    syncExportControls();
+  }
+});
+
+document.getElementById('export-cancel').addEventListener('click', () => exportAbort?.abort());
+
+// --- Guided Lessons ---
+function narrate(title, text) {
+  const tutTitle = document.getElementById('tut-title');
+  const tutText = document.getElementById('tut-text');
+  gsap.fromTo([tutTitle, tutText], { opacity: 0, x: -10 }, { opacity: 1, x: 0, duration: 0.5, stagger: 0.1 });
+  tutTitle.innerText = title;
+  setMathText(tutText, text);
+}
+
+function renderLessonProgress({ index, total, autoplay, waiting, canBack, canNext }) {
+  const running = index >= 0;
+  document.body.classList.toggle('lesson-active', running);
+  document.getElementById('lesson-back').disabled = !canBack;
+  document.getElementById('lesson-next').disabled = !canNext;
+  document.getElementById('lesson-auto').classList.toggle('on', autoplay);
+  document.getElementById('lesson-progress-fill').style.width = running ? `${((index + 1) / total) * 100}%` : '0%';
+
+  let status = running ? t('lesson.progress', { index: index + 1, total }) : t('lesson.idle');
+  if (waiting) {
+    status += waiting.corrBelow !== undefined
+      ? t('lesson.waitBelow', { value: waiting.corrBelow })
+      : t('lesson.waitAbove', { value: waiting.corrAbove });
+  }
+  document.getElementById('lesson-status').innerText = status;
+}
+
+let lessonCard = null;
+let lessonState = { index: -1, total: 0, autoplay: false, waiting: null, canBack: false, canNext: false };
+
+const LESSON_PARAMS = ['mode', 'multi', 'combination', 'f1', 'f2', 'amp1', 'amp2', 'phase', 'speed', 'showSum', 'showProduct', 'amIndex', 'fmDeviation', 'fourierTarget', 'fourierTerms'];
+
+const lessonPlayer = createLessonPlayer({
+  apply: (params) => {
+    Object.assign(CONFIG, params);
+    syncControls();
+    updateGeometry();
+    updateAudioWaves();
+  },
+  // Slider animations tween CONFIG directly and drag the DOM slider along
+  tween: ({ param, from, to, duration }) => new Promise(resolve => {
+    if (from !== undefined) CONFIG[param] = from;
+    gsap.to(CONFIG, {
+      [param]: to,
+      duration,
+      ease: 'power1.inOut',
+      onUpdate: () => {
+        if (SLIDER_FORMATS[param]) syncSlider(param);
+        updateGeometry();
+      },
+      onComplete: () => {
+        updateAudioWaves();
+        resolve();
+      }
+    });
+  }),
+  cancel: () => gsap.killTweensOf(CONFIG),
+  camera: transitionCamera,
+  // Steps carry i18n keys; remembered so a language switch can re-narrate the step
+  narrate: (title, text) => {
+    lessonCard = { title, text };
+    narrate(t(title), t(text));
+  },
+  progress: (state) => {
+    lessonState = state;
+    renderLessonProgress(state);
+  },
+  finish: () => {
+    lessonCard = null;
+    lessonState = { index: -1, total: 0, autoplay: false, waiting: null, canBack: false, canNext: false };
+    renderLessonProgress(lessonState);
+    updateGeometry();
+  }
+});
+
+const lessonSelect = document.getElementById('lesson-select');
+LESSONS.forEach(l => lessonSelect.add(new Option('', l.id)));
+const labelLessons = () => [...lessonSelect.options].forEach(o => { o.text = t(LESSONS.find(l => l.id === o.value).title); });
+
+document.getElementById('lesson-start').addEventListener('click', () => {
+  const lesson = LESSONS.find(l => l.id === lessonSelect.value);
+  try {
+    stopQuiz();
+    lessonPlayer.start(validateLesson(lesson, { cameras: Object.keys(TARGETS), params: LESSON_PARAMS }));
+  } catch (err) {
+    narrate(t('lesson.error'), err.message);
+  }
+});
+document.getElementById('lesson-next').addEventListener('click', () => lessonPlayer.next());
+document.getElementById('lesson-back').addEventListener('click', () => lessonPlayer.back());
+document.getElementById('lesson-stop').addEventListener('click', () => lessonPlayer.stop());
+document.getElementById('lesson-auto').addEventListener('click', (e) => {
+  const on = !e.currentTarget.classList.contains('on');
+  e.currentTarget.classList.toggle('on', on);
+  lessonPlayer.setAutoplay(on);
+});
+
+// --- Challenge Mode ---
+const QUIZ_PARAMS = [...LESSON_PARAMS, 'polyFamily', 'polyWeighted', 'walshSize'];
+const QUIZ_IDLE = { index: -1, total: 0, score: 0, max: 0, finished: false, predicting: false, conceal: false, open: false, hintsLeft: 0, history: [] };
+
+// The last session outlives Stop so its results can still be exported
+let quizSession = null;
+let quizRunning = false;
+let quizCard = null;
+let quizState = QUIZ_IDLE;
+
+const quizSelect = document.getElementById('quiz-select');
+const quizPrediction = document.getElementById('quiz-prediction');
+const quizName = document.getElementById('quiz-name');
+QUIZZES.forEach(q => quizSelect.add(new Option('', q.id)));
+const labelQuizzes = () => [...quizSelect.options].forEach(o => { o.text = t(QUIZZES.find(q => q.id === o.value).title); });
+
+const narrateQuizCard = () => narrate(t(quizCard.title), quizCard.lines.map(({ key, params }) => t(key, params)).join('\n'));
+
+function renderQuizProgress({ index, total, score, max, finished, predicting, conceal, open, history }) {
+  document.body.classList.toggle('quiz-active', quizRunning);
+  document.body.classList.toggle('quiz-predicting', quizRunning && predicting);
+  // Predictions are made blind: the correlation readouts stay hidden until the answer is in
+  document.body.classList.toggle('quiz-conceal', quizRunning && conceal);
+  // The product ribbon's running integral ends at the correlation, so it goes too
+  if (productConcealed !== (quizRunning && conceal)) {
+    productConcealed = quizRunning && conceal;
+    requestGeometry();
+  }
+  document.getElementById('quiz-hint').disabled = !quizRunning || !open;
+  document.getElementById('quiz-check').disabled = !quizRunning || !open;
+  const next = document.getElementById('quiz-next');
+  next.disabled = !quizRunning || finished;
+  next.title = t(open ? 'quiz.skip' : 'quiz.next');
+  document.getElementById('quiz-stop').disabled = !quizRunning;
+  document.getElementById('quiz-export').disabled = !quizSession;
+
+  const answered = finished ? total : index + (open ? 0 : 1);
+  document.getElementById('quiz-progress-fill').style.width = index >= 0 ? `${(answered / total) * 100}%` : '0%';
+  let status = t('quiz.idle');
+  if (finished) status = t('quiz.finished', { score, max });
+  else if (index >= 0) status = t('quiz.progress', { index: index + 1, total, score, max });
+  document.getElementById('quiz-status').innerText = status;
+
+  document.getElementById('quiz-history').replaceChildren(...history.slice(0, answered).map((h, i) => {
+    const item = document.createElement('li');
+    item.innerText = t('quiz.historyItem', { status: t(`quiz.status.${h.status}`), index: i + 1, attempts: h.attempts, hints: h.hintsUsed, points: h.points });
+    return item;
+  }));
+}
+
+const quizHooks = {
+  apply: (setup) => {
+    Object.assign(CONFIG, setup);
+    syncControls();
+    updateGeometry();
+    updateAudioWaves();
+  },
+  // Lines carry i18n keys; remembered so a language switch can re-narrate the card
+  narrate: (title, lines) => {
+    quizCard = { title, lines };
+    narrateQuizCard();
+  },
+  progress: (state) => {
+    if (state.index !== quizState.index) quizPrediction.value = '';
+    quizState = state;
+    renderQuizProgress(state);
+  }
+};
+
+function stopQuiz() {
+  if (!quizRunning) return;
+  quizRunning = false;
+  quizCard = null;
+  renderQuizProgress(quizState);
+  updateGeometry();
+}
+
+document.getElementById('quiz-start').addEventListener('click', () => {
+  const quiz = QUIZZES.find(q => q.id === quizSelect.value);
+  try {
+    validateQuiz(quiz, { params: QUIZ_PARAMS });
+  } catch (err) {
+    narrate(t('quiz.error'), err.message);
+    return;
+  }
+  if (lessonPlayer.active) lessonPlayer.stop();
+  quizRunning = true;
+  quizState = QUIZ_IDLE;
+  quizSession = createQuizSession(quiz, quizHooks);
+  quizSession.start();
+});
+document.getElementById('quiz-hint').addEventListener('click', () => quizSession.hint());
+document.getElementById('quiz-check').addEventListener('click', () => {
+  // A slider drag may still be waiting for the next frame; mark what the student set
+  updateGeometry();
+  const { stats, orthogonality } = lastMeasurement;
+  const { corr, power1, power2 } = stats;
+  quizSession.submit({ corr, orthogonality, power1, power2, cfg: CONFIG }, parseFloat(quizPrediction.value));
+});
+document.getElementById('quiz-next').addEventListener('click', () => quizSession.next());
+document.getElementById('quiz-stop').addEventListener('click', stopQuiz);
+
+// Plain JSON a TA can collect offline: every attempt, plus the scene it ended on
+document.getElementById('quiz-export').addEventListener('click', () => {
+  const student = quizName.value.trim();
+  const report = { ...quizSession.results(student), locale: getLocale(), ...exportMeta() };
+  const name = student.replace(/[^\p{L}\p{N}_-]+/gu, '_') || 'results';
+  download(new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' }), `orthogonality-quiz-${name}.json`);
+});
+
+// --- Interface Language ---
+initLocale();
+const localeSelect = document.getElementById('locale-select');
+Object.entries(LOCALES).forEach(([code, { name }]) => localeSelect.add(new Option(name, code)));
+
+// Static text comes from the data-i18n markup; everything built in JS is redrawn here
+function applyLocale() {
+  translatePage();
+  localeSelect.value = getLocale();
+  labelPolyFamilies();
+  labelWaveFamilies();
+  labelDwtSignals();
+  labelLessons();
+  labelQuizzes();
+  labelResolutions();
+  labelVectorBases();
+  syncAudioButton();
+  syncClipStatus();
+  renderLessonProgress(lessonState);
+  if (lessonPlayer.active && lessonCard) narrate(t(lessonCard.title), t(lessonCard.text));
+  renderQuizProgress(quizState);
+  if (quizRunning && quizCard) narrateQuizCard();
+}
+
+localeSelect.addEventListener('change', (e) => setLocale(e.target.value));
+onLocaleChange(() => {
+  applyLocale();
+  updateGeometry();
 });
 
 // --- Initialization ---
+setModeClass(CONFIG.mode);
+setCombinationClass(CONFIG.combination);
+syncIqControls();
+syncGsControls();
+syncPolyControls();
+syncWaveControls();
+syncClipControls();
+syncFourierControls();
+syncExportControls();
+renderLessonProgress(lessonState);
+renderQuizProgress(quizState);
+applyLocale();
 updateGeometry();
 animate(0);
-transitionCamera('3d');
+if (!loadStateFromHash()) transitionCamera('3d');
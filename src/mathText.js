@@ -0,0 +1,29 @@
+// --- Math in Prose ---
+// Tutorial and preset text marks formulas with $...$ (e.g. "$f_2$ 用 $x^2-1/2$"). mathHtml()
+// typesets those spans with KaTeX and escapes everything else; plainMath() just drops the
+// dollar signs, for places that can't hold HTML such as the burned-in export captions.
+
+import katex from 'katex';
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (text) => text.replace(/[&<>"']/g, (c) => ESCAPES[c]);
+
+// Alternating text / math pieces; a $ without a partner stays literal text
+export function splitMath(text) {
+  const parts = [];
+  const pattern = /\$([^$]+)\$/g;
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > last) parts.push({ math: false, text: text.slice(last, match.index) });
+    parts.push({ math: true, text: match[1] });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) parts.push({ math: false, text: text.slice(last) });
+  return parts;
+}
+
+export const mathHtml = (text) => splitMath(String(text)).map(part => (part.math
+  ? katex.renderToString(part.text, { throwOnError: false, output: 'html' })
+  : escapeHtml(part.text).replace(/\n/g, '<br>'))).join('');
+
+export const plainMath = (text) => splitMath(String(text)).map(part => part.text).join('');
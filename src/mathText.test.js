@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { splitMath, mathHtml, plainMath } from './mathText.js';
+
+describe('math in prose', () => {
+  it('splits text and $...$ spans, leaving a lone $ as text', () => {
+    expect(splitMath('用 $x^2-1/2$ 作为 $f_2$')).toEqual([
+      { math: false, text: '用 ' },
+      { math: true, text: 'x^2-1/2' },
+      { math: false, text: ' 作为 ' },
+      { math: true, text: 'f_2' }
+    ]);
+    expect(splitMath('costs $5')).toEqual([{ math: false, text: 'costs $5' }]);
+  });
+
+  it('typesets the math and escapes the rest', () => {
+    const html = mathHtml('<b> & $x^2$\nnext');
+    expect(html.startsWith('&lt;b&gt; &amp; <span class="katex">')).toBe(true);
+    expect(html).toContain('<br>next');
+    expect(html).not.toContain('$');
+  });
+
+  it('keeps bad TeX on screen instead of throwing', () => {
+    expect(() => mathHtml('$\\frac{1$')).not.toThrow();
+    expect(mathHtml('$\\frac{1$')).toContain('katex');
+  });
+
+  it('drops the dollar signs for plain-text captions', () => {
+    expect(plainMath('$f_2$ 用 $x^2$')).toBe('f_2 用 x^2');
+  });
+});
@@ -0,0 +1,77 @@
+// --- Combination / Modulation ---
+// How the composite signal s(t) is built from the two components.
+// x is the message (f1 in the active basis), y the second component.
+// AM, DSB-SC and FM put the message on a sinusoidal carrier at f2 (amp2, phase φ),
+// whatever the basis; "product" multiplies the two components as they are.
+// Headless like signal.js; time is normalized, so frequencies are cycles per window.
+
+export const COMBINATIONS = ['sum', 'product', 'am', 'dsb', 'fm'];
+
+const carrierAngle = (cfg, tRelative) => 2 * Math.PI * cfg.f2 * tRelative + (cfg.phase * Math.PI) / 180;
+
+// s and its envelope (null where the scheme has none) for one instant.
+// integral = ∫₀ᵗ x dτ, only read by FM.
+export function combineValues(cfg, x, y, tRelative, integral = 0) {
+  switch (cfg.combination) {
+    case 'product':
+      return { s: x * y, envelope: null };
+    case 'am': {
+      // s = A_c (1 + μ·m) sin(ω_c t); μ·amp1 > 1 over-modulates
+      const envelope = cfg.amp2 * (1 + cfg.amIndex * x);
+      return { s: envelope * Math.sin(carrierAngle(cfg, tRelative)), envelope };
+    }
+    case 'dsb': {
+      // s = A_c m sin(ω_c t): AM without the carrier term; the envelope changes sign with m
+      const envelope = cfg.amp2 * x;
+      return { s: envelope * Math.sin(carrierAngle(cfg, tRelative)), envelope };
+    }
+    case 'fm':
+      // Instantaneous frequency f2 + Δf·m(t), so the phase carries 2πΔf ∫ m dτ
+      return {
+        s: cfg.amp2 * Math.sin(carrierAngle(cfg, tRelative) + 2 * Math.PI * cfg.fmDeviation * integral),
+        envelope: cfg.amp2
+      };
+    default:
+      return { s: x + y, envelope: null };
+  }
+}
+
+// Same as combineValues over a sampled window { t, x, y }. The message integral is a
+// left Riemann sum on that grid, which is what the tracer reproduces point by point.
+export function combineSeries(cfg, { t, x, y }) {
+  const n = x.length;
+  const s = new Float64Array(n);
+  const envelope = new Float64Array(n);
+  let hasEnvelope = false;
+  let integral = 0;
+  for (let i = 0; i < n; i++) {
+    const value = combineValues(cfg, x[i], y[i], t[i], integral);
+    s[i] = value.s;
+    if (value.envelope !== null) {
+      envelope[i] = value.envelope;
+      hasEnvelope = true;
+    }
+    integral += x[i] / n;
+  }
+  return { s, envelope: hasEnvelope ? envelope : null };
+}
+
+// Sidebands a sine message at f1 produces around the carrier at f2
+export function sidebands(cfg) {
+  const lower = Math.abs(cfg.f2 - cfg.f1);
+  const upper = cfg.f2 + cfg.f1;
+  switch (cfg.combination) {
+    case 'product':
+    case 'dsb':
+      return { carrier: null, lower, upper };
+    case 'am':
+      return { carrier: cfg.f2, lower, upper };
+    case 'fm': {
+      // β = peak deviation / message frequency; Carson's rule keeps ~98% of the power
+      const peak = cfg.fmDeviation * cfg.amp1;
+      return { carrier: cfg.f2, lower, upper, beta: cfg.f1 > 0 ? peak / cfg.f1 : 0, carson: 2 * (peak + cfg.f1) };
+    }
+    default:
+      return null;
+  }
+}
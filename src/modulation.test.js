@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { combineValues, combineSeries, sidebands } from './modulation.js';
+import { evaluateComposite, renderAudioCycle, sampleSignals } from './signal.js';
+import { computeSpectra } from './spectrum.js';
+
+const BASE = {
+  f1: 1, f2: 12, amp1: 1, amp2: 1, phase: 0, points: 1200, length: 12, mode: 'sine',
+  combination: 'sum', amIndex: 0.5, fmDeviation: 4
+};
+
+const magnitudeAt = (spectrum, k) => spectrum.magnitude[spectrum.bins.indexOf(k)];
+
+const compositeSpectrum = (overrides) => {
+  const cfg = { ...BASE, ...overrides };
+  const samples = sampleSignals(cfg);
+  const { s } = combineSeries(cfg, samples);
+  return computeSpectra({ ...samples, s }, { maxBin: 32 }).composite;
+};
+
+describe('combineValues', () => {
+  it('adds or multiplies the components as they are', () => {
+    expect(combineValues({ ...BASE }, 0.5, -0.25, 0).s).toBe(0.25);
+    expect(combineValues({ ...BASE, combination: 'product' }, 0.5, -0.25, 0).s).toBe(-0.125);
+    expect(combineValues({ ...BASE, combination: 'sum' }, 0.5, -0.25, 0).envelope).toBeNull();
+  });
+
+  it('scales the carrier by 1 + μ·m in AM and by m in DSB-SC', () => {
+    const t = 0.25 / 12; // a carrier crest: sin(2π·12·t) = 1
+    expect(combineValues({ ...BASE, combination: 'am' }, 0.8, 0, t)).toEqual({ s: expect.closeTo(1.4, 12), envelope: 1.4 });
+    expect(combineValues({ ...BASE, combination: 'dsb' }, -0.5, 0, t).s).toBeCloseTo(-0.5, 12);
+  });
+
+  it('keeps a constant FM envelope and adds 2πΔf·∫m to the carrier phase', () => {
+    const value = combineValues({ ...BASE, combination: 'fm', fmDeviation: 2 }, 0, 0, 0, 1 / 8);
+    expect(value.envelope).toBe(1);
+    expect(value.s).toBeCloseTo(Math.sin(Math.PI / 2), 12);
+  });
+});
+
+describe('sidebands in the composite spectrum', () => {
+  it('turns a product of sines into the sum and difference frequencies', () => {
+    const spectrum = compositeSpectrum({ combination: 'product', f1: 3, f2: 8 });
+    expect(magnitudeAt(spectrum, 5)).toBeCloseTo(0.25, 3);
+    expect(magnitudeAt(spectrum, 11)).toBeCloseTo(0.25, 3);
+    expect(magnitudeAt(spectrum, 3)).toBeCloseTo(0, 3);
+    expect(magnitudeAt(spectrum, 8)).toBeCloseTo(0, 3);
+  });
+
+  it('keeps the carrier in AM with sidebands of μ/4 each', () => {
+    const spectrum = compositeSpectrum({ combination: 'am', amIndex: 0.6 });
+    expect(magnitudeAt(spectrum, 12)).toBeCloseTo(0.5, 3);
+    expect(magnitudeAt(spectrum, 11)).toBeCloseTo(0.15, 3);
+    expect(magnitudeAt(spectrum, 13)).toBeCloseTo(0.15, 3);
+  });
+
+  it('suppresses the carrier in DSB-SC', () => {
+    const spectrum = compositeSpectrum({ combination: 'dsb' });
+    expect(magnitudeAt(spectrum, 12)).toBeCloseTo(0, 3);
+    expect(magnitudeAt(spectrum, 11)).toBeCloseTo(0.25, 3);
+  });
+
+  it('spreads FM power over f2 ± k·f1 without changing the total', () => {
+    const spectrum = compositeSpectrum({ combination: 'fm', fmDeviation: 2 });
+    const power = spectrum.magnitude.reduce((sum, m) => sum + m * m, 0);
+    expect(power).toBeCloseTo(0.5, 2);
+    expect(magnitudeAt(spectrum, 14)).toBeGreaterThan(0.1);
+  });
+
+  it('reports sideband positions, β and the Carson bandwidth', () => {
+    expect(sidebands({ ...BASE, combination: 'sum' })).toBeNull();
+    expect(sidebands({ ...BASE, combination: 'dsb', f1: 3, f2: 2 })).toEqual({ carrier: null, lower: 1, upper: 5 });
+    expect(sidebands({ ...BASE, combination: 'fm', f1: 2, fmDeviation: 4 })).toMatchObject({ beta: 2, carson: 12 });
+  });
+});
+
+describe('evaluateComposite', () => {
+  it('lands the tracer on the sampled FM curve', () => {
+    const cfg = { ...BASE, combination: 'fm', fmDeviation: 3 };
+    const samples = sampleSignals(cfg);
+    const { s } = combineSeries(cfg, samples);
+    [0, 300, 777].forEach(i => expect(evaluateComposite(cfg, i / cfg.points).s).toBeCloseTo(s[i], 10));
+  });
+
+  it('plays the composite alone once the components are combined', () => {
+    const cycle = renderAudioCycle({ ...BASE, combination: 'am' }, { samples: 256, harmonics: 20 });
+    expect(Math.hypot(cycle.x.real[12], cycle.x.imag[12])).toBeCloseTo(1, 3);
+    expect(cycle.y.imag.every(v => v === 0)).toBe(true);
+  });
+});
@@ -0,0 +1,130 @@
+// --- N-Signal Mode UI ---
+// Component editor (add/remove, per-component sliders) and the Gram matrix heatmap.
+// Pure DOM/canvas helpers: the caller owns CONFIG and decides what to redraw.
+
+export const COMPONENT_COLORS = ['#60efff', '#ff60ad', '#00ff87', '#ffd700', '#bd00ff', '#ff8c42', '#4d7cff', '#f5f5f5'];
+export const MIN_COMPONENTS = 2;
+export const MAX_COMPONENTS = 8;
+
+export const createComponent = (index, f = index + 1) => ({
+  f,
+  amp: 1.0,
+  phase: 0,
+  color: COMPONENT_COLORS[index % COMPONENT_COLORS.length]
+});
+
+// Range of every frequency slider (f1/f2 and the components' f). In square mode f is a
+// Walsh code index, so it runs over the whole codes 0 … walshSize − 1.
+export const frequencyRange = ({ mode, walshSize = 16 }) =>
+  (mode === 'square' ? { min: 0, max: walshSize - 1, step: 1 } : { min: 1, max: 15, step: 0.5 });
+
+// Moves a frequency onto its slider: whole codes in square mode, clamped to the range.
+export function fitFrequency(f, config) {
+  const { min, max } = frequencyRange(config);
+  const value = config.mode === 'square' ? Math.round(f) : f;
+  return Math.min(Math.max(value, min), max);
+}
+
+const SLIDERS = [
+  { key: 'f', label: 'f', range: frequencyRange, format: (v) => `${v.toFixed(1)} Hz` },
+  { key: 'amp', label: 'A', min: 0, max: 2, step: 0.1, format: (v) => v.toFixed(1) },
+  { key: 'phase', label: 'φ', min: 0, max: 360, step: 5, format: (v) => `${v}°` }
+];
+
+// Rebuilds the component rows and the X/Y axis pickers.
+// onChange(structural) is called with true when components were added/removed.
+export function renderComponentEditor({ list, axisX, axisY, components, config, onChange }) {
+  list.innerHTML = '';
+
+  components.forEach((component, index) => {
+    const row = document.createElement('div');
+    row.className = 'component-row';
+
+    const head = document.createElement('div');
+    head.className = 'component-head';
+
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.value = component.color;
+    color.addEventListener('input', () => {
+      component.color = color.value;
+      onChange(false);
+    });
+
+    const name = document.createElement('span');
+    name.className = 'component-name';
+    name.innerText = `g${index + 1}`;
+
+    const remove = document.createElement('button');
+    remove.className = 'component-remove';
+    remove.innerText = '✕';
+    remove.disabled = components.length <= MIN_COMPONENTS;
+    remove.addEventListener('click', () => {
+      components.splice(index, 1);
+      // Keep the axis picks pointing at surviving components
+      config.axisX = Math.min(config.axisX, components.length - 1);
+      config.axisY = Math.min(config.axisY, components.length - 1);
+      onChange(true);
+    });
+
+    head.append(color, name, remove);
+    row.appendChild(head);
+
+    SLIDERS.forEach(({ key, label, range, min, max, step, format }) => {
+      const wrap = document.createElement('label');
+      wrap.className = 'component-slider';
+      const tag = document.createElement('span');
+      tag.innerText = label;
+      const input = document.createElement('input');
+      Object.assign(input, { type: 'range', min, max, step, ...range?.(config), value: component[key] });
+      const value = document.createElement('span');
+      value.className = 'component-value';
+      value.innerText = format(component[key]);
+      input.addEventListener('input', () => {
+        component[key] = parseFloat(input.value);
+        value.innerText = format(component[key]);
+        onChange(false);
+      });
+      wrap.append(tag, input, value);
+      row.appendChild(wrap);
+    });
+
+    list.appendChild(row);
+  });
+
+  [[axisX, 'axisX'], [axisY, 'axisY']].forEach(([select, key]) => {
+    select.innerHTML = components.map((_, i) => `<option value="${i}">g${i + 1}</option>`).join('');
+    select.value = String(config[key]);
+  });
+}
+
+// Heatmap of the normalized Gram matrix; the cell text shows the raw inner product.
+export function drawGramMatrix(canvas, { gram, corr }, colors) {
+  const ctx = canvas.getContext('2d');
+  const size = gram.length;
+  const pad = 16;
+  const cell = (canvas.width - pad) / size;
+
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.font = `${Math.max(8, Math.min(12, cell / 3.5))}px 'Fira Code', monospace`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+
+  for (let i = 0; i < size; i++) {
+    // Row/column swatches in the component colours
+    ctx.fillStyle = colors[i];
+    ctx.fillRect(pad + i * cell + 2, 4, cell - 4, 6);
+    ctx.fillRect(4, pad + i * cell + 2, 6, cell - 4);
+
+    for (let j = 0; j < size; j++) {
+      const c = corr[i][j];
+      // Orthogonal pairs stay dark, collinear pairs glow pink (positive) or cyan (negative)
+      const alpha = Math.min(1, Math.abs(c));
+      ctx.fillStyle = c >= 0 ? `rgba(255, 96, 173, ${0.08 + alpha * 0.85})` : `rgba(96, 239, 255, ${0.08 + alpha * 0.85})`;
+      ctx.fillRect(pad + j * cell + 1, pad + i * cell + 1, cell - 2, cell - 2);
+
+      ctx.fillStyle = alpha > 0.5 ? '#080a0f' : '#ced4d9';
+      ctx.fillText(gram[i][j].toFixed(2), pad + (j + 0.5) * cell, pad + (i + 0.5) * cell);
+    }
+  }
+}
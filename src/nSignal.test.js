@@ -0,0 +1,17 @@
+import { describe, it, expect } from 'vitest';
+import { frequencyRange, fitFrequency } from './nSignal.js';
+
+describe('frequency sliders', () => {
+  it('run over the Walsh codes in square mode and over 1–15 Hz otherwise', () => {
+    expect(frequencyRange({ mode: 'square', walshSize: 8 })).toEqual({ min: 0, max: 7, step: 1 });
+    expect(frequencyRange({ mode: 'sine', walshSize: 8 })).toEqual({ min: 1, max: 15, step: 0.5 });
+  });
+
+  it('move a frequency onto the slider of the mode', () => {
+    const square = { mode: 'square', walshSize: 4 };
+    expect(fitFrequency(2.5, square)).toBe(3);
+    expect(fitFrequency(9, square)).toBe(3);
+    expect(fitFrequency(0, { mode: 'sine' })).toBe(1);
+    expect(fitFrequency(2.5, { mode: 'sine' })).toBe(2.5);
+  });
+});
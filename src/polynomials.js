@@ -0,0 +1,165 @@
+// --- Orthogonal Polynomial Families ---
+// Each family is orthogonal only on its own interval under its own weight w(x).
+// Poly mode maps the window linearly onto that interval, draws p_n(x) scaled to
+// fit the scene, and integrates with the family weight (or w = 1 to show what
+// goes wrong without it). Headless like signal.js.
+
+import { getLegendre } from './signal.js';
+
+export const getChebyshevT = (n, x) => {
+  let prev = 1, curr = x;
+  if (n === 0) return prev;
+  for (let k = 1; k < n; k++) [prev, curr] = [curr, 2 * x * curr - prev];
+  return curr;
+};
+
+export const getChebyshevU = (n, x) => {
+  let prev = 1, curr = 2 * x;
+  if (n === 0) return prev;
+  for (let k = 1; k < n; k++) [prev, curr] = [curr, 2 * x * curr - prev];
+  return curr;
+};
+
+// Physicists' Hermite polynomials, orthogonal under e^(−x²)
+export const getHermite = (n, x) => {
+  let prev = 1, curr = 2 * x;
+  if (n === 0) return prev;
+  for (let k = 1; k < n; k++) [prev, curr] = [curr, 2 * x * curr - 2 * k * prev];
+  return curr;
+};
+
+export const getLaguerre = (n, x) => {
+  let prev = 1, curr = 1 - x;
+  if (n === 0) return prev;
+  for (let k = 1; k < n; k++) [prev, curr] = [curr, ((2 * k + 1 - x) * curr - k * prev) / (k + 1)];
+  return curr;
+};
+
+// P_l^m with the Condon–Shortley phase; zero when m > l
+export const getAssociatedLegendre = (l, m, x) => {
+  if (m > l) return 0;
+  let pmm = 1;
+  const root = Math.sqrt(Math.max(0, 1 - x * x));
+  for (let k = 1; k <= m; k++) pmm *= -(2 * k - 1) * root;
+  if (l === m) return pmm;
+  let prev = pmm, curr = x * (2 * m + 1) * pmm;
+  for (let k = m + 1; k < l; k++) [prev, curr] = [curr, ((2 * k + 1) * x * curr - (k + m) * prev) / (k - m + 1)];
+  return curr;
+};
+
+// Exact weight mass of [x0, x1] for the endpoint-singular Chebyshev weights
+const arcsinMass = (x0, x1) => Math.asin(Math.min(1, x1)) - Math.asin(Math.max(-1, x0));
+const semicircleMass = (x0, x1) => {
+  const F = (x) => {
+    const c = Math.min(1, Math.max(-1, x));
+    return (c * Math.sqrt(1 - c * c) + Math.asin(c)) / 2;
+  };
+  return F(x1) - F(x0);
+};
+
+// domain(N) gives the drawn interval for highest degree N; unbounded families are
+// cut where the weighted integrand has died away.
+export const POLY_FAMILIES = {
+  legendre: {
+    weightLabel: 'w(x) = 1, x ∈ [-1, 1]',
+    domain: () => [-1, 1],
+    weight: () => 1,
+    evaluate: (n, x) => getLegendre(n, x)
+  },
+  chebyshevT: {
+    weightLabel: 'w(x) = 1/√(1−x²), x ∈ [-1, 1]',
+    domain: () => [-1, 1],
+    weight: (x) => (x * x < 1 ? 1 / Math.sqrt(1 - x * x) : 0),
+    mass: arcsinMass,
+    evaluate: (n, x) => getChebyshevT(n, x)
+  },
+  chebyshevU: {
+    weightLabel: 'w(x) = √(1−x²), x ∈ [-1, 1]',
+    domain: () => [-1, 1],
+    weight: (x) => Math.sqrt(Math.max(0, 1 - x * x)),
+    mass: semicircleMass,
+    evaluate: (n, x) => getChebyshevU(n, x)
+  },
+  hermite: {
+    weightLabel: 'w(x) = e^(−x²), x ∈ (−∞, ∞)',
+    domain: (N) => {
+      const half = Math.sqrt(2 * N + 1) + 3;
+      return [-half, half];
+    },
+    weight: (x) => Math.exp(-x * x),
+    evaluate: (n, x) => getHermite(n, x)
+  },
+  laguerre: {
+    weightLabel: 'w(x) = e^(−x), x ∈ [0, ∞)',
+    domain: (N) => [0, 4 * N + 30],
+    weight: (x) => Math.exp(-x),
+    evaluate: (n, x) => getLaguerre(n, x)
+  },
+  associatedLegendre: {
+    weightLabel: 'w(x) = 1, x ∈ [-1, 1]',
+    domain: () => [-1, 1],
+    weight: () => 1,
+    evaluate: (n, x, m) => getAssociatedLegendre(n, m, x)
+  },
+  spherical: {
+    weightLabel: 'w(θ) = sin θ, θ ∈ [0, π]',
+    domain: () => [0, Math.PI],
+    weight: (theta) => Math.max(0, Math.sin(theta)),
+    evaluate: (n, theta, m) => getAssociatedLegendre(n, m, Math.cos(theta))
+  }
+};
+
+export const getFamily = (name) => POLY_FAMILIES[name] || POLY_FAMILIES.legendre;
+// The key getFamily resolves to, for looking up the family's display name
+export const familyId = (name) => (POLY_FAMILIES[name] ? name : 'legendre');
+
+// Highest degree on screen, which sets the drawn interval of the unbounded families
+export const polyDegree = (cfg) => {
+  const degrees = cfg.multi ? cfg.components.map(c => c.f) : [cfg.f1, cfg.f2];
+  return Math.max(0, ...degrees.map(Math.round));
+};
+
+export function polyDomain(cfg) {
+  return getFamily(cfg.polyFamily).domain(polyDegree(cfg));
+}
+
+// Peak of |p_n| over the interval, so every degree fills the same ±amp box
+const peaks = new Map();
+function peakOf(family, n, m, lo, hi) {
+  const key = `${family}:${n}:${m}:${lo}:${hi}`;
+  if (!peaks.has(key)) {
+    const { evaluate } = getFamily(family);
+    let peak = 0;
+    for (let i = 0; i <= 400; i++) peak = Math.max(peak, Math.abs(evaluate(n, lo + ((hi - lo) * i) / 400, m)));
+    peaks.set(key, peak || 1);
+  }
+  return peaks.get(key);
+}
+
+// Scaled p_n at window position tRelative. Constant scaling leaves correlations alone.
+// Sample i/n lands on the midpoint of the i-th of n equal cells of the interval,
+// so the weighted sums below are midpoint rules.
+export function evaluatePoly(cfg, n, tRelative) {
+  const family = cfg.polyFamily || 'legendre';
+  const [lo, hi] = polyDomain(cfg);
+  const m = cfg.polyOrder || 0;
+  const x = lo + (hi - lo) * (tRelative + 0.5 / cfg.points);
+  return getFamily(family).evaluate(n, x, m) / peakOf(family, n, m, lo, hi);
+}
+
+// Weight mass of each sample's cell (the i-th of n equal cells), i.e. the quadrature
+// weights for ∫ f g w dx (w = 1 on the same interval when cfg.polyWeighted is off).
+export function polyWeights(cfg, n) {
+  const family = getFamily(cfg.polyFamily);
+  const [lo, hi] = polyDomain(cfg);
+  const weighted = cfg.polyWeighted !== false;
+  const weights = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    const x0 = lo + ((hi - lo) * i) / n;
+    const x1 = lo + ((hi - lo) * (i + 1)) / n;
+    if (!weighted) weights[i] = x1 - x0;
+    else if (family.mass) weights[i] = family.mass(x0, x1);
+    else weights[i] = family.weight((x0 + x1) / 2) * (x1 - x0);
+  }
+  return weights;
+}
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getChebyshevT,
+  getChebyshevU,
+  getHermite,
+  getLaguerre,
+  getAssociatedLegendre,
+  polyWeights,
+  POLY_FAMILIES
+} from './polynomials.js';
+import { gramMatrix, measureOrthogonality, sampleComponents, sampleSignals } from './signal.js';
+
+const BASE = { mode: 'poly', f1: 2, f2: 3, amp1: 1, amp2: 1, phase: 0, points: 1200, length: 12, polyOrder: 0, polyWeighted: true };
+const corrOf = (overrides) => measureOrthogonality(sampleSignals({ ...BASE, ...overrides })).corr;
+
+describe('recurrences', () => {
+  it('match the closed forms', () => {
+    expect(getChebyshevT(3, 0.4)).toBeCloseTo(4 * 0.4 ** 3 - 3 * 0.4, 12);
+    expect(getChebyshevT(5, Math.cos(0.7))).toBeCloseTo(Math.cos(5 * 0.7), 12);
+    expect(getChebyshevU(4, Math.cos(0.7))).toBeCloseTo(Math.sin(5 * 0.7) / Math.sin(0.7), 12);
+    expect(getHermite(3, 1.5)).toBeCloseTo(8 * 1.5 ** 3 - 12 * 1.5, 12);
+    expect(getLaguerre(2, 3)).toBeCloseTo((9 - 12 + 2) / 2, 12);
+  });
+
+  it('builds associated Legendre functions with the Condon–Shortley phase', () => {
+    const x = 0.3, s = Math.sqrt(1 - x * x);
+    expect(getAssociatedLegendre(1, 1, x)).toBeCloseTo(-s, 12);
+    expect(getAssociatedLegendre(2, 1, x)).toBeCloseTo(-3 * x * s, 12);
+    expect(getAssociatedLegendre(2, 2, x)).toBeCloseTo(3 * s * s, 12);
+    expect(getAssociatedLegendre(3, 0, x)).toBeCloseTo((5 * x ** 3 - 3 * x) / 2, 12);
+    expect(getAssociatedLegendre(1, 2, x)).toBe(0);
+  });
+});
+
+describe('weighted orthogonality in Poly mode', () => {
+  Object.keys(POLY_FAMILIES).forEach(polyFamily => {
+    it(`${polyFamily}: different degrees are orthogonal under the family weight`, () => {
+      const polyOrder = ['associatedLegendre', 'spherical'].includes(polyFamily) ? 1 : 0;
+      expect(Math.abs(corrOf({ polyFamily, polyOrder, f1: 2, f2: 4 }))).toBeLessThan(0.01);
+      expect(Math.abs(corrOf({ polyFamily, polyOrder, f1: 3, f2: 6 }))).toBeLessThan(0.01);
+      expect(corrOf({ polyFamily, polyOrder, f1: 3, f2: 3 })).toBeCloseTo(1, 6);
+    });
+  });
+
+  it('loses orthogonality when the weight is dropped', () => {
+    expect(Math.abs(corrOf({ polyFamily: 'hermite', f1: 2, f2: 4, polyWeighted: false }))).toBeGreaterThan(0.5);
+    expect(Math.abs(corrOf({ polyFamily: 'chebyshevT', f1: 2, f2: 4, polyWeighted: false }))).toBeGreaterThan(0.1);
+    expect(Math.abs(corrOf({ polyFamily: 'legendre', f1: 2, f2: 4, polyWeighted: false }))).toBeLessThan(0.01);
+  });
+
+  it('integrates the Chebyshev weights exactly despite their endpoint behaviour', () => {
+    const sum = (w) => w.reduce((a, b) => a + b, 0);
+    expect(sum(polyWeights({ ...BASE, polyFamily: 'chebyshevT' }, 1200))).toBeCloseTo(Math.PI, 10);
+    expect(sum(polyWeights({ ...BASE, polyFamily: 'chebyshevU' }, 1200))).toBeCloseTo(Math.PI / 2, 10);
+  });
+
+  it('weights the N-Signal Gram matrix too', () => {
+    const cfg = {
+      ...BASE, polyFamily: 'hermite', multi: true, axisX: 0, axisY: 1,
+      components: [0, 1, 2, 3].map(f => ({ f, amp: 1, phase: 0 }))
+    };
+    const samples = sampleSignals(cfg);
+    expect(gramMatrix(sampleComponents(cfg), samples.dt, samples.weight).worst).toBeLessThan(0.01);
+    expect(gramMatrix(sampleComponents(cfg), samples.dt).worst).toBeGreaterThan(0.3);
+  });
+});
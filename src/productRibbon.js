@@ -0,0 +1,56 @@
+// --- Product Ribbon ---
+// The integrand of the inner product, x(t)·y(t), as a filled ribbon along the time axis,
+// and its running integral. Orthogonal means the positive and negative areas cancel:
+// the integral curve comes back to zero at the end of the window.
+
+// density: the integrand per unit of z, so the ribbon's area is the inner product. With
+// quadrature weights (Poly mode) that is x·y·w; otherwise just x·y.
+// integral: the running sum up to and including sample i (the last entry is <x, y>).
+export function productSeries({ x, y, dt, weight }) {
+  const n = x.length;
+  const density = new Float64Array(n);
+  const integral = new Float64Array(n);
+  let sum = 0;
+  for (let i = 0; i < n; i++) {
+    const cell = weight ? weight[i] : dt;
+    density[i] = (x[i] * y[i] * cell) / dt;
+    sum += x[i] * y[i] * cell;
+    integral[i] = sum;
+  }
+  return { density, integral };
+}
+
+// Two triangles per segment between the axis and the curve, as (z, value) pairs.
+// A segment that crosses zero is split at the crossing so each triangle has one sign;
+// every segment is always six vertices, so the first k segments are the first 6k vertices.
+// A previous result passed as `into` is written over when it is large enough; count is the
+// number of vertices written, the arrays may be longer.
+export const VERTICES_PER_SEGMENT = 6;
+
+export function ribbonTriangles(z, values, into = null) {
+  const segments = Math.max(0, values.length - 1);
+  const count = segments * VERTICES_PER_SEGMENT;
+  const reuse = into && into.signs.length >= count;
+  const vertices = reuse ? into.vertices : new Float32Array(count * 2);
+  const signs = reuse ? into.signs : new Int8Array(count);
+  let v = 0;
+  const push = (zi, value, sign) => {
+    vertices[2 * v] = zi;
+    vertices[2 * v + 1] = value;
+    signs[v++] = sign;
+  };
+
+  for (let i = 0; i < segments; i++) {
+    const z0 = z[i], z1 = z[i + 1], a = values[i], b = values[i + 1];
+    if (a * b < 0) {
+      const zc = z0 + ((z1 - z0) * a) / (a - b);
+      push(z0, 0, Math.sign(a)); push(z0, a, Math.sign(a)); push(zc, 0, Math.sign(a));
+      push(zc, 0, Math.sign(b)); push(z1, b, Math.sign(b)); push(z1, 0, Math.sign(b));
+    } else {
+      const sign = a + b < 0 ? -1 : 1;
+      push(z0, 0, sign); push(z0, a, sign); push(z1, b, sign);
+      push(z0, 0, sign); push(z1, b, sign); push(z1, 0, sign);
+    }
+  }
+  return { vertices, signs, count };
+}
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { productSeries, ribbonTriangles, VERTICES_PER_SEGMENT } from './productRibbon.js';
+import { sampleSignals, measureOrthogonality } from './signal.js';
+
+const BASE = { f1: 2, f2: 3, amp1: 1, amp2: 1, phase: 0, points: 600, length: 12, mode: 'sine' };
+
+// Signed area of the ribbon's triangles, split by the sign they were given
+const areas = ({ vertices, signs }) => {
+  const sums = { positive: 0, negative: 0 };
+  for (let v = 0; v < signs.length; v += 3) {
+    const [z0, a, z1, b, z2, c] = vertices.slice(2 * v, 2 * v + 6);
+    const area = Math.abs((z1 - z0) * (c - a) - (z2 - z0) * (b - a)) / 2;
+    if (signs[v] > 0) sums.positive += area; else sums.negative += area;
+  }
+  return sums;
+};
+
+describe('productSeries', () => {
+  it('ends the running integral at the inner product', () => {
+    for (const overrides of [{}, { f2: 2, phase: 40 }]) {
+      const samples = sampleSignals({ ...BASE, ...overrides });
+      const { integral } = productSeries(samples);
+      expect(integral[599]).toBeCloseTo(measureOrthogonality(samples).integral, 10);
+    }
+  });
+
+  it('folds quadrature weights into the density', () => {
+    const { density, integral } = productSeries({ x: [1, 2], y: [3, 1], dt: 0.5, weight: [1, 0.25] });
+    expect(Array.from(density)).toEqual([6, 1]);
+    expect(Array.from(integral)).toEqual([3, 3.5]);
+  });
+});
+
+describe('ribbonTriangles', () => {
+  it('splits a segment at its zero crossing', () => {
+    const { vertices, signs } = ribbonTriangles([0, 1], [1, -3]);
+    expect(signs.length).toBe(VERTICES_PER_SEGMENT);
+    expect(Array.from(signs)).toEqual([1, 1, 1, -1, -1, -1]);
+    // Crossing at z = 0.25
+    expect(vertices[4]).toBeCloseTo(0.25, 12);
+    expect(areas({ vertices, signs })).toEqual({ positive: 0.125, negative: 1.125 });
+  });
+
+  it('has positive and negative areas that cancel for orthogonal signals', () => {
+    const samples = sampleSignals(BASE);
+    const { density } = productSeries(samples);
+    const { positive, negative } = areas(ribbonTriangles(samples.z, density));
+    expect(positive).toBeGreaterThan(1);
+    expect(positive - negative).toBeCloseTo(0, 2);
+  });
+
+  it('writes over a previous result that is large enough', () => {
+    const first = ribbonTriangles([0, 1, 2, 3], [1, 2, 3, 4]);
+    const second = ribbonTriangles([0, 1], [1, -3], first);
+    expect(second.vertices).toBe(first.vertices);
+    expect(second.count).toBe(VERTICES_PER_SEGMENT);
+    expect(Array.from(second.signs.subarray(0, second.count))).toEqual([1, 1, 1, -1, -1, -1]);
+    expect(ribbonTriangles([0, 1, 2, 3, 4], [1, 2, 3, 4, 5], first).vertices).not.toBe(first.vertices);
+  });
+});
@@ -0,0 +1,141 @@
+// --- Projection of a Recorded Signal ---
+// A window of a user clip (WAV file or microphone) is resampled onto [0, 1) and
+// projected onto the first terms of the active basis. The basis vectors are
+// orthonormalized in order (modified Gram–Schmidt under the mode's inner product),
+// so "the first N terms" is always the best approximation from their span, even for
+// families that are not orthogonal on the grid (Poly without its weight, Morlet).
+// Headless like signal.js; decoding and recording live in audioInput.js.
+
+import { getWalsh, getWavelet } from './signal.js';
+import { evaluatePoly, polyWeights, familyId } from './polynomials.js';
+import { getWaveletFamily } from './wavelets.js';
+import { t } from './i18n.js';
+
+export const PROJECTION_SAMPLES = 512;
+export const MAX_TERMS = 32;
+// Residuals below this fraction of the vector's own norm: already in the span
+const DEPENDENT = 1e-9;
+
+// Mono mix of anything shaped like an AudioBuffer
+export function mixToMono(buffer) {
+  const { numberOfChannels, length } = buffer;
+  const mono = new Float32Array(length);
+  for (let c = 0; c < numberOfChannels; c++) {
+    const data = buffer.getChannelData(c);
+    for (let i = 0; i < length; i++) mono[i] += data[i] / numberOfChannels;
+  }
+  return mono;
+}
+
+// n linearly interpolated samples of [offset, offset + duration) seconds, scaled to peak 1.
+// Whatever runs past the end of the clip is silence.
+export function clipWindow(mono, sampleRate, { offset, duration }, n = PROJECTION_SAMPLES) {
+  const values = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    const position = (offset + (duration * i) / n) * sampleRate;
+    const index = Math.floor(position);
+    if (index < 0 || index >= mono.length) continue;
+    const next = index + 1 < mono.length ? mono[index + 1] : 0;
+    values[i] = mono[index] + (next - mono[index]) * (position - index);
+  }
+  const peak = values.reduce((max, v) => Math.max(max, Math.abs(v)), 0);
+  if (peak > 0) for (let i = 0; i < n; i++) values[i] /= peak;
+  return values;
+}
+
+// The first `count` functions of the active mode's basis, in the order they are added.
+// I/Q and Gram–Schmidt have no basis of their own and use the Fourier one.
+export function basisFor(cfg, count) {
+  const mode = cfg.mode;
+  if (mode === 'square') {
+    const size = cfg.walshSize || 16;
+    return {
+      name: `Walsh (${size} chips, ${cfg.walshOrdering || 'sequency'})`,
+      terms: Array.from({ length: Math.min(count, size) }, (_, k) => ({
+        label: `#${k}`,
+        fn: (t) => getWalsh(k, t, size, cfg.walshOrdering)
+      }))
+    };
+  }
+  if (mode === 'poly') {
+    // Same interval and weight as Poly mode, with the interval sized for the highest degree
+    const polyCfg = { ...cfg, multi: false, f1: count - 1, f2: 0, points: PROJECTION_SAMPLES };
+    return {
+      name: t(`poly.families.${familyId(cfg.polyFamily)}`),
+      weight: polyWeights(polyCfg, PROJECTION_SAMPLES),
+      terms: Array.from({ length: count }, (_, n) => ({ label: `p${n}`, fn: (t) => evaluatePoly(polyCfg, n, t) }))
+    };
+  }
+  if (mode === 'wave') {
+    // Constant (the periodized scaling function), then ψ_{j,k} scale by scale
+    const family = cfg.waveFamily || 'haar';
+    return {
+      name: getWaveletFamily(family).name,
+      terms: Array.from({ length: count }, (_, m) => {
+        if (m === 0) return { label: 'φ', fn: () => 1 };
+        const j = Math.floor(Math.log2(m));
+        const k = m - 2 ** j;
+        return { label: `ψ${j},${k}`, fn: (t) => getWavelet(family, j, k, t) };
+      })
+    };
+  }
+  return {
+    name: 'Fourier (1, sin, cos)',
+    terms: Array.from({ length: count }, (_, m) => {
+      if (m === 0) return { label: 'DC', fn: () => 1 };
+      const k = Math.ceil(m / 2);
+      return m % 2
+        ? { label: `s${k}`, fn: (t) => Math.sin(2 * Math.PI * k * t) }
+        : { label: `c${k}`, fn: (t) => Math.cos(2 * Math.PI * k * t) };
+    })
+  };
+}
+
+// Projects values (sampled at t = i/n) onto the basis. Returns the coefficient of every
+// orthonormalized term, the fraction of the energy captured by the first N terms, and
+// reconstruct(N) for the partial sums. Terms already in the span get a zero coefficient.
+export function projectOntoBasis(values, { terms, weight }) {
+  const n = values.length;
+  const w = weight || new Float64Array(n).fill(1 / n);
+  const dot = (a, b) => {
+    let sum = 0;
+    for (let i = 0; i < n; i++) sum += a[i] * b[i] * w[i];
+    return sum;
+  };
+
+  const orthonormal = [];
+  const coefficients = new Float64Array(terms.length);
+  terms.forEach(({ fn }, m) => {
+    const v = Float64Array.from({ length: n }, (_, i) => fn(i / n));
+    const original = Math.sqrt(dot(v, v));
+    orthonormal.forEach(e => {
+      if (!e) return;
+      const c = dot(v, e);
+      for (let i = 0; i < n; i++) v[i] -= c * e[i];
+    });
+    const norm = Math.sqrt(dot(v, v));
+    if (!(norm > DEPENDENT * original)) {
+      orthonormal.push(null);
+      return;
+    }
+    for (let i = 0; i < n; i++) v[i] /= norm;
+    orthonormal.push(v);
+    coefficients[m] = dot(values, v);
+  });
+
+  const energy = dot(values, values);
+  const captured = new Float64Array(terms.length + 1);
+  coefficients.forEach((c, m) => { captured[m + 1] = captured[m] + c * c; });
+  if (energy > 0) captured.forEach((e, m) => { captured[m] = e / energy; });
+
+  const reconstruct = (count) => {
+    const out = new Float64Array(n);
+    orthonormal.slice(0, count).forEach((e, m) => {
+      if (!e) return;
+      for (let i = 0; i < n; i++) out[i] += coefficients[m] * e[i];
+    });
+    return out;
+  };
+
+  return { labels: terms.map(term => term.label), coefficients, captured, reconstruct };
+}
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { mixToMono, clipWindow, basisFor, projectOntoBasis, PROJECTION_SAMPLES } from './projection.js';
+import { getWalsh } from './signal.js';
+
+const CFG = {
+  mode: 'sine', walshSize: 16, walshOrdering: 'sequency', polyFamily: 'legendre', polyWeighted: true,
+  waveFamily: 'haar', f1: 2, f2: 3, points: 1200
+};
+const sampled = (fn, n = PROJECTION_SAMPLES) => Float64Array.from({ length: n }, (_, i) => fn(i / n));
+const maxError = (a, b) => Math.max(...a.map((v, i) => Math.abs(v - b[i])));
+
+describe('clip handling', () => {
+  it('mixes channels down to mono', () => {
+    const channels = [new Float32Array([1, 0, 0.5]), new Float32Array([0, 1, 0.5])];
+    const mono = mixToMono({ numberOfChannels: 2, length: 3, getChannelData: (c) => channels[c] });
+    expect(Array.from(mono)).toEqual([0.5, 0.5, 0.5]);
+  });
+
+  it('resamples a window with linear interpolation, scaled to peak 1, silent past the end', () => {
+    const mono = new Float32Array([0, 1, 2, 3, 4]);
+    expect(Array.from(clipWindow(mono, 1, { offset: 1, duration: 2 }, 4))).toEqual([1, 1.5, 2, 2.5].map(v => v / 2.5));
+    expect(Array.from(clipWindow(mono, 2, { offset: 2, duration: 2 }, 4))).toEqual([1, 0, 0, 0]);
+  });
+});
+
+describe('projectOntoBasis', () => {
+  it('puts a pure tone into its own sine term', () => {
+    const projection = projectOntoBasis(sampled(t => 0.8 * Math.sin(2 * Math.PI * 3 * t)), basisFor(CFG, 9));
+    expect(projection.labels[5]).toBe('s3');
+    projection.coefficients.forEach((c, m) => expect(Math.abs(c)).toBeCloseTo(m === 5 ? 0.8 / Math.SQRT2 : 0, 6));
+    expect(projection.captured[5]).toBeCloseTo(0, 6);
+    expect(projection.captured[6]).toBeCloseTo(1, 6);
+  });
+
+  it('rebuilds a Walsh code sum exactly once every code is in', () => {
+    const cfg = { ...CFG, mode: 'square' };
+    const values = sampled(t => getWalsh(3, t, 16, 'sequency') - 0.5 * getWalsh(9, t, 16, 'sequency'));
+    const projection = projectOntoBasis(values, basisFor(cfg, 32));
+    expect(projection.labels).toHaveLength(16);
+    expect(maxError(projection.reconstruct(10), values)).toBeLessThan(1e-9);
+    expect(maxError(projection.reconstruct(9), values)).toBeGreaterThan(0.4);
+  });
+
+  it('gets block averages from the Haar terms of one scale', () => {
+    const cfg = { ...CFG, mode: 'wave' };
+    const values = sampled(t => t * t);
+    // φ plus ψ0,0 and ψ1,* span the functions constant on quarters
+    const quarters = projectOntoBasis(values, basisFor(cfg, 4)).reconstruct(4);
+    const average = values.slice(128, 256).reduce((s, v) => s + v, 0) / 128;
+    expect(quarters[200]).toBeCloseTo(average, 10);
+  });
+
+  it('makes Legendre partial sums converge, and never loses energy when adding terms', () => {
+    const cfg = { ...CFG, mode: 'poly' };
+    const values = sampled(t => Math.exp(2 * t));
+    const projection = projectOntoBasis(values, basisFor(cfg, 8));
+    expect(projection.captured[8]).toBeGreaterThan(1 - 1e-9);
+    for (let m = 1; m <= 8; m++) expect(projection.captured[m]).toBeGreaterThanOrEqual(projection.captured[m - 1]);
+    expect(maxError(projection.reconstruct(8), values) / Math.exp(2)).toBeLessThan(1e-4);
+  });
+
+  it('still gives best approximations when the family is not orthogonal', () => {
+    const cfg = { ...CFG, mode: 'wave', waveFamily: 'mexicanHat' };
+    const values = sampled(t => Math.sin(2 * Math.PI * t) + 0.3);
+    const projection = projectOntoBasis(values, basisFor(cfg, 16));
+    const error = (n) => maxError(projection.reconstruct(n), values);
+    expect(error(16)).toBeLessThan(error(4));
+  });
+});
@@ -0,0 +1,47 @@
+// --- Projection Panel ---
+// Coefficient bars of the clip on the orthonormalized basis terms; the first N (those
+// used by the partial reconstruction) are lit, and the captured-energy curve runs on top.
+
+const ACTIVE = '#00ff87';
+const INACTIVE = 'rgba(255, 255, 255, 0.2)';
+const ENERGY = '#ffd166';
+
+export function drawCoefficients(canvas, { labels, coefficients, captured }, terms) {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const pad = 14;
+  const mid = (height - pad) / 2;
+  const slot = (width - 2 * pad) / coefficients.length;
+  const peak = Math.max(1e-9, ...Array.from(coefficients, Math.abs));
+
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = "9px 'Fira Code', monospace";
+  ctx.textAlign = 'center';
+
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.12)';
+  ctx.beginPath();
+  ctx.moveTo(pad, mid);
+  ctx.lineTo(width - pad, mid);
+  ctx.stroke();
+
+  coefficients.forEach((c, m) => {
+    const bar = (c / peak) * (mid - 4);
+    ctx.fillStyle = m < terms ? ACTIVE : INACTIVE;
+    ctx.fillRect(pad + m * slot + slot * 0.15, mid - Math.max(bar, 0), slot * 0.7, Math.abs(bar));
+  });
+
+  // Fraction of the energy in the first m terms, 0 at the bottom edge, 1 at the top
+  ctx.strokeStyle = ENERGY;
+  ctx.beginPath();
+  captured.forEach((e, m) => {
+    const x = pad + m * slot;
+    const y = height - pad - e * (height - 2 * pad);
+    if (m === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+  });
+  ctx.stroke();
+
+  // Label the first term, the last one used and the last one computed
+  ctx.fillStyle = '#6a7c8a';
+  [0, terms - 1, labels.length - 1].forEach(m => ctx.fillText(labels[m], pad + (m + 0.5) * slot, height - 2));
+  ctx.textAlign = 'left';
+}
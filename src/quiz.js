@@ -0,0 +1,256 @@
+// --- Challenge Mode ---
+// A quiz is plain data like a lesson: questions with a setup (CONFIG values applied on
+// entry), a prompt, hints revealed one at a time and what counts as solved. Answers are
+// checked against the numbers the page shows — the correlation, the stat-ortho percentage
+// and CONFIG itself — so marking can be tested without a browser. Strings are i18n keys.
+//
+// Question format:
+//   {
+//     id: 'phase',
+//     setup: { mode: 'sine', f1: 2, f2: 2, phase: 0 },      // applied on entry
+//     title: 'quiz.questions.x.title', prompt: 'quiz.questions.x.prompt',
+//     hints: ['quiz.questions.x.hint1'],                    // optional
+//     explain: 'quiz.questions.x.explain',                  // shown once it is answered
+//     check: {                                              // a task: move the sliders, then check
+//       params: { mode: 'sine' },                           // CONFIG values that must still hold
+//       same: [['f1', 'f2']], differ: [['f1', 'f2']],       // CONFIG keys that must (not) be equal
+//       corrBelow: 0.05, corrAbove: 0.5, orthoAbove: 95     // |corr| and stat-ortho in %
+//     },
+//     predict: { tolerance: 0.1 }                           // or: predict the signed correlation first
+//   }
+// A task can be checked until it is right; a prediction gets one answer, then the value is shown.
+
+import { t } from './i18n.js';
+
+export const HINT_COST = 0.25; // points a hint takes off a correct answer
+
+const SINE = { mode: 'sine', multi: false, combination: 'sum', amp1: 1, amp2: 1 };
+const LEGENDRE = { mode: 'poly', multi: false, combination: 'sum', polyFamily: 'legendre', polyWeighted: true, amp1: 1, amp2: 1 };
+
+const question = (id, fields) => ({
+  id,
+  title: `quiz.questions.${id}.title`,
+  prompt: `quiz.questions.${id}.prompt`,
+  explain: `quiz.questions.${id}.explain`,
+  ...fields
+});
+
+export const QUIZZES = [
+  {
+    id: 'basics',
+    title: 'quiz.quizzes.basics',
+    questions: [
+      question('phase', {
+        setup: { ...SINE, f1: 2, f2: 2, phase: 0 },
+        hints: ['quiz.questions.phase.hint1', 'quiz.questions.phase.hint2'],
+        check: { params: { mode: 'sine' }, same: [['f1', 'f2']], orthoAbove: 95 }
+      }),
+      question('frequency', {
+        setup: { ...SINE, f1: 2, f2: 2, phase: 0 },
+        hints: ['quiz.questions.frequency.hint1', 'quiz.questions.frequency.hint2'],
+        check: { params: { mode: 'sine', phase: 0 }, differ: [['f1', 'f2']], corrBelow: 0.05 }
+      }),
+      // With the weight every pair of degrees is orthogonal; only w = 1 and equal parity overlap
+      question('hermite', {
+        setup: { ...LEGENDRE, polyFamily: 'hermite', f1: 1, f2: 2 },
+        hints: ['quiz.questions.hermite.hint1', 'quiz.questions.hermite.hint2'],
+        check: { params: { mode: 'poly', polyFamily: 'hermite' }, differ: [['f1', 'f2']], corrAbove: 0.5 }
+      }),
+      question('walsh', {
+        setup: { mode: 'square', multi: false, combination: 'sum', walshSize: 16, amp1: 1, amp2: 1, f1: 3, f2: 3, phase: 0 },
+        hints: ['quiz.questions.walsh.hint1'],
+        check: { params: { mode: 'square' }, corrBelow: 0.05 }
+      }),
+      question('predictSame', {
+        setup: { ...SINE, f1: 3, f2: 3, phase: 0 },
+        hints: ['quiz.questions.predictSame.hint1'],
+        predict: { tolerance: 0.1 }
+      }),
+      question('predictPhase', {
+        setup: { ...SINE, f1: 2, f2: 2, phase: 60 },
+        hints: ['quiz.questions.predictPhase.hint1'],
+        predict: { tolerance: 0.1 }
+      }),
+      question('predictLegendre', {
+        setup: { ...LEGENDRE, f1: 2, f2: 4 },
+        hints: ['quiz.questions.predictLegendre.hint1'],
+        predict: { tolerance: 0.1 }
+      })
+    ]
+  }
+];
+
+// Throws with a readable message if a quiz does not follow the question format
+export function validateQuiz(quiz, { params = [] } = {}) {
+  if (!quiz || !Array.isArray(quiz.questions) || quiz.questions.length === 0) {
+    throw new Error(t('quiz.errors.noQuestions', { id: quiz?.id ?? '?' }));
+  }
+  quiz.questions.forEach((q, i) => {
+    const where = t('quiz.errors.where', { id: quiz.id, question: i + 1 });
+    if (!q.id || !q.title || !q.prompt) throw new Error(t('quiz.errors.required', { where }));
+    if (Boolean(q.check) === Boolean(q.predict)) throw new Error(t('quiz.errors.kind', { where }));
+    if (q.predict && !(q.predict.tolerance > 0)) throw new Error(t('quiz.errors.tolerance', { where }));
+    const pairs = [...(q.check?.same || []), ...(q.check?.differ || [])];
+    const keys = [...Object.keys(q.setup || {}), ...Object.keys(q.check?.params || {}), ...pairs.flat()];
+    keys.forEach(key => {
+      if (params.length && !params.includes(key)) throw new Error(t('quiz.errors.param', { where, key }));
+    });
+  });
+  return quiz;
+}
+
+const fixed = (v) => (Math.abs(v) < 5e-4 ? 0 : v).toFixed(3);
+
+// measurement: { corr, orthogonality, power1, power2, cfg } as shown on the page. Returns
+// the failed conditions as i18n keys with their parameters; none means correct.
+export function checkAnswer(q, { corr, orthogonality, power1, power2, cfg }, prediction) {
+  const failures = [];
+  const fail = (key, params) => failures.push({ key: `quiz.fail.${key}`, params });
+  if (q.predict) {
+    if (!(Math.abs(prediction - corr) <= q.predict.tolerance)) {
+      fail('predict', { prediction: fixed(prediction), corr: fixed(corr), tolerance: q.predict.tolerance });
+    }
+    return { correct: failures.length === 0, failures };
+  }
+  const { params = {}, same = [], differ = [], corrBelow, corrAbove, orthoAbove } = q.check;
+  // The zero function is orthogonal to everything, so a silenced signal proves nothing
+  if (!(power1 > 0) || !(power2 > 0)) fail('silent');
+  Object.entries(params).forEach(([name, value]) => {
+    if (cfg[name] !== value) fail('params', { name, value });
+  });
+  same.forEach(([a, b]) => cfg[a] !== cfg[b] && fail('same', { a, b }));
+  differ.forEach(([a, b]) => cfg[a] === cfg[b] && fail('differ', { a, b }));
+  const absCorr = Math.abs(corr);
+  if (Number.isFinite(corrBelow) && !(absCorr < corrBelow)) fail('corrBelow', { corr: fixed(absCorr), limit: corrBelow });
+  if (Number.isFinite(corrAbove) && !(absCorr > corrAbove)) fail('corrAbove', { corr: fixed(absCorr), limit: corrAbove });
+  if (Number.isFinite(orthoAbove) && !(orthogonality > orthoAbove)) fail('orthoAbove', { ortho: orthogonality.toFixed(1), limit: orthoAbove });
+  return { correct: failures.length === 0, failures };
+}
+
+// CONFIG keys a question is about, recorded with every attempt
+const watched = (q) => [...new Set([
+  ...Object.keys(q.setup || {}),
+  ...Object.keys(q.check?.params || {}),
+  ...[...(q.check?.same || []), ...(q.check?.differ || [])].flat()
+])];
+
+// hooks: apply(setup), narrate(title, lines) with lines [{ key, params }],
+//        progress(status), now() → ms (defaults to Date.now)
+export function createQuizSession(quiz, hooks) {
+  const now = hooks.now || Date.now;
+  const startedAt = now();
+  let finishedAt = null;
+  let index = -1;
+  const records = quiz.questions.map(q => ({ id: q.id, status: 'open', hintsUsed: 0, points: 0, attempts: [] }));
+
+  const current = () => quiz.questions[index];
+  const record = () => records[index];
+  const score = () => records.reduce((sum, r) => sum + r.points, 0);
+  const line = (key, params) => ({ key, params });
+  const hints = () => current().hints || [];
+  const prompt = () => [line(current().prompt), ...hints().slice(0, record().hintsUsed).map(h => line(h))];
+
+  const report = () => hooks.progress({
+    index,
+    total: records.length,
+    score: score(),
+    max: records.length,
+    finished: finishedAt !== null,
+    predicting: index >= 0 && finishedAt === null && Boolean(current().predict),
+    // A prediction is answered blind: the correlation stays hidden until then
+    conceal: index >= 0 && finishedAt === null && Boolean(current().predict) && record().status === 'open',
+    open: index >= 0 && finishedAt === null && record().status === 'open',
+    hintsLeft: index >= 0 && finishedAt === null ? hints().length - record().hintsUsed : 0,
+    history: records.map(({ id, status, hintsUsed, points, attempts }) => ({ id, status, hintsUsed, points, attempts: attempts.length }))
+  });
+
+  function enter(i) {
+    index = i;
+    if (current().setup) hooks.apply(current().setup);
+    hooks.narrate(current().title, prompt());
+    report();
+  }
+
+  function finish() {
+    finishedAt = now();
+    hooks.narrate('quiz.finishedTitle', [line('quiz.finishedText', { score: score(), max: records.length })]);
+    report();
+  }
+
+  return {
+    get finished() {
+      return finishedAt !== null;
+    },
+
+    start: () => enter(0),
+
+    hint() {
+      if (finishedAt !== null || record().status !== 'open') return;
+      if (record().hintsUsed >= hints().length) {
+        hooks.narrate(current().title, [...prompt(), line('quiz.noHint')]);
+        return;
+      }
+      record().hintsUsed++;
+      hooks.narrate(current().title, prompt());
+      report();
+    },
+
+    // measurement as in checkAnswer; prediction only for predict questions
+    submit(measurement, prediction) {
+      if (finishedAt !== null || record().status !== 'open') return null;
+      const q = current();
+      if (q.predict && !Number.isFinite(prediction)) {
+        hooks.narrate(q.title, [...prompt(), line('quiz.needPrediction')]);
+        return null;
+      }
+      const result = checkAnswer(q, measurement, prediction);
+      const cfg = Object.fromEntries(watched(q).map(key => [key, measurement.cfg[key]]));
+      record().attempts.push({
+        at: new Date(now()).toISOString(),
+        corr: measurement.corr,
+        orthogonality: measurement.orthogonality,
+        power1: measurement.power1,
+        power2: measurement.power2,
+        ...(q.predict ? { prediction } : {}),
+        params: cfg,
+        correct: result.correct
+      });
+
+      const lines = [line(result.correct ? 'quiz.correct' : 'quiz.wrong'), ...result.failures.map(f => line(f.key, f.params))];
+      if (result.correct) {
+        record().status = 'correct';
+        record().points = Math.max(0, 1 - HINT_COST * record().hintsUsed);
+        lines.push(line('quiz.points', { points: record().points }));
+      } else if (q.predict) {
+        record().status = 'wrong';
+      }
+      if (record().status !== 'open') lines.push(line(q.explain));
+      hooks.narrate(q.title, lines);
+      report();
+      return result;
+    },
+
+    // Moves on; an unanswered question counts as skipped
+    next() {
+      if (finishedAt !== null) return;
+      if (record().status === 'open') record().status = 'skipped';
+      if (index >= records.length - 1) finish();
+      else enter(index + 1);
+    },
+
+    // Everything a TA needs offline: who, when, the score and every attempt
+    results(student = '') {
+      return {
+        format: 'orthogonality-quiz',
+        version: 1,
+        quiz: quiz.id,
+        student,
+        startedAt: new Date(startedAt).toISOString(),
+        finishedAt: finishedAt === null ? null : new Date(finishedAt).toISOString(),
+        score: score(),
+        max: records.length,
+        questions: records.map(r => ({ ...r, attempts: r.attempts.map(a => ({ ...a })) }))
+      };
+    }
+  };
+}
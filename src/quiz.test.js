@@ -0,0 +1,173 @@
+import { describe, it, expect, vi } from 'vitest';
+import { HINT_COST, QUIZZES, checkAnswer, createQuizSession, validateQuiz } from './quiz.js';
+import { measureSignals } from './signal.js';
+import { t } from './i18n.js';
+
+const BASE = {
+  f1: 2, f2: 3, amp1: 1, amp2: 1, phase: 0, points: 2400, length: 12, mode: 'sine', multi: false,
+  combination: 'sum', walshSize: 16, polyFamily: 'legendre', polyWeighted: true, polyOrder: 0,
+  waveFamily: 'haar', waveScale1: 1, waveShift1: 0, waveScale2: 2, waveShift2: 1
+};
+
+// What the stats bar shows for a configuration
+const measure = (cfg) => {
+  const { stats: { corr, power1, power2 } } = measureSignals(cfg);
+  return { corr, orthogonality: 100 - Math.abs(corr) * 100, power1, power2, cfg };
+};
+
+const QUIZ = {
+  id: 'test',
+  questions: [
+    { id: 'a', title: 'A', prompt: 'a', explain: 'ea', hints: ['h1', 'h2'], setup: { f1: 2, f2: 2, phase: 0 }, check: { same: [['f1', 'f2']], orthoAbove: 95 } },
+    { id: 'b', title: 'B', prompt: 'b', explain: 'eb', setup: { f1: 2, f2: 2, phase: 60 }, predict: { tolerance: 0.1 } }
+  ]
+};
+
+function setup(quiz = QUIZ) {
+  let clock = Date.UTC(2026, 0, 5, 9, 0, 0);
+  const hooks = {
+    apply: vi.fn(),
+    narrate: vi.fn(),
+    progress: vi.fn(),
+    now: () => (clock += 1000)
+  };
+  const session = createQuizSession(quiz, hooks);
+  const status = () => hooks.progress.mock.calls.at(-1)[0];
+  const lines = () => hooks.narrate.mock.calls.at(-1)[1].map(l => l.key);
+  return { session, hooks, status, lines };
+}
+
+describe('validateQuiz', () => {
+  it('accepts the built-in quizzes with translated text', () => {
+    const params = [...Object.keys(BASE), 'mode'];
+    QUIZZES.forEach(quiz => {
+      expect(() => validateQuiz(quiz, { params })).not.toThrow();
+      expect(t(quiz.title)).not.toBe(quiz.title);
+      quiz.questions.forEach(q => [q.title, q.prompt, q.explain, ...(q.hints || [])]
+        .forEach(key => expect(t(key), key).not.toBe(key)));
+    });
+  });
+
+  it('names the offending question', () => {
+    const where = t('quiz.errors.where', { id: 'x', question: 1 });
+    expect(() => validateQuiz({ id: 'x', questions: [] })).toThrow(t('quiz.errors.noQuestions', { id: 'x' }));
+    expect(() => validateQuiz({ id: 'x', questions: [{ id: 'q', title: 't', prompt: 'p' }] })).toThrow(t('quiz.errors.kind', { where }));
+    expect(() => validateQuiz({ id: 'x', questions: [{ id: 'q', title: 't', prompt: 'p', predict: {} }] })).toThrow(t('quiz.errors.tolerance', { where }));
+    expect(() => validateQuiz({ id: 'x', questions: [{ id: 'q', title: 't', prompt: 'p', check: { same: [['f1', 'moon']] } }] }, { params: ['f1'] }))
+      .toThrow(t('quiz.errors.param', { where, key: 'moon' }));
+  });
+});
+
+describe('checkAnswer', () => {
+  const [phase, frequency, hermite, walsh, ...predictions] = QUIZZES[0].questions;
+  const after = (q, change) => measure({ ...BASE, ...q.setup, ...change });
+
+  it('marks the built-in tasks against the computed correlation', () => {
+    expect(checkAnswer(phase, after(phase, {})).correct).toBe(false);
+    expect(checkAnswer(phase, after(phase, { phase: 90 })).correct).toBe(true);
+    expect(checkAnswer(frequency, after(frequency, { f2: 3 })).correct).toBe(true);
+    expect(checkAnswer(frequency, after(frequency, {})).failures.map(f => f.key)).toEqual(['quiz.fail.differ', 'quiz.fail.corrBelow']);
+    expect(checkAnswer(hermite, after(hermite, {})).correct).toBe(false);
+    expect(checkAnswer(hermite, after(hermite, { f2: 3 })).correct).toBe(false);
+    expect(checkAnswer(hermite, after(hermite, { polyWeighted: false })).correct).toBe(false);
+    expect(checkAnswer(hermite, after(hermite, { polyWeighted: false, f2: 3 })).correct).toBe(true);
+    expect(checkAnswer(hermite, after(hermite, { polyWeighted: false, f2: 1 })).failures.map(f => f.key)).toEqual(['quiz.fail.differ']);
+    expect(checkAnswer(walsh, after(walsh, { f2: 5 })).correct).toBe(true);
+  });
+
+  it('refuses answers that break the rules of the task', () => {
+    const cheat = checkAnswer(phase, after(phase, { f2: 3 }));
+    expect(cheat.failures).toEqual([{ key: 'quiz.fail.same', params: { a: 'f1', b: 'f2' } }]);
+    const phased = checkAnswer(frequency, after(frequency, { phase: 90 }));
+    expect(phased.failures.map(f => f.key)).toEqual(['quiz.fail.params', 'quiz.fail.differ']);
+  });
+
+  it('does not count a silenced signal as orthogonal', () => {
+    [phase, frequency, walsh].forEach(q => {
+      ['amp1', 'amp2'].forEach(amp => {
+        const silenced = after(q, { [amp]: 0 });
+        expect(silenced.corr).toBe(0);
+        const result = checkAnswer(q, silenced);
+        expect(result.correct, `${q.id} ${amp}`).toBe(false);
+        expect(result.failures.map(f => f.key)).toContain('quiz.fail.silent');
+      });
+    });
+  });
+
+  it('expects the textbook value for each prediction', () => {
+    const expected = [1, 0.5, 0];
+    predictions.forEach((q, i) => {
+      const m = after(q, {});
+      expect(checkAnswer(q, m, expected[i]).correct, q.id).toBe(true);
+      expect(checkAnswer(q, m, expected[i] + 0.3).failures[0].key).toBe('quiz.fail.predict');
+    });
+  });
+});
+
+describe('createQuizSession', () => {
+  it('applies each setup and narrates hints one at a time', () => {
+    const { session, hooks, status, lines } = setup();
+    session.start();
+    expect(hooks.apply).toHaveBeenCalledWith(QUIZ.questions[0].setup);
+    expect(status()).toMatchObject({ index: 0, total: 2, open: true, conceal: false, hintsLeft: 2 });
+
+    session.hint();
+    expect(lines()).toEqual(['a', 'h1']);
+    session.hint();
+    session.hint();
+    expect(lines()).toEqual(['a', 'h1', 'h2', 'quiz.noHint']);
+    expect(status().hintsLeft).toBe(0);
+  });
+
+  it('lets a task be retried and scores it less the hints used', () => {
+    const { session, status, lines } = setup();
+    session.start();
+    session.hint();
+    expect(session.submit(measure({ ...BASE, f2: 2 })).correct).toBe(false);
+    expect(lines()[0]).toBe('quiz.wrong');
+    expect(status().open).toBe(true);
+
+    expect(session.submit(measure({ ...BASE, f2: 2, phase: 90 })).correct).toBe(true);
+    expect(lines()).toEqual(['quiz.correct', 'quiz.points', 'ea']);
+    expect(status()).toMatchObject({ score: 1 - HINT_COST, open: false });
+    expect(session.submit(measure(BASE))).toBeNull();
+  });
+
+  it('hides the correlation until a prediction is given, and takes one answer', () => {
+    const { session, hooks, status, lines } = setup();
+    session.start();
+    session.next();
+    expect(status()).toMatchObject({ index: 1, predicting: true, conceal: true });
+
+    expect(session.submit(measure({ ...BASE, f2: 2, phase: 60 }))).toBeNull();
+    expect(lines()).toContain('quiz.needPrediction');
+
+    session.submit(measure({ ...BASE, f2: 2, phase: 60 }), -0.5);
+    expect(lines()).toEqual(['quiz.wrong', 'quiz.fail.predict', 'eb']);
+    expect(status()).toMatchObject({ conceal: false, open: false, score: 0 });
+
+    session.next();
+    expect(session.finished).toBe(true);
+    expect(hooks.narrate).toHaveBeenLastCalledWith('quiz.finishedTitle', [{ key: 'quiz.finishedText', params: { score: 0, max: 2 } }]);
+    expect(status().history.map(h => h.status)).toEqual(['skipped', 'wrong']);
+  });
+
+  it('exports every attempt as plain JSON', () => {
+    const { session } = setup();
+    session.start();
+    session.submit(measure({ ...BASE, f2: 2, phase: 90 }));
+    session.next();
+    session.submit(measure({ ...BASE, f2: 2, phase: 60 }), 0.5);
+    session.next();
+
+    const report = JSON.parse(JSON.stringify(session.results('Li Hua')));
+    expect(report).toMatchObject({ format: 'orthogonality-quiz', quiz: 'test', student: 'Li Hua', score: 2, max: 2 });
+    expect(report.startedAt).toBe('2026-01-05T09:00:01.000Z');
+    expect(report.finishedAt).not.toBeNull();
+    const [first, second] = report.questions;
+    expect(first).toMatchObject({ id: 'a', status: 'correct', points: 1, hintsUsed: 0 });
+    expect(first.attempts[0].params).toEqual({ f1: 2, f2: 2, phase: 90 });
+    expect(second.attempts[0]).toMatchObject({ prediction: 0.5, correct: true });
+    expect(second.attempts[0].corr).toBeCloseTo(0.5, 2);
+  });
+});
@@ -0,0 +1,52 @@
+// --- Sample Resolution ---
+// How many points the curves are sampled at. The adaptive setting follows the fastest
+// oscillation on screen, POINTS_PER_CYCLE samples for each of its cycles across the window,
+// so a high-degree polynomial or a fine Walsh row never aliases into a coarser curve.
+
+import { SCHEMES } from './iq.js';
+import { MAX_SCALE } from './wavelets.js';
+
+export const MIN_POINTS = 1200;
+export const MAX_POINTS = 12000;
+export const POINTS_PER_CYCLE = 48;
+// Choices of the resolution menu; numbers are fixed point counts
+export const RESOLUTIONS = ['auto', 1200, 2400, 4800, 9600];
+
+// Cycles of one component across the window t ∈ [0, 1) (rounded, capped bases as in signal.js)
+function componentCycles(mode, f, cfg) {
+  if (mode === 'square') return (cfg.walshSize || 16) / 2;
+  // A wavelet at scale j repeats 2^j times; Morlet carries a few oscillations in each copy
+  if (mode === 'wave') return 2 ** (Math.min(MAX_SCALE, Math.max(0, Math.round(f))) + 1);
+  // Degree n has n roots, bunched towards the ends of the interval
+  if (mode === 'poly') return Math.max(1, Math.round(f));
+  return f;
+}
+
+export function highestFrequency(cfg) {
+  if (cfg.multi) {
+    // Wavelet components use f − 1 as their scale
+    return Math.max(...cfg.components.map(c => componentCycles(cfg.mode, cfg.mode === 'wave' ? c.f - 1 : c.f, cfg)));
+  }
+  if (cfg.mode === 'wave') return Math.max(componentCycles('wave', cfg.waveScale1, cfg), componentCycles('wave', cfg.waveScale2, cfg));
+  if (cfg.mode === 'iq') return cfg.f1 * Math.ceil(cfg.iqBits.length / SCHEMES[cfg.iqScheme].bitsPerSymbol);
+  if (cfg.mode === 'fourier') return cfg.f1 * Math.round(cfg.fourierTerms);
+  // Gram–Schmidt draws user expressions; nothing to go on but the default
+  if (cfg.mode === 'gs') return 0;
+  const highest = Math.max(componentCycles(cfg.mode, cfg.f1, cfg), componentCycles(cfg.mode, cfg.f2, cfg));
+  if (cfg.mode !== 'sine' || cfg.combination === 'sum') return highest;
+  // Products put energy at f2 + f1; FM swings up to f2 + Δf·A1
+  const swing = cfg.combination === 'fm' ? cfg.fmDeviation * cfg.amp1 : cfg.f1;
+  return Math.max(highest, cfg.f2 + swing);
+}
+
+// Rounded up to a hundred points so small slider moves don't resize the buffers
+export function adaptivePoints(cfg) {
+  const points = Math.ceil((highestFrequency(cfg) * POINTS_PER_CYCLE) / 100) * 100;
+  return Math.min(MAX_POINTS, Math.max(MIN_POINTS, points));
+}
+
+export const resolvePoints = (cfg) => (cfg.resolution === 'auto' ? adaptivePoints(cfg) : cfg.resolution);
+
+// Vertex capacity for a point count: the next power of two, so the buffers are reallocated
+// only a handful of times however the resolution moves
+export const bufferCapacity = (count) => 2 ** Math.ceil(Math.log2(Math.max(count, 1024)));
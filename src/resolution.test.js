@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { adaptivePoints, highestFrequency, resolvePoints, bufferCapacity, MIN_POINTS, MAX_POINTS } from './resolution.js';
+
+const CFG = {
+  mode: 'sine', f1: 2, f2: 3, amp1: 1, combination: 'sum', fmDeviation: 4, walshSize: 16,
+  waveScale1: 1, waveScale2: 2, iqScheme: 'qpsk', iqBits: new Array(32).fill(0), fourierTerms: 5,
+  resolution: 'auto'
+};
+
+describe('adaptive resolution', () => {
+  it('keeps the default point count for slow curves', () => {
+    expect(adaptivePoints(CFG)).toBe(MIN_POINTS);
+    expect(adaptivePoints({ ...CFG, mode: 'gs' })).toBe(MIN_POINTS);
+  });
+
+  it('follows the fastest oscillation on screen', () => {
+    expect(highestFrequency({ ...CFG, f2: 60 })).toBe(60);
+    expect(adaptivePoints({ ...CFG, f2: 60 })).toBe(2900); // 60 · 48 = 2880, rounded up
+    expect(highestFrequency({ ...CFG, mode: 'square', walshSize: 64 })).toBe(32);
+    expect(highestFrequency({ ...CFG, mode: 'wave', waveScale2: 5 })).toBe(64);
+    expect(highestFrequency({ ...CFG, mode: 'poly', f1: 40 })).toBe(40);
+    expect(highestFrequency({ ...CFG, mode: 'iq', f1: 4 })).toBe(64);
+    expect(highestFrequency({ ...CFG, mode: 'fourier', f1: 3, fourierTerms: 30 })).toBe(90);
+  });
+
+  it('allows for the sidebands of a modulated composite', () => {
+    expect(highestFrequency({ ...CFG, combination: 'am' })).toBe(5);
+    expect(highestFrequency({ ...CFG, combination: 'fm', amp1: 2 })).toBe(11);
+    expect(highestFrequency({ ...CFG, mode: 'square', combination: 'am' })).toBe(8);
+  });
+
+  it('looks at every N-Signal component', () => {
+    const components = [1, 7, 3].map(f => ({ f, amp: 1, phase: 0 }));
+    expect(highestFrequency({ ...CFG, multi: true, components })).toBe(7);
+    expect(highestFrequency({ ...CFG, mode: 'wave', multi: true, components })).toBe(64);
+  });
+
+  it('caps the count and honours a fixed resolution', () => {
+    expect(adaptivePoints({ ...CFG, f1: 1000 })).toBe(MAX_POINTS);
+    expect(adaptivePoints({ ...CFG, f2: 30.5 })).toBe(1500);
+    expect(resolvePoints({ ...CFG, resolution: 4800 })).toBe(4800);
+  });
+
+  it('grows buffers in powers of two', () => {
+    expect(bufferCapacity(1200)).toBe(2048);
+    expect(bufferCapacity(2048)).toBe(2048);
+    expect(bufferCapacity(10)).toBe(1024);
+  });
+});
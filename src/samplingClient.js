@@ -0,0 +1,58 @@
+// --- Sampling Worker Client ---
+// Latest-wins access to samplingWorker.js. At most one request is in flight; while it runs,
+// newer requests replace each other, so a fast drag never queues up stale work. sample(cfg)
+// resolves with measureSignals' result, or with null once a newer request or cancel() has
+// superseded it. A worker that fails to load rejects everything and stays failed.
+
+export function createSamplingClient(worker) {
+  let nextId = 0;
+  let wanted = 0; // id whose result is still wanted
+  let inFlight = null;
+  let queued = null;
+  let failure = null;
+
+  const send = (request) => {
+    const id = ++nextId;
+    wanted = id;
+    inFlight = { id, ...request };
+    worker.postMessage({ id, cfg: request.cfg });
+  };
+
+  worker.onmessage = ({ data }) => {
+    const done = inFlight;
+    if (!done || done.id !== data.id) return;
+    inFlight = null;
+    const current = data.id === wanted && !queued;
+    if (queued) {
+      send(queued);
+      queued = null;
+    }
+    if (!current) done.resolve(null);
+    else if (data.error) done.reject(new Error(data.error));
+    else done.resolve(data.result);
+  };
+
+  worker.onerror = (event) => {
+    event.preventDefault?.();
+    failure = new Error(event.message || 'Sampling worker failed');
+    [inFlight, queued].forEach(request => request?.reject(failure));
+    inFlight = queued = null;
+  };
+
+  return {
+    sample(cfg) {
+      return new Promise((resolve, reject) => {
+        if (failure) return reject(failure);
+        const request = { cfg, resolve, reject };
+        if (!inFlight) return send(request);
+        queued?.resolve(null);
+        queued = request;
+      });
+    },
+    cancel() {
+      queued?.resolve(null);
+      queued = null;
+      wanted = 0;
+    }
+  };
+}
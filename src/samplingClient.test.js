@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { createSamplingClient } from './samplingClient.js';
+
+// Records what was posted; reply(i) answers the i-th message like the worker would
+const fakeWorker = () => {
+  const worker = { posted: [] };
+  worker.postMessage = (message) => worker.posted.push(message);
+  worker.reply = (i, extra = {}) => worker.onmessage({ data: { id: worker.posted[i].id, result: { cfg: worker.posted[i].cfg }, ...extra } });
+  return worker;
+};
+
+describe('sampling worker client', () => {
+  it('resolves with the worker result', async () => {
+    const worker = fakeWorker();
+    const client = createSamplingClient(worker);
+    const pending = client.sample({ f1: 2 });
+    worker.reply(0);
+    expect(await pending).toEqual({ cfg: { f1: 2 } });
+  });
+
+  it('keeps one request in flight and only the newest one waiting', async () => {
+    const worker = fakeWorker();
+    const client = createSamplingClient(worker);
+    const first = client.sample({ f1: 1 });
+    const second = client.sample({ f1: 2 });
+    const third = client.sample({ f1: 3 });
+    expect(worker.posted).toHaveLength(1);
+    expect(await second).toBeNull();
+
+    worker.reply(0);
+    expect(await first).toBeNull();
+    expect(worker.posted.map(m => m.cfg.f1)).toEqual([1, 3]);
+    worker.reply(1);
+    expect(await third).toEqual({ cfg: { f1: 3 } });
+  });
+
+  it('drops a result after cancel() and reports worker errors', async () => {
+    const worker = fakeWorker();
+    const client = createSamplingClient(worker);
+    const cancelled = client.sample({ f1: 1 });
+    client.cancel();
+    worker.reply(0);
+    expect(await cancelled).toBeNull();
+
+    const failed = client.sample({ f1: 2 });
+    worker.reply(1, { error: 'bad cfg' });
+    await expect(failed).rejects.toThrow('bad cfg');
+  });
+
+  it('rejects everything once the worker itself fails', async () => {
+    const worker = fakeWorker();
+    const client = createSamplingClient(worker);
+    const pending = client.sample({ f1: 1 });
+    worker.onerror({ message: 'load failed' });
+    await expect(pending).rejects.toThrow('load failed');
+    await expect(client.sample({ f1: 2 })).rejects.toThrow('load failed');
+  });
+});
@@ -0,0 +1,16 @@
+// --- Sampling Worker ---
+// measureSignals off the main thread, for large point counts. Requests are { id, cfg };
+// the reply carries the same id and either the result (sample arrays transferred, not
+// copied) or an error message. samplingClient.js is the other end.
+
+import { measureSignals } from './signal.js';
+
+self.onmessage = ({ data: { id, cfg } }) => {
+  try {
+    const result = measureSignals(cfg);
+    const { t, z, x, y, weight } = result.samples;
+    self.postMessage({ id, result }, [t, z, x, y, weight].filter(Boolean).map(a => a.buffer));
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
@@ -0,0 +1,108 @@
+// --- Offline Scene Export ---
+// Drives the 3D view one frame index at a time and records what it draws: every frame
+// is copied onto a 2D canvas (with the caption burned in) and collected as PNG files
+// in a ZIP, or fed to a MediaRecorder as WebM. The timing lives in exportPlan.js.
+// Only the ZIP is exact. MediaRecorder has no way to stamp a frame, so the WebM is a
+// real-time recording: a frame that takes longer than 1/fps to render arrives late and
+// the video's timing drifts with it.
+
+import { frameName, wrapCaption } from './exportPlan.js';
+import { createZip, crc32 } from './zip.js';
+import { t } from './i18n.js';
+import { plainMath } from './mathText.js';
+
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export function download(blob, name) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// Title and text in a translucent band along the bottom, sized to the frame height
+function drawCaption(ctx, { title, text }, width, height) {
+  const size = Math.round(height / 36);
+  const margin = size * 1.5;
+  ctx.font = `${size}px 'Outfit', sans-serif`;
+  // The canvas can't typeset; $...$ formulas are drawn as their TeX source
+  const lines = wrapCaption(plainMath(text), width - 2 * margin, (s) => ctx.measureText(s).width);
+  const band = size * 1.5 * (lines.length + 1) + margin;
+
+  ctx.fillStyle = 'rgba(8, 10, 15, 0.72)';
+  ctx.fillRect(0, height - band, width, band);
+  ctx.textBaseline = 'top';
+  ctx.fillStyle = '#60efff';
+  ctx.font = `bold ${size}px 'Outfit', sans-serif`;
+  let y = height - band + margin / 2;
+  ctx.fillText(title, margin, y);
+  ctx.fillStyle = '#ced4d9';
+  ctx.font = `${size}px 'Outfit', sans-serif`;
+  lines.forEach(line => {
+    y += size * 1.5;
+    ctx.fillText(line, margin, y);
+  });
+  ctx.textBaseline = 'alphabetic';
+}
+
+const toPng = (canvas) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error(t('export.pngFailed')))), 'image/png');
+});
+
+// source: the WebGL canvas, already sized width × height.
+// renderFrame(i) poses and renders frame i and returns its caption ({ title, text }) or null.
+// Resolves to the file (Blob and name), or null when signal aborts first.
+export async function exportScene({ source, width, height, fps, frames, format, renderFrame, onProgress, signal }) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  const compose = (i) => {
+    const caption = renderFrame(i);
+    ctx.clearRect(0, 0, width, height);
+    ctx.drawImage(source, 0, 0, width, height);
+    if (caption) drawCaption(ctx, caption, width, height);
+  };
+
+  if (format === 'webm') {
+    const mimeType = typeof MediaRecorder === 'undefined' ? null : WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) throw new Error(t('export.webmUnsupported'));
+
+    // Frames are pushed by hand; MediaRecorder stamps them with wall time, so they go out at
+    // 1/fps and the pacing is only as good as the machine (see the top of the file)
+    const stream = canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8e6 });
+    const chunks = [];
+    recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+    recorder.start();
+
+    const start = performance.now();
+    for (let i = 0; i < frames && !signal?.aborted; i++) {
+      compose(i);
+      track.requestFrame();
+      onProgress?.(i + 1, frames);
+      await wait(Math.max(0, start + ((i + 1) * 1000) / fps - performance.now()));
+    }
+    recorder.stop();
+    await stopped;
+    track.stop();
+    return signal?.aborted ? null : { blob: new Blob(chunks, { type: 'video/webm' }), name: 'orthogonality.webm' };
+  }
+
+  const files = [];
+  for (let i = 0; i < frames; i++) {
+    if (signal?.aborted) return null;
+    compose(i);
+    const blob = await toPng(canvas);
+    // Only the checksum is read; the frame itself stays a Blob, which the browser may keep on disk
+    files.push({ name: frameName(i, frames), data: blob, crc: crc32(new Uint8Array(await blob.arrayBuffer())) });
+    onProgress?.(i + 1, frames);
+  }
+  return { blob: new Blob(createZip(files), { type: 'application/zip' }), name: `orthogonality-${fps}fps-frames.zip` };
+}
@@ -0,0 +1,256 @@
+// --- Scene State ---
+// Serializes everything needed to reproduce a setup (parameters + camera) to a
+// versioned plain object, the URL hash, and JSON files. Every value coming back in
+// is validated and clamped, so a hand-edited link can never put CONFIG in a bad state.
+// The allowed values of every enum come from the module that implements them, so a new
+// mode or family is shareable as soon as it exists. Warnings and errors are display text.
+
+import { SAMPLERS } from './signal.js';
+import { WALSH_ORDERINGS } from './walsh.js';
+import { WINDOWS } from './spectrum.js';
+import { SCHEMES } from './iq.js';
+import { COMBINATIONS } from './modulation.js';
+import { WEIGHTS } from './gramSchmidt.js';
+import { POLY_FAMILIES } from './polynomials.js';
+import { WAVELET_FAMILIES, DWT_SIGNALS } from './wavelets.js';
+import { FOURIER_TARGETS, DRAWING_POINTS } from './fourierSeries.js';
+import { t } from './i18n.js';
+
+export const STATE_VERSION = 1;
+
+// The code lengths offered by index.html's walsh-size select
+const WALSH_SIZES = [8, 16, 32];
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Scalar fields: [min, max] for numbers, list of allowed values for enums
+const NUMBERS = {
+  f1: [0, 31],
+  f2: [0, 31],
+  amp1: [0, 2],
+  amp2: [0, 2],
+  phase: [0, 360],
+  speed: [0, 5],
+  iqNoise: [0, 2],
+  iqRxPhase: [-180, 180],
+  iqSeed: [0, 2 ** 31],
+  amIndex: [0, 2],
+  fmDeviation: [0, 16],
+  gsA: [-10, 10],
+  gsB: [-10, 10],
+  gsStep: [0, 40],
+  polyOrder: [0, 6],
+  waveScale1: [0, 5],
+  waveShift1: [0, 32],
+  waveScale2: [0, 5],
+  waveShift2: [0, 32],
+  dwtLevels: [1, 5],
+  fourierTerms: [0, 64],
+  fourierDuty: [0.05, 0.95]
+};
+const ENUMS = {
+  mode: Object.keys(SAMPLERS),
+  walshOrdering: WALSH_ORDERINGS,
+  walshSize: WALSH_SIZES,
+  spectrumWindow: Object.keys(WINDOWS),
+  iqScheme: Object.keys(SCHEMES),
+  combination: COMBINATIONS,
+  gsWeight: Object.keys(WEIGHTS),
+  polyFamily: Object.keys(POLY_FAMILIES),
+  waveFamily: Object.keys(WAVELET_FAMILIES),
+  // 'composite' is the pair on screen; the rest are the test signals
+  dwtSignal: ['composite', ...Object.keys(DWT_SIGNALS)],
+  fourierTarget: Object.keys(FOURIER_TARGETS)
+};
+const BOOLEANS = ['showSum', 'showProduct', 'multi', 'polyWeighted', 'dwtApproxOnly'];
+// Bit streams and how many bits each may hold
+const BIT_STREAMS = { cdmaBits1: 16, cdmaBits2: 16, iqBits: 64 };
+const CAMERA_LIMIT = 500;
+// Gram–Schmidt inputs: up to five short expressions (parsed later, never evaluated as code)
+const GS_SLOTS = 5;
+const GS_TEXT_LIMIT = 60;
+// Freehand Fourier target: one period as DRAWING_POINTS evenly spaced values
+const DRAWING_LIMIT = 2;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Picks the shareable subset of CONFIG plus the camera pose
+export function captureState(config, { preset, position, target, fov }) {
+  const state = { version: STATE_VERSION };
+  [...Object.keys(NUMBERS), ...Object.keys(ENUMS), ...BOOLEANS].forEach(key => { state[key] = config[key]; });
+  state.components = config.components.map(({ f, amp, phase, color }) => ({ f, amp, phase, color }));
+  state.axisX = config.axisX;
+  state.axisY = config.axisY;
+  Object.keys(BIT_STREAMS).forEach(key => { state[key] = [...config[key]]; });
+  state.gsExpressions = [...config.gsExpressions];
+  state.fourierDrawing = [...config.fourierDrawing];
+  state.camera = {
+    preset: preset || null,
+    position: position.map(v => +v.toFixed(3)),
+    target: target.map(v => +v.toFixed(3)),
+    fov: +fov.toFixed(2)
+  };
+  return state;
+}
+
+const toVector = (value) => {
+  if (!Array.isArray(value) || value.length !== 3) return null;
+  const v = value.map(Number);
+  return v.every(Number.isFinite) ? v.map(c => clamp(c, -CAMERA_LIMIT, CAMERA_LIMIT)) : null;
+};
+
+const toBits = (value, max) => {
+  if (!Array.isArray(value)) return null;
+  const bits = value.slice(0, max).map(b => (Number(b) ? 1 : 0));
+  return bits.length ? bits : null;
+};
+
+// Returns { state, warnings }. Unknown keys are dropped, out-of-range numbers are
+// clamped and anything unusable is left out so the caller keeps its current value.
+export function sanitizeState(raw, { presets = [] } = {}) {
+  if (!raw || typeof raw !== 'object') throw new Error(t('state.errors.notObject'));
+  if (raw.version === undefined) throw new Error(t('state.errors.noVersion'));
+  if (!Number.isInteger(raw.version) || raw.version < 1 || raw.version > STATE_VERSION) {
+    throw new Error(t('state.errors.version', { version: raw.version, max: STATE_VERSION }));
+  }
+
+  const state = {};
+  const warnings = [];
+
+  Object.entries(NUMBERS).forEach(([key, [min, max]]) => {
+    if (raw[key] === undefined) return;
+    const value = Number(raw[key]);
+    if (!Number.isFinite(value)) {
+      warnings.push(t('state.warnings.notNumber', { key }));
+      return;
+    }
+    state[key] = clamp(value, min, max);
+    if (state[key] !== value) warnings.push(t('state.warnings.clamped', { key, value: state[key] }));
+  });
+
+  Object.entries(ENUMS).forEach(([key, allowed]) => {
+    if (raw[key] === undefined) return;
+    if (allowed.includes(raw[key])) state[key] = raw[key];
+    else warnings.push(t('state.warnings.unknownValue', { key, value: raw[key] }));
+  });
+
+  BOOLEANS.forEach(key => {
+    if (raw[key] !== undefined) state[key] = Boolean(raw[key]);
+  });
+
+  if (Array.isArray(raw.components)) {
+    const finite = (value, fallback) => (Number.isFinite(Number(value)) ? Number(value) : fallback);
+    const components = raw.components.slice(0, 8).filter(c => c && typeof c === 'object').map(c => ({
+      f: clamp(finite(c.f, 1), 0, 31),
+      amp: clamp(finite(c.amp, 1), 0, 2),
+      phase: clamp(finite(c.phase, 0), 0, 360),
+      color: HEX_COLOR.test(c.color) ? c.color : null
+    }));
+    if (components.length >= 2) state.components = components;
+    else warnings.push(t('state.warnings.components'));
+  }
+
+  const componentCount = (state.components || []).length || 2;
+  ['axisX', 'axisY'].forEach(key => {
+    if (raw[key] === undefined) return;
+    const value = Math.round(Number(raw[key]));
+    if (Number.isFinite(value)) state[key] = clamp(value, 0, componentCount - 1);
+  });
+
+  Object.entries(BIT_STREAMS).forEach(([key, max]) => {
+    const bits = toBits(raw[key], max);
+    if (bits) state[key] = bits;
+  });
+
+  if (Array.isArray(raw.gsExpressions)) {
+    state.gsExpressions = Array.from({ length: GS_SLOTS }, (_, i) => {
+      const text = raw.gsExpressions[i];
+      return typeof text === 'string' ? text.slice(0, GS_TEXT_LIMIT) : '';
+    });
+  }
+  if (Array.isArray(raw.fourierDrawing) && raw.fourierDrawing.length === DRAWING_POINTS) {
+    const values = raw.fourierDrawing.map(Number);
+    if (values.every(Number.isFinite)) state.fourierDrawing = values.map(v => clamp(v, -DRAWING_LIMIT, DRAWING_LIMIT));
+    else warnings.push(t('state.warnings.notNumber', { key: 'fourierDrawing' }));
+  }
+  ['gsStep', 'polyOrder', 'waveScale1', 'waveScale2', 'dwtLevels', 'fourierTerms'].forEach(key => {
+    if (state[key] !== undefined) state[key] = Math.round(state[key]);
+  });
+
+  if (raw.camera && typeof raw.camera === 'object') {
+    const { preset, position, target, fov } = raw.camera;
+    const camera = {};
+    if (preset && presets.includes(preset)) camera.preset = preset;
+    else if (preset) warnings.push(t('state.warnings.unknownValue', { key: 'camera.preset', value: preset }));
+    const from = toVector(position);
+    const to = toVector(target);
+    if (from && to) {
+      camera.position = from;
+      camera.target = to;
+    }
+    if (Number.isFinite(Number(fov))) camera.fov = clamp(Number(fov), 1, 120);
+    state.camera = camera;
+  }
+
+  return { state, warnings };
+}
+
+// --- URL Hash ---
+// Compact key=value pairs so links stay readable, e.g. #mode=poly&f1=3&f2=5&amp1=0.7
+const vec = (v) => v.join(',');
+const parseVec = (text) => (text ? text.split(',').map(Number) : undefined);
+
+export function encodeHash(state) {
+  const params = new URLSearchParams();
+  params.set('v', String(state.version));
+  [...Object.keys(NUMBERS), ...Object.keys(ENUMS)].forEach(key => params.set(key, String(state[key])));
+  BOOLEANS.forEach(key => params.set(key, state[key] ? '1' : '0'));
+  params.set('comps', state.components.map(c => `${c.f}:${c.amp}:${c.phase}:${c.color.replace('#', '')}`).join(','));
+  params.set('axes', `${state.axisX},${state.axisY}`);
+  params.set('bits', Object.keys(BIT_STREAMS).map(key => state[key].join('')).join(','));
+  params.set('gs', state.gsExpressions.join(';'));
+  params.set('draw', state.fourierDrawing.join(','));
+  if (state.camera.preset) params.set('cam', state.camera.preset);
+  params.set('pos', vec(state.camera.position));
+  params.set('tgt', vec(state.camera.target));
+  params.set('fov', String(state.camera.fov));
+  return params.toString();
+}
+
+// Inverse of encodeHash; the result still has to go through sanitizeState
+export function decodeHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  if (!params.has('v')) return null;
+
+  const raw = { version: Number(params.get('v')) };
+  Object.keys(NUMBERS).forEach(key => { if (params.has(key)) raw[key] = Number(params.get(key)); });
+  Object.keys(ENUMS).forEach(key => {
+    if (!params.has(key)) return;
+    raw[key] = key === 'walshSize' ? Number(params.get(key)) : params.get(key);
+  });
+  BOOLEANS.forEach(key => { if (params.has(key)) raw[key] = params.get(key) === '1'; });
+
+  if (params.has('comps')) {
+    raw.components = params.get('comps').split(',').map(entry => {
+      const [f, amp, phase, color] = entry.split(':');
+      return { f: Number(f), amp: Number(amp), phase: Number(phase), color: `#${color}` };
+    });
+  }
+  if (params.has('axes')) [raw.axisX, raw.axisY] = params.get('axes').split(',').map(Number);
+  if (params.has('bits')) {
+    const streams = params.get('bits').split(',');
+    Object.keys(BIT_STREAMS).forEach((key, i) => {
+      if (streams[i]) raw[key] = streams[i].split('').map(Number);
+    });
+  }
+
+  if (params.has('gs')) raw.gsExpressions = params.get('gs').split(';');
+  if (params.has('draw')) raw.fourierDrawing = parseVec(params.get('draw'));
+
+  raw.camera = {
+    preset: params.get('cam') || undefined,
+    position: parseVec(params.get('pos')),
+    target: parseVec(params.get('tgt')),
+    fov: params.has('fov') ? Number(params.get('fov')) : undefined
+  };
+  return raw;
+}
@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import { STATE_VERSION, captureState, decodeHash, encodeHash, sanitizeState } from './sceneState.js';
+import { SAMPLERS } from './signal.js';
+import { POLY_FAMILIES } from './polynomials.js';
+import { WAVELET_FAMILIES } from './wavelets.js';
+import { FOURIER_TARGETS } from './fourierSeries.js';
+import { COMBINATIONS } from './modulation.js';
+import { t } from './i18n.js';
+
+const CONFIG = {
+  f1: 3, f2: 5, amp1: 0.7, amp2: 1, phase: 45, speed: 0.5, showSum: false, showProduct: true,
+  mode: 'poly', walshSize: 16, walshOrdering: 'dyadic', spectrumWindow: 'hann', multi: true,
+  components: [
+    { f: 1, amp: 1, phase: 0, color: '#60efff' },
+    { f: 2.5, amp: 0.4, phase: 90, color: '#ff60ad' },
+    { f: 4, amp: 2, phase: 180, color: '#00ff87' }
+  ],
+  axisX: 2, axisY: 0,
+  cdmaBits1: [1, 0, 1], cdmaBits2: [0, 0, 1, 1],
+  iqScheme: 'qam16', iqBits: [1, 1, 0, 1, 0, 0, 1, 0], iqNoise: 0.25, iqRxPhase: -30, iqSeed: 99,
+  combination: 'am', amIndex: 0.8, fmDeviation: 6,
+  gsExpressions: ['1', 'exp(-t^2/2)', 't^2', '', ''], gsA: -3, gsB: 3, gsWeight: 'gaussian', gsStep: 4,
+  polyFamily: 'hermite', polyOrder: 2, polyWeighted: false,
+  waveFamily: 'db4', waveScale1: 2, waveShift1: 1.5, waveScale2: 3, waveShift2: 6, dwtSignal: 'doppler', dwtLevels: 4, dwtApproxOnly: true,
+  fourierTarget: 'freehand', fourierTerms: 12, fourierDuty: 0.3,
+  fourierDrawing: Array.from({ length: 64 }, (_, i) => +Math.sin(i / 5).toFixed(2)),
+  isAudioOn: true, points: 1200
+};
+const POSE = { preset: 'f1', position: [0, 0, 300.00012], target: [0, 0, 0], fov: 1.5 };
+const PRESETS = ['3d', 'f1', 'f2'];
+
+describe('captureState', () => {
+  it('keeps the shareable parameters and drops runtime flags', () => {
+    const state = captureState(CONFIG, POSE);
+    expect(state.version).toBe(STATE_VERSION);
+    expect(state.amp1).toBe(0.7);
+    expect(state.isAudioOn).toBeUndefined();
+    expect(state.points).toBeUndefined();
+    expect(state.camera).toEqual({ preset: 'f1', position: [0, 0, 300], target: [0, 0, 0], fov: 1.5 });
+  });
+});
+
+describe('URL hash', () => {
+  it('round-trips through encodeHash / decodeHash / sanitizeState', () => {
+    const state = captureState(CONFIG, POSE);
+    const { state: back, warnings } = sanitizeState(decodeHash(`#${encodeHash(state)}`), { presets: PRESETS });
+    expect(warnings).toEqual([]);
+    expect(back).toEqual(Object.fromEntries(Object.entries(state).filter(([key]) => key !== 'version')));
+  });
+
+  it('ignores hashes that are not scene links', () => {
+    expect(decodeHash('#section-2')).toBeNull();
+    expect(decodeHash('')).toBeNull();
+  });
+});
+
+describe('sanitizeState', () => {
+  it('rejects files without a version or from a newer app', () => {
+    expect(() => sanitizeState({ f1: 2 })).toThrow(t('state.errors.noVersion'));
+    expect(() => sanitizeState({ version: STATE_VERSION + 1 }))
+      .toThrow(t('state.errors.version', { version: STATE_VERSION + 1, max: STATE_VERSION }));
+    expect(() => sanitizeState('nope')).toThrow(t('state.errors.notObject'));
+  });
+
+  it('accepts every mode and family the app implements', () => {
+    const accepted = (key, values) => values.forEach(value => {
+      expect(sanitizeState({ version: 1, [key]: value }).state[key], `${key}=${value}`).toBe(value);
+    });
+    accepted('mode', Object.keys(SAMPLERS));
+    accepted('polyFamily', Object.keys(POLY_FAMILIES));
+    accepted('waveFamily', Object.keys(WAVELET_FAMILIES));
+    accepted('fourierTarget', Object.keys(FOURIER_TARGETS));
+    accepted('combination', COMBINATIONS);
+  });
+
+  it('clamps out-of-range numbers and reports it', () => {
+    const { state, warnings } = sanitizeState({ version: 1, amp1: 9, phase: -20, f1: 'x' });
+    expect(state.amp1).toBe(2);
+    expect(state.phase).toBe(0);
+    expect(state.f1).toBeUndefined();
+    expect(warnings).toEqual([
+      t('state.warnings.notNumber', { key: 'f1' }),
+      t('state.warnings.clamped', { key: 'amp1', value: 2 }),
+      t('state.warnings.clamped', { key: 'phase', value: 0 })
+    ]);
+  });
+
+  it('drops unknown enum values, presets and keys', () => {
+    const { state, warnings } = sanitizeState(
+      { version: 1, mode: 'laser', walshSize: 12, evil: '<script>', camera: { preset: 'moon' } },
+      { presets: PRESETS }
+    );
+    expect(state).toEqual({ camera: {} });
+    expect(warnings).toHaveLength(3);
+  });
+
+  it('repairs components and keeps the axes in range', () => {
+    const { state } = sanitizeState({
+      version: 1,
+      components: [{ f: 40, amp: -1, color: 'red' }, { f: 0 }],
+      axisX: 7, axisY: -3
+    });
+    expect(state.components).toEqual([
+      { f: 31, amp: 0, phase: 0, color: null },
+      { f: 0, amp: 1, phase: 0, color: null }
+    ]);
+    expect([state.axisX, state.axisY]).toEqual([1, 0]);
+  });
+
+  it('keeps Gram–Schmidt inputs as short strings in five slots', () => {
+    const { state } = sanitizeState({ version: 1, gsExpressions: ['t', 42, 'x'.repeat(100)], gsStep: 2.6 });
+    expect(state.gsExpressions).toEqual(['t', '', 'x'.repeat(60), '', '']);
+    expect(state.gsStep).toBe(3);
+  });
+
+  it('clamps a freehand Fourier drawing and ignores one of the wrong length', () => {
+    const drawing = Array.from({ length: 64 }, (_, i) => (i === 3 ? 9 : 0.5));
+    expect(sanitizeState({ version: 1, fourierDrawing: drawing }).state.fourierDrawing[3]).toBe(2);
+    expect(sanitizeState({ version: 1, fourierDrawing: [1, 2, 3] }).state.fourierDrawing).toBeUndefined();
+  });
+
+  it('needs both camera vectors to restore a pose', () => {
+    const { state } = sanitizeState({ version: 1, camera: { position: [1, 2, 3], target: [0, 'a', 0], fov: 500 } });
+    expect(state.camera).toEqual({ fov: 120 });
+  });
+});
@@ -0,0 +1,328 @@
+// --- Signal Math ---
+// Headless basis functions and inner products. Nothing in here touches the
+// DOM or Three.js, so every number the visualization shows can be checked in Node.
+
+import { walshFunction } from './walsh.js';
+import { waveletFunction, MAX_SCALE } from './wavelets.js';
+import { modulate } from './iq.js';
+import { combineValues } from './modulation.js';
+import { sampleGramSchmidt } from './gramSchmidt.js';
+import { evaluatePoly, polyWeights } from './polynomials.js';
+import { sampleFourier, partialSumWave } from './fourierSeries.js';
+
+export const getWalsh = (f, t, size = 16, ordering = 'sequency') => {
+  // True Walsh functions: rows of a Sylvester Hadamard matrix.
+  // f is rounded to the code index; in sequency ordering that is the number of sign changes.
+  return walshFunction(Math.round(f), t, size, ordering);
+};
+
+export const getWavelet = (family, scale, shift, t) => {
+  // Dyadic wavelet ψ(2^j t − k) of the chosen family, periodized onto the window.
+  // Scale j is rounded and capped so the finest copies still span several samples.
+  const j = Math.min(MAX_SCALE, Math.max(0, Math.round(scale)));
+  return waveletFunction(family, j, shift, t);
+};
+
+export const getLegendre = (n, x) => {
+  // Legendre Polynomials (Recursive definition)
+  if (n === 0) return 1;
+  if (n === 1) return x;
+  let p_prev2 = 1;
+  let p_prev1 = x;
+  let p_curr = x;
+
+  for (let k = 2; k <= n; k++) {
+    p_curr = ((2 * k - 1) * x * p_prev1 - (k - 1) * p_prev2) / k;
+    p_prev2 = p_prev1;
+    p_prev1 = p_curr;
+  }
+  return p_curr;
+};
+
+// --- Per-Mode Samplers ---
+// Each sampler maps a normalized time tRelative in [0, 1) to the pair of
+// component values { x, y } for the given config (f1, f2, amp1, amp2, phase, length).
+export const SAMPLERS = {
+  sine: (cfg, tRelative) => {
+    const phiRad = (cfg.phase * Math.PI) / 180;
+    return {
+      x: Math.sin(2 * Math.PI * cfg.f1 * tRelative) * cfg.amp1,
+      y: Math.sin(2 * Math.PI * cfg.f2 * tRelative + phiRad) * cfg.amp2
+    };
+  },
+
+  square: (cfg, tRelative) => {
+    // Walsh: Phase shift doesn't make sense for ideal Walsh, but time shift does.
+    // The phase slider delays code 2 circularly by a fraction of the window (loss of chip sync).
+    const tShift = cfg.phase / 360;
+    const { walshSize = 16, walshOrdering = 'sequency' } = cfg;
+    return {
+      x: getWalsh(cfg.f1, tRelative, walshSize, walshOrdering) * 0.8 * cfg.amp1,
+      y: getWalsh(cfg.f2, tRelative - tShift, walshSize, walshOrdering) * 0.8 * cfg.amp2
+    };
+  },
+
+  wave: (cfg, tRelative) => {
+    // Wavelet: each component has its own scale j and translation k, so the pair can be
+    // orthogonal across scale (Haar/D4) and not only by sitting apart in time
+    const family = cfg.waveFamily || 'haar';
+    return {
+      x: getWavelet(family, cfg.waveScale1, cfg.waveShift1, tRelative) * cfg.amp1,
+      y: getWavelet(family, cfg.waveScale2, cfg.waveShift2, tRelative) * cfg.amp2
+    };
+  },
+
+  poly: (cfg, tRelative) => {
+    // The window spans the family's interval (Legendre: [-1, 1]); the frequency sliders pick the degree
+    return {
+      x: evaluatePoly(cfg, Math.round(cfg.f1), tRelative) * cfg.amp1,
+      y: evaluatePoly(cfg, Math.round(cfg.f2), tRelative) * cfg.amp2
+    };
+  },
+
+  // I/Q modem: symbols from cfg.iqBits on the sin (I) and cos (Q) carriers at f1 cycles per symbol
+  iq: (cfg, tRelative) => modulate(cfg, tRelative),
+
+  // Gram–Schmidt playground: the vector being built (x) and what is subtracted from it (y) at cfg.gsStep
+  gs: (cfg, tRelative) => sampleGramSchmidt(cfg, tRelative),
+
+  // Fourier-series builder: the target waveform (x) and its partial sum of cfg.fourierTerms harmonics (y)
+  fourier: (cfg, tRelative) => sampleFourier(cfg, tRelative)
+};
+
+export const getSampler = (mode) => SAMPLERS[mode] || SAMPLERS.sine;
+
+// --- Single-Component Bases (N-Signal mode) ---
+// Same families as SAMPLERS, but every component carries its own f, amp and phase.
+// The Walsh basis reads its code length and ordering from cfg like the pair sampler does.
+// Phase is a phase offset for sine and a time shift for Walsh. For Wavelet, f − 1 is the
+// scale j and phase picks the translation k as a fraction of the window.
+export const COMPONENT_BASES = {
+  sine: (c, tRelative) => Math.sin(2 * Math.PI * c.f * tRelative + (c.phase * Math.PI) / 180) * c.amp,
+
+  square: (c, tRelative, length, cfg = {}) =>
+    getWalsh(c.f, tRelative - c.phase / 360, cfg.walshSize, cfg.walshOrdering) * 0.8 * c.amp,
+
+  wave: (c, tRelative, length, cfg = {}) => {
+    const j = Math.min(MAX_SCALE, Math.max(0, Math.round(c.f) - 1));
+    return getWavelet(cfg.waveFamily || 'haar', j, Math.floor((c.phase / 360) * 2 ** j), tRelative) * c.amp;
+  },
+
+  poly: (c, tRelative, length, cfg = {}) => evaluatePoly(cfg, Math.round(c.f), tRelative) * c.amp
+};
+
+export const evaluateComponent = (mode, component, tRelative, length, cfg) =>
+  (COMPONENT_BASES[mode] || COMPONENT_BASES.sine)(component, tRelative, length, cfg);
+
+// The single evaluation path: static curves, the animated tracer and audio all go through here.
+// In N-Signal mode the two components picked for the X and Y axes take the place of f1/f2.
+export const evaluateSignals = (cfg, tRelative) => {
+  if (!cfg.multi) return getSampler(cfg.mode)(cfg, tRelative);
+  return {
+    x: evaluateComponent(cfg.mode, cfg.components[cfg.axisX], tRelative, cfg.length, cfg),
+    y: evaluateComponent(cfg.mode, cfg.components[cfg.axisY], tRelative, cfg.length, cfg)
+  };
+};
+
+// Samples both components over the visible window.
+// z is the time axis of the 3D scene, centered on the origin.
+// Poly mode adds per-sample quadrature weights for its family's weighted inner product.
+export function sampleSignals(cfg) {
+  const n = cfg.points;
+  const t = new Float64Array(n);
+  const z = new Float64Array(n);
+  const x = new Float64Array(n);
+  const y = new Float64Array(n);
+
+  for (let i = 0; i < n; i++) {
+    const tRelative = i / n;
+    const value = evaluateSignals(cfg, tRelative);
+    t[i] = tRelative;
+    z[i] = tRelative * cfg.length - cfg.length / 2;
+    x[i] = value.x;
+    y[i] = value.y;
+  }
+
+  const samples = { t, z, x, y, dt: cfg.length / n };
+  if (cfg.mode === 'poly') samples.weight = polyWeights(cfg, n);
+  return samples;
+}
+
+// The composite s(t) at one instant, for the tracer. FM needs the running integral
+// of the message, summed on the same grid sampleSignals/combineSeries use.
+export function evaluateComposite(cfg, tRelative) {
+  const { x, y } = evaluateSignals(cfg, tRelative);
+  let integral = 0;
+  if (cfg.combination === 'fm') {
+    const n = cfg.points;
+    const last = Math.floor(tRelative * n);
+    for (let i = 0; i < last; i++) integral += evaluateSignals(cfg, i / n).x / n;
+  }
+  return { x, y, ...combineValues(cfg, x, y, tRelative, integral) };
+}
+
+// Riemann-sum inner product <a, b> = ∫ a(t) b(t) dt
+export function innerProduct(a, b, dt) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i] * dt;
+  return sum;
+}
+
+// Weighted inner product <a, b>_w = ∫ a b w dx, with weight[i] the w-mass of sample i's cell
+export function weightedInnerProduct(a, b, weight) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i] * weight[i];
+  return sum;
+}
+
+// Pearson correlation uses centered/normalized values, but for signal orthogonality
+// we care about the raw dot product integral in the definition interval.
+// When the samples carry quadrature weights (Poly mode), those define the inner product.
+export function measureOrthogonality({ x, y, dt, weight }) {
+  const dot = (a, b) => (weight ? weightedInnerProduct(a, b, weight) : innerProduct(a, b, dt));
+  const integral = dot(x, y);
+  const power1 = dot(x, x);
+  const power2 = dot(y, y);
+  const norm = Math.sqrt(power1 * power2);
+  const corr = norm > 0 ? integral / norm : 0;
+
+  return {
+    integral,
+    power1,
+    power2,
+    corr,
+    orthogonality: 100 - Math.abs(corr) * 100
+  };
+}
+
+// Samples every component of N-Signal mode on the same grid as sampleSignals
+export function sampleComponents(cfg) {
+  const n = cfg.points;
+  return cfg.components.map((component) => {
+    const values = new Float64Array(n);
+    for (let i = 0; i < n; i++) values[i] = evaluateComponent(cfg.mode, component, i / n, cfg.length, cfg);
+    return values;
+  });
+}
+
+// N×N matrix of inner products <g_i, g_j>, plus its normalized (correlation) form.
+// Optional quadrature weights as in measureOrthogonality.
+export function gramMatrix(signals, dt, weight = null) {
+  const size = signals.length;
+  const gram = Array.from({ length: size }, () => new Array(size).fill(0));
+  for (let i = 0; i < size; i++) {
+    for (let j = i; j < size; j++) {
+      gram[i][j] = gram[j][i] = weight
+        ? weightedInnerProduct(signals[i], signals[j], weight)
+        : innerProduct(signals[i], signals[j], dt);
+    }
+  }
+
+  const corr = gram.map((row, i) => row.map((value, j) => {
+    const norm = Math.sqrt(gram[i][i] * gram[j][j]);
+    return norm > 0 ? value / norm : 0;
+  }));
+
+  // The least orthogonal pair decides the overall score
+  let worst = 0;
+  for (let i = 0; i < size; i++) {
+    for (let j = i + 1; j < size; j++) worst = Math.max(worst, Math.abs(corr[i][j]));
+  }
+
+  return { gram, corr, worst };
+}
+
+// Everything a geometry update needs from the math: the samples, their inner products and,
+// in N-Signal mode, the Gram matrix of every component. Same on the main thread and in samplingWorker.js.
+export function measureSignals(cfg) {
+  const samples = sampleSignals(cfg);
+  const stats = measureOrthogonality(samples);
+  const gram = cfg.multi ? gramMatrix(sampleComponents(cfg), samples.dt, samples.weight) : null;
+  return { samples, stats, gram };
+}
+
+// --- Audio Rendering ---
+// One pass over the window is played as one cycle of a periodic waveform.
+// Sine/Walsh/Poly loop at 110 Hz so 2 Hz on screen sounds at 220 Hz.
+// A sine at a half-step frequency (2.5 Hz) does not close within one window, so the
+// loop spans as many windows as it takes for every sine to end where it began and
+// runs that many times slower (2.5 Hz: two windows at 55 Hz, still heard at 275 Hz).
+// Wavelet loops once per CONFIG.length so each wavelet is heard as a short burst
+// repeating a few times per second. The Fourier builder plays one period of the
+// target per cycle, so its fundamental sounds at f1 * 110 Hz.
+export const AUDIO_BASE_HZ = 110;
+const MAX_LOOP_WINDOWS = 8;
+
+// Windows in one audio loop: 1, or for sines the fewest in which each completes whole periods
+export function getAudioLoopWindows(cfg) {
+  if (cfg.mode !== 'sine') return 1;
+  const frequencies = cfg.multi ? cfg.components.map(c => c.f) : [cfg.f1, cfg.f2];
+  for (let n = 1; n <= MAX_LOOP_WINDOWS; n++) {
+    if (frequencies.every(f => Math.abs(f * n - Math.round(f * n)) < 1e-9)) return n;
+  }
+  return 1;
+}
+
+export const getAudioLoopRate = (cfg) => {
+  if (cfg.mode === 'wave') return AUDIO_BASE_HZ / cfg.length;
+  if (cfg.mode === 'fourier' && !cfg.multi) return AUDIO_BASE_HZ * cfg.f1;
+  return AUDIO_BASE_HZ / getAudioLoopWindows(cfg);
+};
+
+// Fourier-series coefficients of one cycle of uniformly sampled values,
+// laid out for AudioContext.createPeriodicWave (index 0 is DC).
+export function fourierCoefficients(values, harmonics) {
+  const n = values.length;
+  const real = new Float32Array(harmonics + 1);
+  const imag = new Float32Array(harmonics + 1);
+
+  for (let k = 1; k <= harmonics; k++) {
+    let a = 0, b = 0;
+    for (let i = 0; i < n; i++) {
+      const angle = (2 * Math.PI * k * i) / n;
+      a += values[i] * Math.cos(angle);
+      b += values[i] * Math.sin(angle);
+    }
+    real[k] = (2 * a) / n;
+    imag[k] = (2 * b) / n;
+  }
+  return { real, imag };
+}
+
+// Harmonic content of both components for the current mode.
+// For any combination other than the sum, x carries the composite s(t) and y is silent.
+export function renderAudioCycle(cfg, { samples = 1024, harmonics = 256 } = {}) {
+  // The Fourier builder hands its own coefficients straight to the oscillator: only the partial sum is heard
+  if (cfg.mode === 'fourier' && !cfg.multi) {
+    return { rate: getAudioLoopRate(cfg), x: partialSumWave(cfg), y: { real: new Float32Array(2), imag: new Float32Array(2) } };
+  }
+  const windows = getAudioLoopWindows(cfg);
+  const x = new Float64Array(samples);
+  const y = new Float64Array(samples);
+  for (let i = 0; i < samples; i++) {
+    const value = evaluateSignals(cfg, (i * windows) / samples);
+    x[i] = value.x;
+    y[i] = value.y;
+  }
+
+  if (cfg.combination && cfg.combination !== 'sum') {
+    // combineSeries over the loop, with FM's message integral still in window units
+    const s = new Float64Array(samples);
+    let integral = 0;
+    for (let i = 0; i < samples; i++) {
+      s[i] = combineValues(cfg, x[i], y[i], (i * windows) / samples, integral).s;
+      integral += (x[i] * windows) / samples;
+    }
+    return {
+      rate: getAudioLoopRate(cfg),
+      x: fourierCoefficients(s, harmonics),
+      y: fourierCoefficients(new Float64Array(samples), harmonics)
+    };
+  }
+
+  return {
+    rate: getAudioLoopRate(cfg),
+    x: fourierCoefficients(x, harmonics),
+    y: fourierCoefficients(y, harmonics)
+  };
+}
@@ -0,0 +1,230 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getLegendre,
+  getWalsh,
+  evaluateSignals,
+  fourierCoefficients,
+  gramMatrix,
+  sampleComponents,
+  innerProduct,
+  measureOrthogonality,
+  measureSignals,
+  renderAudioCycle,
+  sampleSignals
+} from './signal.js';
+
+const BASE = {
+  f1: 2, f2: 3, amp1: 1, amp2: 1, phase: 0, points: 1200, length: 12, mode: 'sine',
+  waveFamily: 'haar', waveScale1: 1, waveShift1: 0, waveScale2: 2, waveShift2: 1
+};
+const corrOf = (overrides) => measureOrthogonality(sampleSignals({ ...BASE, ...overrides })).corr;
+
+// Midpoint-rule inner product on [a, b]
+const integrate = (fn, a, b, n = 4000) => {
+  const h = (b - a) / n;
+  let sum = 0;
+  for (let i = 0; i < n; i++) sum += fn(a + (i + 0.5) * h) * h;
+  return sum;
+};
+
+describe('basis helpers', () => {
+  it('evaluates Legendre polynomials from the recurrence', () => {
+    expect(getLegendre(0, 0.3)).toBe(1);
+    expect(getLegendre(1, 0.3)).toBe(0.3);
+    expect(getLegendre(2, 0.5)).toBeCloseTo((3 * 0.25 - 1) / 2, 12);
+    expect(getLegendre(3, 0.5)).toBeCloseTo((5 * 0.125 - 3 * 0.5) / 2, 12);
+    expect(getLegendre(7, 1)).toBeCloseTo(1, 12);
+  });
+
+  it('keeps <P2, P3> = 0 and ||Pn||² = 2/(2n+1) on [-1, 1]', () => {
+    expect(integrate((x) => getLegendre(2, x) * getLegendre(3, x), -1, 1)).toBeCloseTo(0, 8);
+    expect(integrate((x) => getLegendre(4, x) ** 2, -1, 1)).toBeCloseTo(2 / 9, 6);
+  });
+
+  it('keeps <sin 2πft, cos 2πft> = 0 over whole periods', () => {
+    const f = 3;
+    const value = integrate((t) => Math.sin(2 * Math.PI * f * t) * Math.cos(2 * Math.PI * f * t), 0, 1);
+    expect(value).toBeCloseTo(0, 10);
+  });
+
+  it('evaluates Walsh functions as Hadamard rows in sequency order', () => {
+    // wal(2) = cal(1): + on the outer quarters, - in the middle half
+    expect([0.1, 0.3, 0.6, 0.9].map((t) => getWalsh(2, t))).toEqual([1, -1, -1, 1]);
+    // Non-integer slider values snap to the nearest code index
+    expect(getWalsh(2.4, 0.3)).toBe(getWalsh(2, 0.3));
+  });
+
+  it('computes a Riemann inner product', () => {
+    expect(innerProduct([1, 2, 3], [4, 5, 6], 0.5)).toBe(16);
+  });
+});
+
+describe('sampleSignals', () => {
+  it('samples the window with a centered time axis', () => {
+    const s = sampleSignals(BASE);
+    expect(s.x).toHaveLength(1200);
+    expect(s.dt).toBeCloseTo(0.01, 12);
+    expect(s.z[0]).toBe(-6);
+    expect(s.z[600]).toBeCloseTo(0, 12);
+  });
+
+  it('applies amplitudes to each component', () => {
+    const s = sampleSignals({ ...BASE, amp1: 0.5, amp2: 2 });
+    expect(Math.max(...s.x)).toBeCloseTo(0.5, 4);
+    expect(Math.max(...s.y)).toBeCloseTo(2, 4);
+  });
+
+  it('falls back to sine for unknown modes', () => {
+    expect(sampleSignals({ ...BASE, mode: 'nope' }).x).toEqual(sampleSignals(BASE).x);
+  });
+});
+
+describe('orthogonality claims from the tutorial', () => {
+  it('FDM: different frequencies are orthogonal', () => {
+    expect(corrOf({ f1: 2, f2: 3 })).toBeCloseTo(0, 3);
+  });
+
+  it('Collision: the same frequency is fully correlated', () => {
+    expect(corrOf({ f1: 2, f2: 2 })).toBeCloseTo(1, 6);
+  });
+
+  it('I/Q: a 90° phase offset makes the same frequency orthogonal', () => {
+    expect(corrOf({ f1: 2, f2: 2, phase: 90 })).toBeCloseTo(0, 6);
+  });
+
+  it('ANC: anti-phase is perfectly anti-correlated', () => {
+    expect(corrOf({ f1: 2, f2: 2, phase: 180 })).toBeCloseTo(-1, 6);
+  });
+
+  it('amplitudes never change the correlation', () => {
+    expect(corrOf({ f1: 2, f2: 2, amp1: 0.3, amp2: 1.7 })).toBeCloseTo(1, 6);
+  });
+
+  it('Walsh: every pair of distinct codes cancels exactly', () => {
+    for (let f1 = 0; f1 < 16; f1++) {
+      for (let f2 = f1 + 1; f2 < 16; f2++) {
+        expect(Math.abs(corrOf({ mode: 'square', f1, f2 }))).toBeLessThan(1e-9);
+      }
+    }
+    expect(corrOf({ mode: 'square', f1: 3, f2: 3 })).toBeCloseTo(1, 6);
+  });
+
+  it('Walsh: losing chip sync breaks orthogonality', () => {
+    // Delaying wal(1) by a quarter window turns it into ±wal(2)
+    expect(Math.abs(corrOf({ mode: 'square', f1: 2, f2: 1, phase: 90 }))).toBeCloseTo(1, 6);
+  });
+
+  it('Wavelet: different scales or translations are orthogonal, the same copy is not', () => {
+    const wave = (j1, k1, j2, k2) => corrOf({ mode: 'wave', waveFamily: 'haar', waveScale1: j1, waveShift1: k1, waveScale2: j2, waveShift2: k2 });
+    expect(wave(1, 0, 2, 1)).toBeCloseTo(0, 2);
+    expect(wave(2, 0, 2, 3)).toBeCloseTo(0, 2);
+    expect(wave(2, 1, 2, 1)).toBeCloseTo(1, 6);
+  });
+
+  it('Legendre: different orders are orthogonal, equal orders collapse', () => {
+    expect(corrOf({ mode: 'poly', f1: 2, f2: 3 })).toBeCloseTo(0, 2);
+    expect(corrOf({ mode: 'poly', f1: 1, f2: 2 })).toBeCloseTo(0, 2);
+    expect(corrOf({ mode: 'poly', f1: 2, f2: 2 })).toBeCloseTo(1, 6);
+  });
+
+  it('reports the orthogonality score as a percentage', () => {
+    const stats = measureOrthogonality(sampleSignals({ ...BASE, f1: 2, f2: 2 }));
+    expect(stats.orthogonality).toBeCloseTo(0, 6);
+    expect(stats.power1).toBeCloseTo(6, 6);
+  });
+});
+
+describe('shared evaluation path', () => {
+  it('puts the tracer exactly on the sampled curves in every mode', () => {
+    for (const mode of ['sine', 'square', 'wave', 'poly']) {
+      const cfg = { ...BASE, mode, amp1: 0.7, amp2: 1.4, phase: 45 };
+      const s = sampleSignals(cfg);
+      const value = evaluateSignals(cfg, s.t[337]);
+      expect(value.x).toBe(s.x[337]);
+      expect(value.y).toBe(s.y[337]);
+    }
+  });
+});
+
+describe('N-Signal mode', () => {
+  const comps = (fs) => fs.map((f) => ({ f, amp: 1, phase: 0 }));
+  const MULTI = { ...BASE, multi: true, components: comps([1, 2, 3, 4]), axisX: 0, axisY: 1 };
+
+  it('keeps OFDM-style subcarriers pairwise orthogonal', () => {
+    const { gram, corr, worst } = gramMatrix(sampleComponents(MULTI), 0.01);
+    expect(gram).toHaveLength(4);
+    expect(gram[2][2]).toBeCloseTo(6, 6);
+    expect(corr[1][1]).toBeCloseTo(1, 12);
+    expect(worst).toBeLessThan(1e-6);
+  });
+
+  it('flags a duplicated subcarrier as the worst pair', () => {
+    const cfg = { ...MULTI, components: comps([1, 2, 2, 4]) };
+    const { corr, worst } = gramMatrix(sampleComponents(cfg), 0.01);
+    expect(corr[1][2]).toBeCloseTo(1, 6);
+    expect(worst).toBeCloseTo(1, 6);
+  });
+
+  it('maps the picked components onto the X/Y axes', () => {
+    const cfg = { ...MULTI, axisX: 3, axisY: 1 };
+    const s = sampleSignals(cfg);
+    const [, g2, , g4] = sampleComponents(cfg);
+    expect(s.x).toEqual(g4);
+    expect(s.y).toEqual(g2);
+  });
+
+  it('uses the active basis family for every component', () => {
+    const cfg = { ...MULTI, mode: 'poly', components: comps([0, 1, 2, 3, 4]) };
+    expect(gramMatrix(sampleComponents(cfg), 0.01).worst).toBeLessThan(0.02);
+  });
+
+  it('measures the pair and the Gram matrix in one pass', () => {
+    const { samples, stats, gram } = measureSignals(MULTI);
+    expect(samples.x).toHaveLength(BASE.points);
+    expect(stats.corr).toBeCloseTo(0, 6);
+    expect(gram.worst).toBeLessThan(1e-6);
+    expect(measureSignals(BASE).gram).toBeNull();
+  });
+});
+
+describe('audio rendering', () => {
+  it('recovers the harmonic of a sampled sine', () => {
+    const n = 256;
+    const values = Array.from({ length: n }, (_, i) => 0.5 * Math.sin((2 * Math.PI * 3 * i) / n));
+    const { real, imag } = fourierCoefficients(values, 8);
+    expect(imag[3]).toBeCloseTo(0.5, 10);
+    expect(real[3]).toBeCloseTo(0, 10);
+    expect(imag[2]).toBeCloseTo(0, 10);
+  });
+
+  it('gives Walsh the odd harmonics of a square wave', () => {
+    // wal(3) = sal(2): a square wave with two full cycles per window
+    const cycle = renderAudioCycle({ ...BASE, mode: 'square', f1: 3 });
+    const magnitude = (k) => Math.hypot(cycle.x.real[k], cycle.x.imag[k]);
+    expect(cycle.rate).toBe(110);
+    expect(magnitude(2)).toBeCloseTo((4 / Math.PI) * 0.8, 2);
+    expect(magnitude(6)).toBeCloseTo((4 / (3 * Math.PI)) * 0.8, 2);
+    expect(magnitude(4)).toBeCloseTo(0, 6);
+  });
+
+  it('closes the loop of a half-step sine over two windows', () => {
+    const cycle = renderAudioCycle({ ...BASE, f1: 2.5, f2: 3, combination: 'am', amIndex: 0.5, fmDeviation: 2 });
+    const magnitude = (k) => Math.hypot(cycle.x.real[k], cycle.x.imag[k]);
+    expect(cycle.rate).toBe(55);
+    // A jump at the seam would spread over every harmonic; a continuous loop keeps to the sidebands
+    const plain = renderAudioCycle({ ...BASE, f1: 2.5 });
+    const pure = (k) => Math.hypot(plain.x.real[k], plain.x.imag[k]);
+    expect(pure(5)).toBeCloseTo(1, 6);
+    let leak = 0;
+    for (let k = 1; k < plain.x.real.length; k++) if (k !== 5) leak += pure(k);
+    expect(leak).toBeLessThan(1e-6);
+    expect(magnitude(6)).toBeGreaterThan(0.5);
+    expect(magnitude(40)).toBeLessThan(1e-6);
+    expect(renderAudioCycle({ ...BASE, f1: 2 }).rate).toBe(110);
+  });
+
+  it('loops wavelets once per window so the packets are gated', () => {
+    const cycle = renderAudioCycle({ ...BASE, mode: 'wave' });
+    expect(cycle.rate).toBeCloseTo(110 / 12, 10);
+  });
+});
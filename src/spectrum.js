@@ -0,0 +1,56 @@
+// --- Spectrum Analysis ---
+// Windowed DFT of the sampled window. Bin k is k cycles per window, which is
+// exactly the "Hz" of the f1/f2 sliders, so integer frequencies land on a bin
+// and fractional ones leak into their neighbours.
+
+export const WINDOWS = {
+  rectangular: () => 1,
+  hann: (i, n) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / n),
+  blackman: (i, n) => 0.42 - 0.5 * Math.cos((2 * Math.PI * i) / n) + 0.08 * Math.cos((4 * Math.PI * i) / n)
+};
+
+export function windowCoefficients(name, n) {
+  const fn = WINDOWS[name] || WINDOWS.rectangular;
+  const w = new Float64Array(n);
+  for (let i = 0; i < n; i++) w[i] = fn(i, n);
+  return w;
+}
+
+// Two-sided DFT of a (possibly complex) sequence, bins -maxBin..maxBin.
+// Magnitudes are divided by Σw (coherent gain), so a unit sine reads 0.5 at ±f.
+export function dft(re, im, { window = 'rectangular', maxBin = 32 } = {}) {
+  const n = re.length;
+  const w = windowCoefficients(window, n);
+  let gain = 0;
+  for (let i = 0; i < n; i++) gain += w[i];
+
+  const bins = [];
+  const magnitude = [];
+  const phase = [];
+  for (let k = -maxBin; k <= maxBin; k++) {
+    let sumRe = 0, sumIm = 0;
+    for (let i = 0; i < n; i++) {
+      const angle = (-2 * Math.PI * k * i) / n;
+      const c = Math.cos(angle), s = Math.sin(angle);
+      const a = re[i] * w[i];
+      const b = im ? im[i] * w[i] : 0;
+      sumRe += a * c - b * s;
+      sumIm += a * s + b * c;
+    }
+    bins.push(k);
+    magnitude.push(Math.hypot(sumRe, sumIm) / gain);
+    phase.push(Math.atan2(sumIm, sumRe));
+  }
+  return { bins, magnitude, phase };
+}
+
+// Spectra of x(t), y(t) and the composite path x(t) + j·y(t).
+// Takes the samples object produced by sampleSignals(); when it carries a real
+// composite s (product/AM/DSB/FM), that is analysed instead of x + j·y.
+export function computeSpectra(samples, options) {
+  return {
+    x: dft(samples.x, null, options),
+    y: dft(samples.y, null, options),
+    composite: samples.s ? dft(samples.s, null, options) : dft(samples.x, samples.y, options)
+  };
+}
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { computeSpectra, dft, windowCoefficients } from './spectrum.js';
+import { sampleSignals } from './signal.js';
+
+const BASE = { f1: 2, f2: 3, amp1: 1, amp2: 1, phase: 0, points: 1200, length: 12, mode: 'sine' };
+const at = (spectrum, k) => spectrum.magnitude[spectrum.bins.indexOf(k)];
+
+describe('windows', () => {
+  it('tapers Hann and Blackman to zero at the edges', () => {
+    expect(windowCoefficients('hann', 64)[0]).toBeCloseTo(0, 12);
+    expect(windowCoefficients('blackman', 64)[0]).toBeCloseTo(0, 12);
+    expect(windowCoefficients('hann', 64)[32]).toBeCloseTo(1, 12);
+  });
+
+  it('treats unknown names as rectangular', () => {
+    expect(Array.from(windowCoefficients('nope', 4))).toEqual([1, 1, 1, 1]);
+  });
+});
+
+describe('dft', () => {
+  it('puts a unit sine at ±f with magnitude 0.5', () => {
+    const { x } = computeSpectra(sampleSignals(BASE), { maxBin: 8 });
+    expect(at(x, 2)).toBeCloseTo(0.5, 10);
+    expect(at(x, -2)).toBeCloseTo(0.5, 10);
+    expect(at(x, 3)).toBeCloseTo(0, 10);
+  });
+
+  it('reports the sine phase as -90°', () => {
+    const { x } = computeSpectra(sampleSignals(BASE), { maxBin: 4 });
+    expect(x.phase[x.bins.indexOf(2)]).toBeCloseTo(-Math.PI / 2, 10);
+  });
+
+  it('shows the I/Q pair as a single one-sided line in x + jy', () => {
+    const { composite } = computeSpectra(sampleSignals({ ...BASE, f2: 2, phase: 90 }), { maxBin: 4 });
+    expect(at(composite, -2)).toBeCloseTo(1, 10);
+    expect(at(composite, 2)).toBeCloseTo(0, 10);
+  });
+
+  it('leaks a fractional frequency, less so with a Hann window', () => {
+    const samples = sampleSignals({ ...BASE, f1: 2.5 });
+    const leak = (window) => at(dft(samples.x, null, { window, maxBin: 16 }), 8);
+    expect(leak('rectangular')).toBeGreaterThan(0.01);
+    expect(leak('hann')).toBeLessThan(leak('rectangular') / 10);
+    expect(leak('blackman')).toBeLessThan(leak('hann'));
+  });
+});
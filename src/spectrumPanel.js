@@ -0,0 +1,86 @@
+// --- Spectrum Panel ---
+// Magnitude (top) and phase (bottom) of x, y and the composite path on a shared two-sided axis.
+
+const SERIES = [
+  { key: 'x', color: '#60efff' },
+  { key: 'y', color: '#ff60ad' },
+  { key: 'composite', color: '#ffffff' }
+];
+
+// Bins below this fraction of the peak have no meaningful phase
+const PHASE_FLOOR = 0.02;
+
+export function drawSpectrum(canvas, spectra, markers = []) {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const pad = 18;
+  const magH = height * 0.62;
+  const phaseTop = magH + 10;
+  const phaseH = height - phaseTop - pad;
+  const bins = spectra.x.bins;
+  const maxBin = bins[bins.length - 1];
+  const toX = (k) => pad + ((k + maxBin) / (2 * maxBin)) * (width - 2 * pad);
+  const peak = Math.max(1e-9, ...SERIES.flatMap(({ key }) => spectra[key].magnitude));
+
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = "9px 'Fira Code', monospace";
+  ctx.textAlign = 'center';
+
+  // Axes and bin labels
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.12)';
+  ctx.fillStyle = '#6a7c8a';
+  ctx.beginPath();
+  ctx.moveTo(pad, magH);
+  ctx.lineTo(width - pad, magH);
+  ctx.moveTo(pad, phaseTop + phaseH / 2);
+  ctx.lineTo(width - pad, phaseTop + phaseH / 2);
+  ctx.stroke();
+  for (let k = -maxBin; k <= maxBin; k += 8) ctx.fillText(String(k), toX(k), height - 4);
+
+  // f1/f2 markers at ±f
+  markers.forEach(({ f, label, color }) => {
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.setLineDash([3, 3]);
+    [-f, f].forEach(k => {
+      if (Math.abs(k) > maxBin) return;
+      ctx.beginPath();
+      ctx.moveTo(toX(k), 10);
+      ctx.lineTo(toX(k), height - pad);
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
+    if (f <= maxBin) ctx.fillText(label, toX(f), 8);
+  });
+
+  // Magnitude stems, slightly offset per series so overlapping bins stay readable
+  SERIES.forEach(({ key, color }, s) => {
+    const { magnitude } = spectra[key];
+    ctx.strokeStyle = color;
+    ctx.globalAlpha = key === 'composite' ? 0.6 : 0.9;
+    ctx.beginPath();
+    bins.forEach((k, i) => {
+      const x = toX(k) + (s - 1) * 1.5;
+      ctx.moveTo(x, magH);
+      ctx.lineTo(x, magH - (magnitude[i] / peak) * (magH - 14));
+    });
+    ctx.stroke();
+  });
+
+  // Phase dots in [-π, π]
+  SERIES.forEach(({ key, color }) => {
+    const { magnitude, phase } = spectra[key];
+    ctx.fillStyle = color;
+    ctx.globalAlpha = 0.9;
+    bins.forEach((k, i) => {
+      if (magnitude[i] < peak * PHASE_FLOOR) return;
+      ctx.fillRect(toX(k) - 1.5, phaseTop + phaseH / 2 - (phase[i] / Math.PI) * (phaseH / 2) - 1.5, 3, 3);
+    });
+  });
+  ctx.globalAlpha = 1;
+
+  ctx.textAlign = 'left';
+  ctx.fillStyle = '#6a7c8a';
+  ctx.fillText('|X|', 2, 12);
+  ctx.fillText('∠', 4, phaseTop + 8);
+}
@@ -0,0 +1,114 @@
+// --- Function-Space Inset ---
+// A small 3D view of functionVectors(): the basis as three axes, f1 and f2 as arrows,
+// the angle between them as an arc, and the projection of f2 onto f1 as a gold segment
+// along f1 with a dashed drop from the tip of f2. Its own renderer and camera; it only
+// redraws when the vectors change or the inset is orbited.
+
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
+
+const AXIS_COLORS = [0x8b9eb0, 0x5c6b7a, 0x3d4956];
+const PROJECTION_COLOR = 0xffd700;
+const ARC_RADIUS = 0.3;
+const ARC_SEGMENTS = 24;
+// Arrows shorter than this are hidden (ArrowHelper cannot point nowhere)
+const MIN_LENGTH = 1e-6;
+
+// The basis coordinates [c1, c2, c3] as a scene vector: e1 → x, e2 → z, e3 → y (up)
+const toVector = ([c1, c2, c3], scale) => new THREE.Vector3(c1 * scale, c3 * scale, c2 * scale);
+
+function dashedLine(color, points) {
+  const line = new THREE.Line(
+    new THREE.BufferGeometry(),
+    new THREE.LineDashedMaterial({ color, dashSize: 0.05, gapSize: 0.04 })
+  );
+  line.geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(points * 3), 3));
+  return line;
+}
+
+function setLine(line, points) {
+  const position = line.geometry.attributes.position;
+  points.forEach((p, i) => position.setXYZ(i, p.x, p.y, p.z));
+  position.needsUpdate = true;
+  line.geometry.computeBoundingSphere();
+  line.computeLineDistances();
+}
+
+export function createVectorInset(canvas) {
+  const renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: true });
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+  renderer.setSize(canvas.width, canvas.height, false);
+
+  const scene = new THREE.Scene();
+  const camera = new THREE.PerspectiveCamera(40, canvas.width / canvas.height, 0.1, 20);
+  camera.position.set(2.4, 1.6, 2.8);
+  camera.lookAt(0, 0, 0);
+
+  // Axes e1, e2, e3 through the origin
+  [[1, 0, 0], [0, 0, 1], [0, 1, 0]].forEach((dir, i) => {
+    const end = new THREE.Vector3(...dir).multiplyScalar(1.2);
+    const axis = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints([end.clone().negate(), end]),
+      new THREE.LineBasicMaterial({ color: AXIS_COLORS[i] })
+    );
+    scene.add(axis);
+  });
+
+  const origin = new THREE.Vector3();
+  const arrowX = new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), origin, 1, 0x60efff, 0.12, 0.07);
+  const arrowY = new THREE.ArrowHelper(new THREE.Vector3(0, 0, 1), origin, 1, 0xff60ad, 0.12, 0.07);
+  const projection = new THREE.Line(
+    new THREE.BufferGeometry(),
+    new THREE.LineBasicMaterial({ color: PROJECTION_COLOR })
+  );
+  projection.geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(6), 3));
+  const drop = dashedLine(PROJECTION_COLOR, 2);
+  const arc = dashedLine(0xffffff, ARC_SEGMENTS + 1);
+  scene.add(arrowX, arrowY, projection, drop, arc);
+
+  const controls = new OrbitControls(camera, canvas);
+  controls.enablePan = false;
+  controls.enableZoom = false;
+
+  const render = () => renderer.render(scene, camera);
+  controls.addEventListener('change', render);
+
+  function setArrow(arrow, vector, color) {
+    const length = vector.length();
+    arrow.visible = length > MIN_LENGTH;
+    if (!arrow.visible) return;
+    arrow.setDirection(vector.clone().divideScalar(length));
+    arrow.setLength(length, Math.min(0.12, length * 0.4), Math.min(0.07, length * 0.25));
+    arrow.setColor(color);
+  }
+
+  // view: functionVectors' result; colors: the X and Y curve colours
+  function update(view, colors = [0x60efff, 0xff60ad]) {
+    // The longer arrow reaches the unit sphere; the ratio of the two lengths is kept
+    const longest = Math.max(Math.hypot(...view.x), Math.hypot(...view.y));
+    const scale = longest > 0 ? 1 / longest : 0;
+    const x = toVector(view.x, scale);
+    const y = toVector(view.y, scale);
+    setArrow(arrowX, x, colors[0]);
+    setArrow(arrowY, y, colors[1]);
+
+    const foot = x.clone().multiplyScalar(view.scale);
+    setLine(projection, [origin, foot]);
+    setLine(drop, [y, foot]);
+
+    // Arc from f1 towards f2 at a fixed radius, spanning the angle the arrows make
+    const a = x.clone().normalize();
+    const b = y.clone().normalize();
+    const angle = a.angleTo(b);
+    const normal = a.clone().cross(b);
+    arc.visible = arrowX.visible && arrowY.visible && normal.lengthSq() > 1e-12;
+    if (arc.visible) {
+      normal.normalize();
+      setLine(arc, Array.from({ length: ARC_SEGMENTS + 1 }, (_, i) =>
+        a.clone().applyAxisAngle(normal, (angle * i) / ARC_SEGMENTS).multiplyScalar(ARC_RADIUS)));
+    }
+    render();
+  }
+
+  return { update, render };
+}
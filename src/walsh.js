@@ -0,0 +1,106 @@
+// --- Walsh–Hadamard Codes ---
+// Walsh functions built from Sylvester Hadamard matrices, plus a two-user CDMA link
+// (spread, sum, despread). Headless like signal.js.
+
+export const WALSH_ORDERINGS = ['natural', 'sequency', 'dyadic'];
+
+const bitReverse = (value, bits) => {
+  let out = 0;
+  for (let i = 0; i < bits; i++) out = (out << 1) | ((value >> i) & 1);
+  return out;
+};
+
+const grayCode = (value) => value ^ (value >> 1);
+
+// Sylvester construction: H(2n) = [[H, H], [H, -H]]; rows come out in natural (Hadamard) order
+export function hadamard(size) {
+  if (size < 1 || (size & (size - 1)) !== 0) throw new Error(`Hadamard size must be a power of two, got ${size}`);
+  let h = [[1]];
+  while (h.length < size) {
+    h = [...h.map(row => [...row, ...row]), ...h.map(row => [...row, ...row.map(v => -v)])];
+  }
+  return h;
+}
+
+// Number of sign changes along a row: the "frequency" of a Walsh function
+export const sequencyOf = (row) => {
+  let changes = 0;
+  for (let i = 1; i < row.length; i++) if (row[i] !== row[i - 1]) changes++;
+  return changes;
+};
+
+// Maps an index in the chosen ordering to the natural Hadamard row.
+// Sequency: index k has exactly k sign changes. Dyadic (Paley): bit-reversed natural index.
+export function hadamardRowIndex(index, size, ordering = 'sequency') {
+  const bits = Math.log2(size);
+  if (ordering === 'natural') return index;
+  if (ordering === 'dyadic') return bitReverse(index, bits);
+  return bitReverse(grayCode(index), bits);
+}
+
+const rowCache = new Map();
+
+// Walsh code as a ±1 chip array of length `size`
+export function walshCode(index, size = 16, ordering = 'sequency') {
+  const key = `${index}:${size}:${ordering}`;
+  if (!rowCache.has(key)) {
+    const h = hadamard(size);
+    const wrapped = ((Math.round(index) % size) + size) % size;
+    rowCache.set(key, h[hadamardRowIndex(wrapped, size, ordering)]);
+  }
+  return rowCache.get(key);
+}
+
+// Walsh function wal(index, t) on t ∈ [0, 1), periodic outside
+export function walshFunction(index, t, size = 16, ordering = 'sequency') {
+  const code = walshCode(index, size, ordering);
+  const wrapped = t - Math.floor(t);
+  return code[Math.min(size - 1, Math.floor(wrapped * size))];
+}
+
+// Circularly delays a chip sequence by `shift` chips (a transmitter out of sync)
+export const shiftChips = (code, shift) => {
+  const n = code.length;
+  return code.map((_, i) => code[(((i - shift) % n) + n) % n]);
+};
+
+// --- CDMA Link ---
+// Each bit (0/1 → -1/+1) is multiplied by the user's whole code.
+export function spread(bits, code, amp = 1) {
+  const chips = [];
+  bits.forEach(bit => {
+    const symbol = bit ? 1 : -1;
+    code.forEach(c => chips.push(symbol * c * amp));
+  });
+  return chips;
+}
+
+// Correlate each bit period against the code; the sign of the correlation is the bit
+export function despread(chips, code) {
+  const n = code.length;
+  const correlations = [];
+  for (let start = 0; start + n <= chips.length; start += n) {
+    let sum = 0;
+    for (let i = 0; i < n; i++) sum += chips[start + i] * code[i];
+    correlations.push(sum / n);
+  }
+  return { correlations, bits: correlations.map(c => (c > 0 ? 1 : 0)) };
+}
+
+// Two users share the channel; user 2 can be received `shift` chips out of sync
+export function simulateCdma({ bits1, bits2, code1, code2, amp1 = 1, amp2 = 1, shift = 0 }) {
+  const tx1 = spread(bits1, code1, amp1);
+  const tx2 = spread(bits2, shiftChips(code2, shift), amp2);
+  const length = Math.max(tx1.length, tx2.length);
+  const channel = Array.from({ length }, (_, i) => (tx1[i] || 0) + (tx2[i] || 0));
+
+  const rx1 = despread(channel, code1);
+  const rx2 = despread(channel, code2);
+  const errors = (sent, got) => sent.reduce((n, bit, i) => n + (bit !== got[i] ? 1 : 0), 0);
+
+  return {
+    tx1, tx2, channel, rx1, rx2,
+    errors1: errors(bits1, rx1.bits),
+    errors2: errors(bits2, rx2.bits)
+  };
+}
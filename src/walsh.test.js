@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import {
+  WALSH_ORDERINGS,
+  despread,
+  hadamard,
+  sequencyOf,
+  shiftChips,
+  simulateCdma,
+  spread,
+  walshCode,
+  walshFunction
+} from './walsh.js';
+
+const dot = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+describe('Hadamard matrices', () => {
+  it('builds H4 by the Sylvester construction', () => {
+    expect(hadamard(4)).toEqual([
+      [1, 1, 1, 1],
+      [1, -1, 1, -1],
+      [1, 1, -1, -1],
+      [1, -1, -1, 1]
+    ]);
+  });
+
+  it('rejects sizes that are not powers of two', () => {
+    expect(() => hadamard(12)).toThrow(/power of two/);
+  });
+
+  it('has mutually orthogonal rows (H Hᵀ = N I)', () => {
+    const h = hadamard(16);
+    for (let i = 0; i < 16; i++) {
+      for (let j = 0; j < 16; j++) expect(dot(h[i], h[j])).toBe(i === j ? 16 : 0);
+    }
+  });
+});
+
+describe('Walsh orderings', () => {
+  it('puts k sign changes at sequency index k', () => {
+    for (let k = 0; k < 32; k++) expect(sequencyOf(walshCode(k, 32, 'sequency'))).toBe(k);
+  });
+
+  it('follows the Paley (dyadic) order', () => {
+    const seq = Array.from({ length: 8 }, (_, k) => sequencyOf(walshCode(k, 8, 'dyadic')));
+    expect(seq).toEqual([0, 1, 3, 2, 7, 6, 4, 5]);
+  });
+
+  it('keeps natural order equal to the Hadamard rows', () => {
+    expect(walshCode(5, 8, 'natural')).toEqual(hadamard(8)[5]);
+  });
+
+  it('is the same set of codes in every ordering', () => {
+    const asSet = (ordering) => new Set(Array.from({ length: 16 }, (_, k) => walshCode(k, 16, ordering).join()));
+    WALSH_ORDERINGS.forEach((ordering) => expect(asSet(ordering)).toEqual(asSet('natural')));
+  });
+
+  it('samples wal(k, t) chip by chip', () => {
+    const code = walshCode(6, 8);
+    expect(Array.from({ length: 8 }, (_, i) => walshFunction(6, (i + 0.5) / 8, 8))).toEqual(code);
+  });
+});
+
+describe('CDMA link', () => {
+  const code1 = walshCode(3, 8);
+  const code2 = walshCode(5, 8);
+  const bits1 = [1, 0, 1, 1, 0];
+  const bits2 = [0, 0, 1, 0, 1];
+
+  it('round-trips a single user', () => {
+    expect(despread(spread(bits1, code1), code1).bits).toEqual(bits1);
+  });
+
+  it('separates two synchronized users sharing the channel', () => {
+    const link = simulateCdma({ bits1, bits2, code1, code2, amp2: 1.8 });
+    expect(link.rx1.bits).toEqual(bits1);
+    expect(link.rx2.bits).toEqual(bits2);
+    link.rx1.correlations.forEach((c) => expect(Math.abs(c)).toBeCloseTo(1, 12));
+    expect(link.errors1 + link.errors2).toBe(0);
+  });
+
+  it('lets a strong, out-of-sync user corrupt the other stream', () => {
+    // wal(4) delayed by one chip is ±wal(3) over 8 chips
+    const link = simulateCdma({ bits1, bits2, code1, code2: walshCode(4, 8), amp1: 0.5, amp2: 2, shift: 1 });
+    expect(link.errors1).toBeGreaterThan(0);
+  });
+
+  it('delays chips circularly', () => {
+    expect(shiftChips([1, 2, 3, 4], 1)).toEqual([4, 1, 2, 3]);
+    expect(shiftChips([1, 2, 3, 4], -1)).toEqual([2, 3, 4, 1]);
+  });
+});
@@ -0,0 +1,176 @@
+// --- Wavelet Families & Multiresolution ---
+// Mother wavelets ψ, their dyadic copies ψ_{j,k}(t) = ψ(2^j t − k) periodized onto the
+// window [0, 1), and a periodic multilevel DWT for the orthogonal families.
+// Haar and Daubechies-4 give orthogonal bases across scale and translation;
+// Morlet and Mexican hat are continuous-transform wavelets whose copies overlap.
+
+const SQRT3 = Math.sqrt(3);
+const D4 = [1 + SQRT3, 3 + SQRT3, 3 - SQRT3, 1 - SQRT3].map(c => c / (4 * Math.SQRT2));
+
+// --- Daubechies-4 by the cascade algorithm ---
+// φ on the dyadic grid of [0, 3]: exact values at the integers, then refined with
+// φ(t) = √2 Σ h_k φ(2t − k); ψ(t) = √2 Σ g_k φ(2t − k) with g_k = (−1)^k h_{3−k}.
+const RESOLUTION = 9; // 2^9 points per unit
+const PER_UNIT = 2 ** RESOLUTION;
+
+function cascadeD4() {
+  const size = 3 * PER_UNIT + 1;
+  const phi = new Float64Array(size);
+  phi[PER_UNIT] = (1 + SQRT3) / 2;
+  phi[2 * PER_UNIT] = (1 - SQRT3) / 2;
+  for (let level = 1; level <= RESOLUTION; level++) {
+    const stride = PER_UNIT >> level; // spacing of the new points
+    for (let p = stride; p < size; p += 2 * stride) {
+      let sum = 0;
+      D4.forEach((h, k) => {
+        const q = 2 * p - k * PER_UNIT;
+        if (q > 0 && q < size) sum += h * phi[q];
+      });
+      phi[p] = Math.SQRT2 * sum;
+    }
+  }
+
+  const g = D4.map((_, k) => (k % 2 ? -1 : 1) * D4[3 - k]);
+  const psi = new Float64Array(size);
+  for (let p = 0; p < size; p++) {
+    let sum = 0;
+    g.forEach((c, k) => {
+      const q = 2 * p - k * PER_UNIT;
+      if (q > 0 && q < size) sum += c * phi[q];
+    });
+    psi[p] = Math.SQRT2 * sum;
+  }
+  return psi;
+}
+
+let d4Table = null;
+const tabulated = (u) => {
+  if (u <= 0 || u >= 3) return 0;
+  d4Table = d4Table || cascadeD4();
+  const x = u * PER_UNIT;
+  const i = Math.floor(x);
+  return d4Table[i] + (d4Table[i + 1] - d4Table[i]) * (x - i);
+};
+
+// Continuous wavelets are centred on the unit cell: v = 6(u − ½)
+const cell = (u) => 6 * (u - 0.5);
+
+// support: extent of ψ(u) in units of the cell (used for periodization)
+// filter: low-pass taps of the orthogonal families, for the DWT
+export const WAVELET_FAMILIES = {
+  haar: {
+    name: 'Haar',
+    orthogonal: true,
+    support: [0, 1],
+    psi: (u) => (u < 0 || u >= 1 ? 0 : u < 0.5 ? 1 : -1),
+    filter: [Math.SQRT1_2, Math.SQRT1_2]
+  },
+  db4: {
+    name: 'Daubechies-4',
+    orthogonal: true,
+    support: [0, 3],
+    psi: tabulated,
+    filter: D4
+  },
+  morlet: {
+    name: 'Morlet',
+    orthogonal: false,
+    support: [-0.5, 1.5],
+    psi: (u) => {
+      const v = cell(u);
+      return Math.exp(-(v * v) / 2) * Math.cos(5 * v);
+    }
+  },
+  mexicanHat: {
+    name: 'Mexican hat',
+    orthogonal: false,
+    support: [-0.5, 1.5],
+    psi: (u) => {
+      const v = cell(u);
+      return (1 - v * v) * Math.exp(-(v * v) / 2);
+    }
+  }
+};
+
+export const getWaveletFamily = (name) => WAVELET_FAMILIES[name] || WAVELET_FAMILIES.haar;
+
+export const MAX_SCALE = 5;
+
+// ψ(2^j t − k) wrapped onto [0, 1). Left unnormalized (no 2^{j/2}) so every scale
+// draws at the same height; correlations do not care about the constant.
+export function waveletFunction(family, j, k, t) {
+  const { psi, support } = getWaveletFamily(family);
+  const n = 2 ** j;
+  const u = n * (t - Math.floor(t)) - k;
+  // Shift by whole windows (n cells each) until every copy overlapping [0, 1) is counted
+  let sum = 0;
+  const first = Math.floor((u - support[1]) / n);
+  const last = Math.ceil((u - support[0]) / n);
+  for (let m = first; m <= last; m++) sum += psi(u - m * n);
+  return sum;
+}
+
+// --- Periodic multilevel DWT ---
+const highPass = (h) => h.map((_, k) => (k % 2 ? -1 : 1) * h[h.length - 1 - k]);
+
+// One analysis step: a → (approximation, detail), each half as long
+export function analysisStep(signal, h) {
+  const g = highPass(h);
+  const n = signal.length;
+  const approx = new Float64Array(n / 2);
+  const detail = new Float64Array(n / 2);
+  for (let i = 0; i < n / 2; i++) {
+    for (let k = 0; k < h.length; k++) {
+      const v = signal[(2 * i + k) % n];
+      approx[i] += h[k] * v;
+      detail[i] += g[k] * v;
+    }
+  }
+  return { approx, detail };
+}
+
+// Inverse of analysisStep (the filters are orthogonal, so synthesis is the transpose)
+export function synthesisStep(approx, detail, h) {
+  const g = highPass(h);
+  const n = approx.length * 2;
+  const out = new Float64Array(n);
+  for (let i = 0; i < n / 2; i++) {
+    for (let k = 0; k < h.length; k++) out[(2 * i + k) % n] += h[k] * approx[i] + g[k] * detail[i];
+  }
+  return out;
+}
+
+// { approx: a_J, details: [d_1 (finest), …, d_J] }; the length must be divisible by 2^levels
+export function dwt(signal, family, levels) {
+  const { filter } = getWaveletFamily(family);
+  if (!filter) throw new Error(`${getWaveletFamily(family).name} has no orthogonal filter bank`);
+  if (signal.length % 2 ** levels) throw new Error(`Signal length ${signal.length} is not divisible by 2^${levels}`);
+  let approx = Float64Array.from(signal);
+  const details = [];
+  for (let level = 0; level < levels; level++) {
+    const step = analysisStep(approx, filter);
+    details.push(step.detail);
+    approx = step.approx;
+  }
+  return { approx, details };
+}
+
+// Rebuilds the signal; keepDetails = false drops every detail band (the level-J approximation)
+export function idwt({ approx, details }, family, { keepDetails = true } = {}) {
+  const { filter } = getWaveletFamily(family);
+  let signal = approx;
+  for (let level = details.length - 1; level >= 0; level--) {
+    const detail = keepDetails ? details[level] : new Float64Array(details[level].length);
+    signal = synthesisStep(signal, detail, filter);
+  }
+  return signal;
+}
+
+// Test signals for the decomposition view (Donoho–Johnstone style), t in [0, 1)
+export const DWT_SIGNALS = {
+  heavisine: (t) => 4 * Math.sin(4 * Math.PI * t) - Math.sign(t - 0.3) - Math.sign(0.72 - t),
+  blocks: (t) => [[0.1, 4], [0.13, -5], [0.15, 3], [0.23, -4], [0.25, 5], [0.4, -4.2], [0.44, 2.1], [0.65, 4.3], [0.76, -3.1], [0.78, 2.1], [0.81, -4.2]]
+    .reduce((sum, [at, jump]) => sum + (t >= at ? jump : 0), 0),
+  doppler: (t) => Math.sqrt(t * (1 - t)) * Math.sin((2 * Math.PI * 1.05) / (t + 0.05)),
+  chirp: (t) => Math.sin(2 * Math.PI * 40 * t * t)
+};
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { waveletFunction, dwt, idwt, analysisStep, DWT_SIGNALS, WAVELET_FAMILIES } from './wavelets.js';
+
+// Midpoint-rule inner product of two dyadic wavelets on the window
+const inner = (family, [j1, k1], [j2, k2], n = 8192) => {
+  let sum = 0;
+  for (let i = 0; i < n; i++) {
+    const t = (i + 0.5) / n;
+    sum += waveletFunction(family, j1, k1, t) * waveletFunction(family, j2, k2, t) / n;
+  }
+  return sum;
+};
+const corr = (family, a, b) => inner(family, a, b) / Math.sqrt(inner(family, a, a) * inner(family, b, b));
+
+describe('wavelet families', () => {
+  it('draws Haar as +1 then −1 on its dyadic cell', () => {
+    expect(waveletFunction('haar', 2, 1, 0.3)).toBe(1);
+    expect(waveletFunction('haar', 2, 1, 0.4)).toBe(-1);
+    expect(waveletFunction('haar', 2, 1, 0.6)).toBe(0);
+  });
+
+  it('builds a Daubechies-4 wavelet with zero mean, unit norm and a vanishing first moment', () => {
+    const n = 3 * 4096;
+    let mean = 0, norm = 0, moment = 0;
+    for (let i = 0; i < n; i++) {
+      const u = (3 * (i + 0.5)) / n;
+      const psi = WAVELET_FAMILIES.db4.psi(u);
+      mean += (psi * 3) / n;
+      norm += (psi * psi * 3) / n;
+      moment += (u * psi * 3) / n;
+    }
+    expect(mean).toBeCloseTo(0, 4);
+    expect(norm).toBeCloseTo(1, 3);
+    expect(moment).toBeCloseTo(0, 3);
+  });
+
+  ['haar', 'db4'].forEach(family => {
+    it(`${family}: copies at different scales or translations are orthogonal on the window`, () => {
+      expect(corr(family, [1, 0], [2, 1])).toBeCloseTo(0, 3);
+      expect(corr(family, [3, 2], [3, 5])).toBeCloseTo(0, 3);
+      expect(corr(family, [0, 0], [4, 7])).toBeCloseTo(0, 3);
+      expect(corr(family, [2, 3], [2, 3])).toBeCloseTo(1, 10);
+    });
+  });
+
+  it('Morlet and Mexican hat copies overlap across scale and translation', () => {
+    expect(Math.abs(corr('mexicanHat', [2, 1], [3, 3]))).toBeGreaterThan(0.3);
+    expect(Math.abs(corr('mexicanHat', [2, 1], [3, 2.5]))).toBeGreaterThan(0.5);
+    expect(Math.abs(corr('morlet', [2, 1], [2, 1.5]))).toBeGreaterThan(0.05);
+  });
+});
+
+describe('multilevel DWT', () => {
+  const signal = Float64Array.from({ length: 256 }, (_, i) => DWT_SIGNALS.heavisine(i / 256));
+
+  ['haar', 'db4'].forEach(family => {
+    it(`${family}: rebuilds the signal exactly and keeps its energy`, () => {
+      const coefficients = dwt(signal, family, 4);
+      expect(coefficients.details.map(d => d.length)).toEqual([128, 64, 32, 16]);
+      expect(coefficients.approx).toHaveLength(16);
+      const rebuilt = idwt(coefficients, family);
+      rebuilt.forEach((v, i) => expect(v).toBeCloseTo(signal[i], 10));
+
+      const energy = (a) => a.reduce((s, v) => s + v * v, 0);
+      const total = energy(coefficients.approx) + coefficients.details.reduce((s, d) => s + energy(d), 0);
+      expect(total).toBeCloseTo(energy(signal), 8);
+    });
+  });
+
+  it('puts a constant entirely into the approximation', () => {
+    const { approx, detail } = analysisStep(new Float64Array(16).fill(2), WAVELET_FAMILIES.db4.filter);
+    detail.forEach(d => expect(d).toBeCloseTo(0, 12));
+    approx.forEach(a => expect(a).toBeCloseTo(2 * Math.SQRT2, 12));
+  });
+
+  it('gives a smooth approximation when the details are dropped', () => {
+    const coarse = idwt(dwt(signal, 'haar', 3), 'haar', { keepDetails: false });
+    // Haar level-3 approximation = averages over blocks of 8
+    const block = signal.slice(8, 16).reduce((s, v) => s + v, 0) / 8;
+    expect(coarse[10]).toBeCloseTo(block, 10);
+  });
+
+  it('refuses families without a filter bank and lengths that do not divide', () => {
+    expect(() => dwt(signal, 'morlet', 2)).toThrow('no orthogonal filter bank');
+    expect(() => dwt(signal.slice(0, 100), 'haar', 3)).toThrow('not divisible');
+  });
+});
@@ -0,0 +1,73 @@
+// --- Minimal ZIP Writer ---
+// Stores files uncompressed (PNG frames are already compressed), so a whole image
+// sequence downloads as one archive without pulling in a dependency. The archive is
+// returned as its parts for `new Blob(parts)`: the frames are never copied into one
+// buffer, and a frame kept as a Blob need not stay in memory at all. No ZIP64, so an
+// archive stops at 4 GB and 65 535 files.
+
+import { t } from './i18n.js';
+
+const ZIP32_LIMIT = 0xffffffff;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// files: [{ name, data: Uint8Array | Blob, crc }] (crc only needed for a Blob) → the
+// archive as a list of parts. Throws when it would not fit a plain ZIP.
+export function createZip(files) {
+  const encoder = new TextEncoder();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  if (files.length > 0xffff) throw new Error(t('export.zipTooLarge'));
+
+  files.forEach(({ name, data, crc = crc32(data) }) => {
+    const nameBytes = encoder.encode(name);
+    const size = data.length ?? data.size;
+    if (offset + 30 + nameBytes.length + size > ZIP32_LIMIT) throw new Error(t('export.zipTooLarge'));
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // local file header
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(8, 0, true); // method: stored
+    local.setUint32(14, crc, true);
+    local.setUint32(18, size, true);
+    local.setUint32(22, size, true);
+    local.setUint16(26, nameBytes.length, true);
+    locals.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // central directory header
+    central.setUint16(4, 20, true); // version made by
+    central.setUint16(6, 20, true);
+    central.setUint16(10, 0, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, size, true);
+    central.setUint32(24, size, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centrals.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + size;
+  });
+
+  const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+  if (offset + centralSize > ZIP32_LIMIT) throw new Error(t('export.zipTooLarge'));
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // end of central directory
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return [...locals, ...centrals, new Uint8Array(end.buffer)];
+}
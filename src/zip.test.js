@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { crc32, createZip } from './zip.js';
+
+const bytes = (text) => new TextEncoder().encode(text);
+// The archive as one buffer, the way the browser writes it to disk
+const archive = async (parts) => new Uint8Array(await new Blob(parts).arrayBuffer());
+
+describe('createZip', () => {
+  it('computes the standard CRC-32', () => {
+    expect(crc32(bytes('hello'))).toBe(0x3610a686);
+    expect(crc32(new Uint8Array(0))).toBe(0);
+  });
+
+  it('stores every file with matching local and central headers', async () => {
+    const files = [{ name: 'frame-0000.png', data: bytes('abc') }, { name: 'frame-0001.png', data: bytes('hello') }];
+    const zip = await archive(createZip(files));
+    const view = new DataView(zip.buffer);
+
+    const end = zip.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    expect(view.getUint16(end + 10, true)).toBe(2);
+    const centralOffset = view.getUint32(end + 16, true);
+
+    // Walk the central directory and check each entry against its local header and data
+    let position = centralOffset;
+    files.forEach(({ name, data }) => {
+      expect(view.getUint32(position, true)).toBe(0x02014b50);
+      const nameLength = view.getUint16(position + 28, true);
+      expect(new TextDecoder().decode(zip.slice(position + 46, position + 46 + nameLength))).toBe(name);
+      const local = view.getUint32(position + 42, true);
+      expect(view.getUint32(local, true)).toBe(0x04034b50);
+      expect(view.getUint32(local + 14, true)).toBe(crc32(data));
+      const start = local + 30 + view.getUint16(local + 26, true);
+      expect(Array.from(zip.slice(start, start + data.length))).toEqual(Array.from(data));
+      position += 46 + nameLength;
+    });
+    expect(position).toBe(end);
+  });
+
+  it('passes the files through as parts, Blobs included', async () => {
+    const frame = new Blob([bytes('hello')]);
+    const parts = createZip([{ name: 'a.png', data: frame, crc: crc32(bytes('hello')) }]);
+    expect(parts).toContain(frame);
+    const zip = await archive(parts);
+    expect(new DataView(zip.buffer).getUint32(18, true)).toBe(5);
+    expect(new TextDecoder().decode(zip.slice(35, 40))).toBe('hello');
+  });
+
+  it('refuses an archive a plain ZIP cannot address', () => {
+    const huge = { name: 'big.png', data: { size: 0xffffffff }, crc: 0 };
+    expect(() => createZip([huge])).toThrow(/4 GB/);
+  });
+});